@@ -1,30 +1,116 @@
 import React, { useEffect, useRef, useMemo, useState } from 'react';
-import { Canvas, useFrame } from '@react-three/fiber';
+import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls, Stats } from '@react-three/drei';
 import { EffectComposer, Bloom } from '@react-three/postprocessing';
 import * as THREE from 'three';
 import { config } from './config';
-import { parseGPX, processTracks, createTrailGeometry, getPointOnCurve, calculateBoundingBox, calculateCenter } from './utils';
+import { createTrailGeometry, getPointOnCurve, getElevationOnCurve, getProgressAtTime, getLongestDuration, createHistoryTimeline, getHistoryTime, getLoopDuration, calculateBoundingBox, findTrackAtVertex, downloadBlob } from './utils';
 import { useCameraAnimation } from './hooks/useCameraAnimation';
+import { useTrackLoader, formatLoadProgress } from './hooks/useTrackLoader';
+import { useLandmarkLayers } from './hooks/useLandmarkLayers';
+import { useBasemapLayers } from './hooks/useBasemapLayers';
+import { useTerrain, useDrapedTracks } from './hooks/useTerrain';
+import { useUrlViewState, readUrlViewState } from './hooks/useUrlViewState';
+import { useRouteClusters } from './hooks/useRouteClusters';
 import { InfoOverlay } from './components/InfoOverlay';
-import { Stations } from './components/Stations';
+import { Landmarks, LandmarkLayerToggles, positionLandmarks, landmarkLabel } from './components/Landmarks';
+import { Basemap, BasemapStyleSelect } from './components/Basemap';
+import { TerrainMesh, TerrainControls } from './components/Terrain';
+import { CameraModeSelect } from './components/CameraModeSelect';
+import { TourPanel, TourCaption } from './components/TourPanel';
+import { RotationControls } from './components/RotationControls';
+import { FileDropZone, DropOverlay } from './components/FileDropZone';
+import { HistoryDateCounter } from './components/HistoryDateCounter';
+import { TransportBar } from './components/TransportBar';
+import { ColorLegend } from './components/ColorLegend';
+import { DatasetLegend } from './components/DatasetLegend';
+import { RouteClusterPanel, ClusterRoute } from './components/RouteClusters';
+import { PickTooltip, createHoverState } from './components/PickTooltip';
+import { FilterPanel, AreaSelection } from './components/FilterPanel';
+import { VideoExportPanel, VideoExportDriver } from './components/VideoExport';
+import { PosterExportPanel, PosterExportDriver } from './components/PosterExport';
+import { createPlaybackClock } from './clock';
+import { createProjection } from './projection';
+import { createTerrainSurface } from './terrain';
+import { createColorScale, applyTrailColors } from './colors';
+import { createFilterMask, countVisible, combineMasks } from './filters';
+import { resolveDatasets, getTrackDatasets, countDatasetRuns, createDatasetMask, createDatasetColorScales } from './datasets';
+import { createClusterMask } from './clusters';
+import { summarizeRuns } from './poster';
+import { parseTour, loadTour, createKeyframe, serializeTour } from './tour';
+
+/**
+ * Pointer handlers that pick a run in the scene
+ * @param {Function} resolveTrack - Maps a raycast event to a track index, or -1 for no run
+ * @param {Function|null} onPick - Called with the track index on click; null disables picking
+ * @param {Object} hoverState - Hover state from createHoverState
+ * @returns {Object} onPointerMove, onPointerOut and onClick handlers
+ */
+function createPickHandlers(resolveTrack, onPick, hoverState) {
+  if (!config.picking.enabled || !onPick) return {};
+
+  return {
+    onPointerMove: (e) => {
+      const trackIndex = resolveTrack(e);
+      if (trackIndex < 0) return;
+      // Only the nearest object under the pointer reports the hover
+      e.stopPropagation();
+      hoverState.set({ trackIndex, x: e.nativeEvent.clientX, y: e.nativeEvent.clientY });
+    },
+    onPointerOut: () => hoverState.set(null),
+    onClick: (e) => {
+      // Ignore the end of a camera drag
+      if (e.delta > config.picking.clickTolerance) return;
+      const trackIndex = resolveTrack(e);
+      if (trackIndex < 0) return;
+      e.stopPropagation();
+      onPick(trackIndex);
+    }
+  };
+}
 
 /**
  * Component that renders animated runner orbs using InstancedMesh for performance
+ * Runs hidden by the filters (visibleMask) get no orb.
  */
-function RunnerOrbs({ tracks, featuredTrackIndex }) {
+function RunnerOrbs({ tracks, featuredTrackIndex, featuredOrb, playbackMode, clock, timeline, colorScale, visibleMask, onPick, hoverState }) {
   const nonFeaturedMeshRef = useRef();
   const featuredMeshRef = useRef();
-  const startTimeRef = useRef(Date.now());
   const tempObject = useMemo(() => new THREE.Object3D(), []);
+  const tempColor = useMemo(() => new THREE.Color(), []);
 
   const count = tracks.length;
 
+  // Per-instance colours for colour-by modes, attached up front so the
+  // material is compiled with instance colours
+  const instanceColors = useMemo(() => new Float32Array(count * 3).fill(1), [count]);
+  const orbGlow = config.orbIntensity * config.dimmedRuns.emissiveIntensityFactor;
+
+  // Track index of each non-featured instance, which are packed without gaps
+  const instanceTracks = useMemo(() => new Int32Array(count), [count]);
+
+  // In real-pace mode the loop lasts as long as the longest run
+  const longestDuration = useMemo(() => getLongestDuration(tracks), [tracks]);
+  const realPace = playbackMode === 'realPace' && longestDuration > 0;
+
+  // Runs after the clock ticks (-1) and before the camera (0), so a camera
+  // following the featured orb sees where it is this frame
   useFrame(() => {
-    const elapsed = (Date.now() - startTimeRef.current) / 1000;
+    const elapsed = clock.time;
+    const loopDuration = realPace
+      ? longestDuration / config.realPace.timeScale
+      : config.animationDuration;
     const progress = config.animationLoop
-      ? (elapsed % config.animationDuration) / config.animationDuration
-      : Math.min(elapsed / config.animationDuration, 1);
+      ? (elapsed % loopDuration) / loopDuration
+      : Math.min(elapsed / loopDuration, 1);
+
+    // Elapsed run time shared by all runs, so they all start together
+    const runTime = progress * longestDuration;
+
+    // Calendar time for history playback; each orb runs its route once after its date
+    const history = playbackMode === 'history';
+    const historyTime = history ? getHistoryTime(timeline, elapsed) : 0;
+    const orbMs = config.history.orbSeconds * (timeline?.msPerSecond || 0);
 
     // Blinking effect for featured orb - oscillates between high and higher intensity
     const blinkSpeed = 3; // Blinks per second
@@ -34,17 +120,43 @@ function RunnerOrbs({ tracks, featuredTrackIndex }) {
     let nonFeaturedIndex = 0;
     let featuredIndex = 0;
 
+    // Cleared here and set below if the featured orb is on screen
+    if (featuredOrb) {
+      featuredOrb.trackIndex = featuredTrackIndex;
+      featuredOrb.progress = null;
+    }
+
     // Update each instance
     for (let i = 0; i < count; i++) {
       const track = tracks[i];
-      if (!track.curve) continue;
+      if (!track.curve || (visibleMask && !visibleMask[i])) continue;
+
+      // Get position on curve based on progress, or on elapsed run time in
+      // real-pace mode (runs without times fall back to uniform progress)
+      let trackProgress = realPace
+        ? getProgressAtTime(track, runTime) ?? progress
+        : progress;
 
-      // Get position on curve based on progress
-      const point = getPointOnCurve(track.curve, progress);
+      if (history) {
+        const trackTime = timeline.trackTimes[i];
+        if (trackTime !== null) {
+          // Hidden before its date and once it has finished its route
+          const sinceRun = historyTime - trackTime;
+          if (sinceRun < 0 || sinceRun > orbMs) continue;
+          trackProgress = sinceRun / orbMs;
+        }
+      }
+
+      const point = getPointOnCurve(track.curve, trackProgress);
 
       tempObject.position.copy(point);
 
       if (i === featuredTrackIndex) {
+        if (featuredOrb) {
+          featuredOrb.position.copy(point);
+          featuredOrb.progress = trackProgress;
+        }
+
         // Featured orb - larger size
         tempObject.scale.set(
           config.featuredRun.size,
@@ -64,6 +176,17 @@ function RunnerOrbs({ tracks, featuredTrackIndex }) {
 
         if (nonFeaturedMeshRef.current) {
           nonFeaturedMeshRef.current.setMatrixAt(nonFeaturedIndex, tempObject.matrix);
+          instanceTracks[nonFeaturedIndex] = i;
+
+          if (colorScale) {
+            // Elevation follows the orb; other modes colour the whole run
+            const value = colorScale.perVertex
+              ? getElevationOnCurve(track, trackProgress, point)
+              : colorScale.trackValues[i];
+            colorScale.colorAt(value, tempColor).multiplyScalar(orbGlow);
+            nonFeaturedMeshRef.current.setColorAt(nonFeaturedIndex, tempColor);
+          }
+
           nonFeaturedIndex++;
         }
       }
@@ -72,6 +195,9 @@ function RunnerOrbs({ tracks, featuredTrackIndex }) {
     if (nonFeaturedMeshRef.current) {
       nonFeaturedMeshRef.current.instanceMatrix.needsUpdate = true;
       nonFeaturedMeshRef.current.count = nonFeaturedIndex;
+      if (colorScale && nonFeaturedMeshRef.current.instanceColor) {
+        nonFeaturedMeshRef.current.instanceColor.needsUpdate = true;
+      }
     }
 
     if (featuredMeshRef.current) {
@@ -80,25 +206,46 @@ function RunnerOrbs({ tracks, featuredTrackIndex }) {
       // Update blinking intensity
       featuredMeshRef.current.material.emissiveIntensity = blinkIntensity;
     }
-  });
+  }, -0.5);
 
   return (
     <>
-      {/* Non-featured orbs (dimmed) */}
-      <instancedMesh ref={nonFeaturedMeshRef} args={[null, null, count]}>
+      {/* Non-featured orbs (dimmed); with a colour-by mode or several datasets
+          each orb gets its own colour, brightened past 1 so it still blooms */}
+      <instancedMesh
+        key={colorScale ? 'colored' : 'plain'}
+        ref={nonFeaturedMeshRef}
+        args={[null, null, count]}
+        {...createPickHandlers(e => instanceTracks[e.instanceId] ?? -1, onPick, hoverState)}
+      >
         <sphereGeometry args={[config.orbSize, config.orbSegments, config.orbSegments]} />
-        <meshStandardMaterial
-          color={config.orbColor}
-          emissive={config.orbColor}
-          emissiveIntensity={config.orbIntensity * config.dimmedRuns.emissiveIntensityFactor}
-          toneMapped={false}
-          opacity={config.dimmedRuns.opacityFactor}
-          transparent
-        />
+        {colorScale ? (
+          <>
+            <meshBasicMaterial
+              toneMapped={false}
+              opacity={config.dimmedRuns.opacityFactor}
+              transparent
+            />
+            <instancedBufferAttribute attach="instanceColor" args={[instanceColors, 3]} />
+          </>
+        ) : (
+          <meshStandardMaterial
+            color={config.orbColor}
+            emissive={config.orbColor}
+            emissiveIntensity={orbGlow}
+            toneMapped={false}
+            opacity={config.dimmedRuns.opacityFactor}
+            transparent
+          />
+        )}
       </instancedMesh>
 
       {/* Featured orb (blinking white with radiant light) */}
-      <instancedMesh ref={featuredMeshRef} args={[null, null, 1]}>
+      <instancedMesh
+        ref={featuredMeshRef}
+        args={[null, null, 1]}
+        {...createPickHandlers(() => featuredTrackIndex ?? -1, onPick, hoverState)}
+      >
         <sphereGeometry args={[config.orbSize * 1.5, config.orbSegments, config.orbSegments]} />
         <meshStandardMaterial
           color="#FFFFFF"
@@ -112,15 +259,99 @@ function RunnerOrbs({ tracks, featuredTrackIndex }) {
 }
 
 /**
- * Component that renders static trail lines for all tracks
+ * Write an alpha value into every vertex of one track's trail
+ * @param {THREE.BufferGeometry} geometry - Trail geometry from createTrailGeometry
+ * @param {Float32Array} alphas - Last alpha written per track, updated here
+ * @param {number} trackIndex - Track whose trail to change
+ * @param {number} alpha - New alpha
+ */
+function setTrailAlpha(geometry, alphas, trackIndex, alpha) {
+  const { start, count } = geometry.userData.trackRanges[trackIndex];
+  const colors = geometry.attributes.color.array;
+  for (let v = start; v < start + count; v++) {
+    colors[v * 4 + 3] = alpha;
+  }
+  alphas[trackIndex] = alpha;
+}
+
+/**
+ * Full alpha for a trail: 0 when filtered out, dimmed outside the highlighted cluster
+ */
+function getTrailAlpha(trackIndex, visibleMask, highlightMask) {
+  if (visibleMask && visibleMask[trackIndex] !== 1) return 0;
+  if (highlightMask && highlightMask[trackIndex] !== 1) return config.clusters.dimmedTrailOpacity;
+  return 1;
+}
+
+/**
+ * Component that renders trail lines for all tracks
+ * In history playback each trail fades in when its run date is reached. With
+ * a colour-by mode each vertex gets its colour from the colour scale. Runs
+ * hidden by the filters (visibleMask) are faded out completely, and runs
+ * outside a selected route cluster (highlightMask) are dimmed.
  */
-function TrailLines({ tracks }) {
+function TrailLines({ tracks, playbackMode, clock, timeline, colorScale, visibleMask, highlightMask, onPick, hoverState }) {
   const geometry = useMemo(() => createTrailGeometry(tracks), [tracks]);
+  // Rebuilt for every streamed batch and terrain change; free the old buffers
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  // Last alpha written per track, so only changing trails touch the buffer
+  const trackAlphasRef = useRef(null);
+
+  // Show every trail that passes the filters outside history playback. In
+  // history playback the unknown (-1) alphas make the next frame rewrite them all.
+  useEffect(() => {
+    const alphas = new Float32Array(geometry.userData.trackRanges.length).fill(-1);
+    trackAlphasRef.current = alphas;
+    if (playbackMode !== 'history') {
+      for (let i = 0; i < alphas.length; i++) {
+        setTrailAlpha(geometry, alphas, i, getTrailAlpha(i, visibleMask, highlightMask));
+      }
+      geometry.attributes.color.needsUpdate = true;
+    }
+  }, [geometry, playbackMode, visibleMask, highlightMask]);
+
+  // Trail colours from the colour scale (white lets the material colour show)
+  useEffect(() => {
+    applyTrailColors(geometry, colorScale);
+  }, [geometry, colorScale]);
+
+  useFrame(() => {
+    if (playbackMode !== 'history' || !trackAlphasRef.current) return;
+
+    const historyTime = getHistoryTime(timeline, clock.time);
+    const fadeMs = config.history.fadeSeconds * timeline.msPerSecond;
+    let changed = false;
+
+    for (let i = 0; i < tracks.length; i++) {
+      const trackTime = timeline.trackTimes[i];
+      // Undated runs are always shown, unless filtered out
+      const alpha = getTrailAlpha(i, visibleMask, highlightMask) * (trackTime === null
+        ? 1
+        : Math.max(0, Math.min(1, (historyTime - trackTime) / fadeMs)));
+
+      if (alpha !== trackAlphasRef.current[i]) {
+        setTrailAlpha(geometry, trackAlphasRef.current, i, alpha);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      geometry.attributes.color.needsUpdate = true;
+    }
+  });
+
+  // Hits on trails that are faded out (history playback or filters) don't count
+  const resolveTrack = (e) => {
+    if (e.index == null || geometry.attributes.color.array[e.index * 4 + 3] === 0) return -1;
+    return findTrackAtVertex(geometry, e.index);
+  };
 
   return (
-    <lineSegments geometry={geometry}>
+    <lineSegments geometry={geometry} {...createPickHandlers(resolveTrack, onPick, hoverState)}>
       <lineBasicMaterial
-        color={config.trailColor}
+        vertexColors
+        color={colorScale ? '#FFFFFF' : config.trailColor}
         transparent
         opacity={config.trailOpacity}
         linewidth={config.trailLineWidth}
@@ -154,12 +385,57 @@ function Lighting() {
   );
 }
 
+/**
+ * Advances the shared playback clock once per frame, before anything reads it
+ */
+function ClockDriver({ clock }) {
+  useFrame((state, delta) => {
+    // Cap the step so a backgrounded tab doesn't jump the animation forward
+    clock.tick(Math.min(delta, 0.1));
+  }, -1);
+
+  return null;
+}
+
 /**
  * Main scene component that contains all 3D elements
+ * With a route cluster selected (highlightMask), only its runs get orbs and
+ * are featured, the other trails are dimmed and its representative route
+ * (highlightRoute) is drawn on top.
  */
-function Scene({ tracks, center, onFeaturedTrackChange }) {
+function Scene({ tracks, projection, surface, basemapLayers, basemapPreset, landmarkLayers, landmarkBounds, playbackMode, clock, timeline, colorScale, datasetColors, visibleMask, highlightMask, highlightRoute, filterArea, areaDrawMode, onAreaDrawn, pinnedTrackIndex, onPickTrack, hoverState, cameraViewRef, restoredCamera, exporting, cameraMode, tour, rotation, onFeaturedTrackChange, onTourStepChange }) {
   const orbitControlsRef = useRef();
-  const { featuredTrackIndex, isTransitioning } = useCameraAnimation(tracks, orbitControlsRef);
+  const { camera } = useThree();
+
+  // Where the featured orb is this frame, written by RunnerOrbs for the follow camera modes
+  const featuredOrb = useMemo(() => ({ trackIndex: null, progress: null, position: new THREE.Vector3() }), []);
+
+  // Runs that get orbs and are featured
+  const focusMask = useMemo(() => combineMasks(visibleMask, highlightMask), [visibleMask, highlightMask]);
+
+  const { featuredTrackIndex, isTransitioning, tourStep, jumpTo } = useCameraAnimation(
+    tracks, orbitControlsRef, clock, pinnedTrackIndex, focusMask, exporting, cameraMode, featuredOrb, tour, rotation
+  );
+
+  // Let the parent read the camera for shareable links
+  useEffect(() => {
+    cameraViewRef.current = () => ({
+      position: camera.position.toArray(),
+      target: (orbitControlsRef.current?.target ?? new THREE.Vector3()).toArray(),
+    });
+    return () => {
+      cameraViewRef.current = null;
+    };
+  }, [camera, cameraViewRef]);
+
+  // Camera from a shared link or a history entry; runs after a restored pin
+  // has started its flight, so the saved camera wins
+  useEffect(() => {
+    if (restoredCamera) jumpTo(restoredCamera);
+  }, [restoredCamera, jumpTo]);
+
+  // Drawing a filter area takes over the pointer from picking and the orbit controls
+  const onPick = areaDrawMode ? null : onPickTrack;
 
   // Notify parent component of featured track changes
   useEffect(() => {
@@ -168,25 +444,58 @@ function Scene({ tracks, center, onFeaturedTrackChange }) {
     }
   }, [featuredTrackIndex, onFeaturedTrackChange]);
 
+  // Notify parent component of the tour keyframe being played, for its caption
+  useEffect(() => {
+    if (onTourStepChange) {
+      onTourStepChange(tourStep);
+    }
+  }, [tourStep, onTourStepChange]);
+
   if (!tracks || tracks.length === 0) {
     return null;
   }
 
   return (
     <>
+      <ClockDriver clock={clock} />
       <Lighting />
-      <Floor />
-      <TrailLines tracks={tracks} />
-      <RunnerOrbs tracks={tracks} featuredTrackIndex={featuredTrackIndex} />
-      {center && <Stations center={center} />}
+      {surface ? <TerrainMesh surface={surface} /> : <Floor />}
+      {projection && <Basemap layers={basemapLayers} projection={projection} surface={surface} preset={basemapPreset} />}
+      <TrailLines
+        tracks={tracks}
+        playbackMode={playbackMode}
+        clock={clock}
+        timeline={timeline}
+        colorScale={colorScale || datasetColors?.trails}
+        visibleMask={visibleMask}
+        highlightMask={highlightMask}
+        onPick={onPick}
+        hoverState={hoverState}
+      />
+      <RunnerOrbs
+        tracks={tracks}
+        featuredTrackIndex={featuredTrackIndex}
+        featuredOrb={featuredOrb}
+        playbackMode={playbackMode}
+        clock={clock}
+        timeline={timeline}
+        colorScale={colorScale || datasetColors?.orbs}
+        visibleMask={focusMask}
+        onPick={onPick}
+        hoverState={hoverState}
+      />
+      {highlightRoute && <ClusterRoute track={highlightRoute} />}
+      <AreaSelection area={filterArea} drawMode={areaDrawMode} onAreaDrawn={onAreaDrawn} />
+      {projection && <Landmarks layers={landmarkLayers} projection={projection} bounds={landmarkBounds} surface={surface} />}
       <OrbitControls
         ref={orbitControlsRef}
-        enableDamping
+        // Without damping, no leftover motion from earlier drags leaks into exported frames
+        enableDamping={!exporting}
         dampingFactor={0.05}
         rotateSpeed={0.5}
         zoomSpeed={0.8}
         panSpeed={0.5}
-        enabled={!isTransitioning}
+        enabled={!isTransitioning && !areaDrawMode && !exporting}
       />
       {config.showStats && <Stats />}
     </>
@@ -197,121 +506,392 @@ function Scene({ tracks, center, onFeaturedTrackChange }) {
  * Main Tokyo Run Visualizer component
  */
 export default function TokyoRunVisualizer({ gpxFilePath }) {
-  const [tracks, setTracks] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [stats, setStats] = useState(null);
+  // View from a shared link; a `data` URL in it replaces the default dataset
+  const [initialView] = useState(readUrlViewState);
+  const [dataset, setDataset] = useState(initialView.dataset || gpxFilePath);
+
+  // The datasets from config.js, or the single file from the prop or a shared
+  // link, plus an entry for local files; each file's tracks are tagged with its id
+  const datasets = useMemo(
+    () => resolveDatasets(dataset === gpxFilePath ? config.datasets : [], dataset),
+    [dataset, gpxFilePath]
+  );
+  const sources = useMemo(
+    () => datasets.filter(entry => entry.url).map(entry => ({ url: entry.url, dataset: entry.id })),
+    [datasets]
+  );
+
+  // Tracks are parsed and projected in a worker and arrive in batches
+  const {
+    tracks: loadedTracks,
+    center,
+    loading,
+    error,
+    warning,
+    progress,
+    loadFiles
+  } = useTrackLoader(sources);
+
+  // Projection shared by every layer, matching the one the tracks were projected with
+  const projection = useMemo(() => center ? createProjection(center) : null, [center]);
+
+  // Terrain mode: the DEM, loaded on first use, becomes the ground, and runs
+  // are laid onto it where their own elevation is missing or noisy
+  const [terrainEnabled, setTerrainEnabled] = useState(config.terrain.enabled && Boolean(config.terrain.url));
+  const [exaggeration, setExaggeration] = useState(config.terrain.exaggeration);
+  const terrain = useTerrain(terrainEnabled);
+  const surface = useMemo(
+    () => terrainEnabled && terrain.dem && projection ? createTerrainSurface(terrain.dem, projection, exaggeration) : null,
+    [terrainEnabled, terrain.dem, projection, exaggeration]
+  );
+  const tracks = useDrapedTracks(loadedTracks, surface);
   const [featuredTrackIndex, setFeaturedTrackIndex] = useState(null);
-  const [center, setCenter] = useState(null);
+  const [cameraMode, setCameraMode] = useState(config.cameraAnimation.mode);
+  const [rotation, setRotation] = useState({
+    strategy: config.cameraAnimation.strategy,
+    intervalSeconds: config.cameraAnimation.intervalSeconds,
+  });
+  const [playbackMode, setPlaybackMode] = useState(initialView.playbackMode || config.playbackMode);
 
+  // Local files have no URL to share, so a link stops naming a dataset once
+  // they replace the runs; added files keep the datasets they join
+  const handleFiles = (files, mode) => {
+    if (mode !== 'append') setDataset(null);
+    loadFiles(files, mode, 'local');
+  };
+
+  // With runs from more than one dataset, each dataset gets its own colours,
+  // a legend entry and a visibility toggle
+  const trackDatasets = useMemo(() => tracks ? getTrackDatasets(tracks, datasets) : null, [tracks, datasets]);
+  const datasetRuns = useMemo(
+    () => trackDatasets ? countDatasetRuns(trackDatasets, datasets.length) : [],
+    [trackDatasets, datasets]
+  );
+  const multipleDatasets = datasetRuns.filter(count => count > 0).length > 1;
+  const datasetColors = useMemo(
+    () => multipleDatasets ? createDatasetColorScales(trackDatasets, datasets) : null,
+    [multipleDatasets, trackDatasets, datasets]
+  );
+  const [hiddenDatasets, setHiddenDatasets] = useState(() =>
+    Object.fromEntries(datasets.filter(entry => !entry.visible).map(entry => [entry.id, true]))
+  );
+  const datasetMask = useMemo(
+    () => multipleDatasets ? createDatasetMask(trackDatasets, hiddenDatasets, datasets) : null,
+    [multipleDatasets, trackDatasets, hiddenDatasets, datasets]
+  );
+  const toggleDataset = (id) => setHiddenDatasets(previous => ({ ...previous, [id]: !previous[id] }));
+
+  // Run picked in the scene; it stays featured until dismissed
+  const [pinnedTrackIndex, setPinnedTrackIndex] = useState(null);
+  const hoverState = useMemo(() => createHoverState(), []);
+
+  // A pin refers to the old track list once the tracks are replaced
+  const firstTrack = loadedTracks?.[0];
   useEffect(() => {
-    async function loadGPXData() {
-      try {
-        setLoading(true);
-        setError(null);
-
-        // Fetch the GPX file
-        const response = await fetch(gpxFilePath);
-        if (!response.ok) {
-          throw new Error(`Failed to load GPX file: ${response.statusText}`);
-        }
+    setPinnedTrackIndex(null);
+    hoverState.set(null);
+  }, [firstTrack, hoverState]);
+
+  // Run filters; they only recompute a visibility mask over the loaded tracks
+  const [filters, setFilters] = useState(initialView.filters);
+  const [areaDrawMode, setAreaDrawMode] = useState(null);
+  const visibleMask = useMemo(
+    () => tracks ? combineMasks(createFilterMask(tracks, filters), datasetMask) : null,
+    [tracks, filters, datasetMask]
+  );
+  const matchCount = countVisible(visibleMask, tracks ? tracks.length : 0);
+
+  const changeAreaDrawMode = (mode) => {
+    hoverState.set(null);
+    setAreaDrawMode(mode);
+  };
+
+  const handleAreaDrawn = (area) => {
+    if (area) setFilters(previous => ({ ...previous, area }));
+    setAreaDrawMode(null);
+  };
+
+  // Route clusters, grouped the first time the list is opened; selecting one
+  // highlights its runs. A selection from before the runs changed is dropped.
+  const [clustersOpen, setClustersOpen] = useState(false);
+  const routeClusters = useRouteClusters(loadedTracks, clustersOpen, loading);
+  const [selectedCluster, setSelectedCluster] = useState(null);
+  const highlightedCluster = routeClusters.clusters?.includes(selectedCluster) ? selectedCluster : null;
+  const clusterMask = useMemo(
+    () => tracks ? createClusterMask(highlightedCluster, tracks.length) : null,
+    [highlightedCluster, tracks]
+  );
 
-        const gpxString = await response.text();
-
-        // Parse GPX
-        console.time('Parse GPX');
-        const parsedTracks = parseGPX(gpxString);
-        console.timeEnd('Parse GPX');
-        console.log(`Parsed ${parsedTracks.length} tracks`);
-
-        // Calculate center for station positioning
-        const trackCenter = calculateCenter(parsedTracks);
-        console.log('Center:', trackCenter);
-        setCenter(trackCenter);
-
-        // Process tracks (convert to 3D, create curves)
-        console.time('Process Tracks');
-        const processedTracks = processTracks(parsedTracks);
-        console.timeEnd('Process Tracks');
-        console.log(`Processed ${processedTracks.length} tracks`);
-
-        // Calculate bounding box
-        const bbox = calculateBoundingBox(processedTracks);
-        console.log('Bounding box:', bbox);
-
-        // Set stats
-        setStats({
-          totalTracks: processedTracks.length,
-          boundingBox: bbox
-        });
-
-        setTracks(processedTracks);
-      } catch (err) {
-        console.error('Error loading GPX data:', err);
-        setError(err.message);
-      } finally {
-        setLoading(false);
+  const toggleClusters = () => {
+    setClustersOpen(!clustersOpen);
+    setSelectedCluster(null);
+  };
+
+  // A pinned run that the filters hide is dismissed
+  useEffect(() => {
+    if (visibleMask && pinnedTrackIndex !== null && !visibleMask[pinnedTrackIndex]) {
+      setPinnedTrackIndex(null);
+    }
+  }, [visibleMask, pinnedTrackIndex]);
+
+  // Escape cancels area drawing, or else dismisses the pinned run
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape') return;
+      if (areaDrawMode) {
+        setAreaDrawMode(null);
+      } else {
+        setPinnedTrackIndex(null);
       }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [areaDrawMode]);
+
+  // Shared playback clock, driven by the transport bar
+  const clock = useMemo(() => createPlaybackClock(), []);
+
+  // Parts of a linked view that need the tracks (pinned run, camera and
+  // playback time) wait until they have loaded
+  const [pendingView, setPendingView] = useState(initialView);
+  const [restoredCamera, setRestoredCamera] = useState(null);
+  const cameraViewRef = useRef(null);
+
+  useEffect(() => {
+    if (!pendingView) return;
+
+    // Nothing to restore onto if the dataset failed to load
+    if (error && !loading && !pendingView.waitForLoad) {
+      setPendingView(null);
+      return;
     }
+    if (!tracks || tracks.length === 0) return;
 
-    if (gpxFilePath) {
-      loadGPXData();
+    // After switching datasets, wait for the new load to start before waiting for it to end
+    if (pendingView.waitForLoad) {
+      if (loading) setPendingView({ ...pendingView, waitForLoad: false });
+      return;
     }
-  }, [gpxFilePath]);
+    if (loading) return;
+
+    setPendingView(null);
+    setPinnedTrackIndex(pendingView.run !== null && pendingView.run < tracks.length ? pendingView.run : null);
+    if (pendingView.camera) setRestoredCamera({ ...pendingView.camera });
+    if (pendingView.time !== undefined) clock.seek(pendingView.time);
+  }, [pendingView, tracks, loading, error, clock]);
 
-  if (loading) {
+  // Back/forward restores an earlier view
+  const restoreView = (view) => {
+    const viewDataset = view.dataset || gpxFilePath;
+    setFilters(view.filters);
+    setAreaDrawMode(null);
+    setPlaybackMode(view.playbackMode || config.playbackMode);
+
+    if (viewDataset !== dataset) {
+      setDataset(viewDataset);
+      setPendingView({ ...view, waitForLoad: true });
+    } else {
+      setPendingView(view);
+    }
+  };
+
+  // Video export: while a job runs the Canvas renders only the frames the
+  // exporter asks for, at the job's resolution
+  const [exportJob, setExportJob] = useState(null);
+  const [exportProgress, setExportProgress] = useState(0);
+  const [exportError, setExportError] = useState(null);
+
+  const startExport = (job) => {
+    hoverState.set(null);
+    setAreaDrawMode(null);
+    setExportError(null);
+    setExportProgress(0);
+    setExportJob(job);
+  };
+
+  // Re-render for whole percents only
+  const handleExportProgress = (fraction) => {
+    setExportProgress(previous => Math.floor(previous * 100) === Math.floor(fraction * 100) ? previous : fraction);
+  };
+
+  const handleExportFinish = (exportFailure) => {
+    setExportJob(null);
+    setExportError(exportFailure);
+  };
+
+  // Current view for the URL; not written until a linked view has been restored
+  const getView = () => pendingView ? null : {
+    dataset: dataset !== gpxFilePath ? dataset : null,
+    run: pinnedTrackIndex,
+    camera: cameraViewRef.current ? cameraViewRef.current() : null,
+    playbackMode,
+    time: clock.time,
+    filters,
+  };
+
+  useUrlViewState(getView, pinnedTrackIndex, restoreView, initialView.run);
+
+  // Colour-by mode and ramp for trails and orbs
+  const [colorBy, setColorBy] = useState(config.colorBy.mode);
+  const [colorRamp, setColorRamp] = useState(config.colorBy.ramp);
+  // Built from the tracks before draping, so elevations stay in real metres
+  const colorScale = useMemo(
+    () => loadedTracks && loadedTracks.length > 0 ? createColorScale(colorBy, colorRamp, loadedTracks) : null,
+    [loadedTracks, colorBy, colorRamp]
+  );
+
+  // Camera tour: keyframes loaded from JSON or recorded from the current view,
+  // played in place of the random rotation
+  const [tour, setTour] = useState(null);
+  const [tourPlaying, setTourPlaying] = useState(false);
+  const [tourStep, setTourStep] = useState(null);
+  const [tourError, setTourError] = useState(null);
+
+  useEffect(() => {
+    if (!config.tour.url) return;
+    loadTour(config.tour.url)
+      .then(loaded => {
+        setTour(loaded);
+        setTourPlaying(config.tour.autoplay);
+      })
+      .catch(error => {
+        console.warn('[Tour] Could not load tour:', error);
+        setTourError(error.message);
+      });
+  }, []);
+
+  const loadTourFile = async (file) => {
+    try {
+      setTour(parseTour(JSON.parse(await file.text())));
+      setTourPlaying(false);
+      setTourError(null);
+    } catch (error) {
+      console.warn('[Tour] Could not read tour file:', error);
+      setTourError(error.message);
+    }
+  };
+
+  const recordKeyframe = (caption) => {
+    const view = cameraViewRef.current?.();
+    if (!view) return;
+    const keyframe = createKeyframe(view, featuredTrackIndex, caption);
+    setTour(previous => ({
+      title: previous?.title || '',
+      loop: previous?.loop ?? true,
+      keyframes: [...(previous?.keyframes || []), keyframe],
+    }));
+    setTourError(null);
+  };
+
+  // Clearing the tour stops it
+  useEffect(() => {
+    if (!tour) setTourPlaying(false);
+  }, [tour]);
+
+  // Offline basemap under the runs, with a selectable style preset
+  const basemapLayers = useBasemapLayers(config.basemap.layers);
+  const [basemapPreset, setBasemapPreset] = useState(config.basemap.preset);
+
+  // Landmark layers, toggled on screen and limited to the area the tracks cover
+  const landmarkLayers = useLandmarkLayers(config.landmarks.layers);
+  const [visibleLayers, setVisibleLayers] = useState(() =>
+    Object.fromEntries(config.landmarks.layers.map(layer => [layer.id, layer.visible !== false]))
+  );
+  const toggleLayer = (id) => setVisibleLayers(previous => ({ ...previous, [id]: !previous[id] }));
+  const landmarkBounds = useMemo(
+    () => config.landmarks.onlyWithinTracks && tracks && tracks.length > 0 ? calculateBoundingBox(tracks) : null,
+    [tracks]
+  );
+
+  // Poster export: the frame loop stops while the poster's tiles render, and
+  // the labels and stats are gathered from what's on screen when it starts
+  const [posterJob, setPosterJob] = useState(null);
+  const [posterProgress, setPosterProgress] = useState(0);
+  const [posterError, setPosterError] = useState(null);
+  const composerRef = useRef(null);
+
+  const startPoster = (settings) => {
+    hoverState.set(null);
+    setAreaDrawMode(null);
+    setPosterError(null);
+    setPosterProgress(0);
+    setPosterJob({
+      ...settings,
+      summary: summarizeRuns(tracks, visibleMask),
+      labels: projection
+        ? landmarkLayers
+          .filter(layer => visibleLayers[layer.id])
+          .flatMap(layer => positionLandmarks(layer, projection, landmarkBounds, surface).map(({ name, position }) => ({
+            text: landmarkLabel(layer, name),
+            color: layer.color,
+            // Where the on-screen label sits, above the marker
+            position: { x: position.x, y: position.y + 6, z: position.z },
+          })))
+        : [],
+    });
+  };
+
+  const handlePosterProgress = (fraction) => {
+    setPosterProgress(previous => Math.floor(previous * 100) === Math.floor(fraction * 100) ? previous : fraction);
+  };
+
+  const handlePosterFinish = (posterFailure) => {
+    setPosterJob(null);
+    setPosterError(posterFailure);
+  };
+
+  // Real-pace playback needs per-point times on at least one run
+  const hasRunTimes = useMemo(() => Boolean(tracks) && getLongestDuration(tracks) > 0, [tracks]);
+
+  // Calendar timeline for history playback
+  const timeline = useMemo(() => tracks ? createHistoryTimeline(tracks) : null, [tracks]);
+  const hasRunDates = Boolean(timeline && timeline.sortedTimes.length > 0);
+
+  const playbackModes = [
+    { mode: 'uniform', label: 'Uniform pace', available: true },
+    { mode: 'realPace', label: 'Real pace', available: hasRunTimes },
+    { mode: 'history', label: 'History', available: hasRunDates },
+  ].filter(option => option.available);
+
+  const changePlaybackMode = (mode) => {
+    clock.seek(0);
+    setPlaybackMode(mode);
+  };
+
+  const loopDuration = useMemo(
+    () => tracks ? getLoopDuration(playbackMode, tracks) : config.animationDuration,
+    [playbackMode, tracks]
+  );
+
+  const hasTracks = Boolean(tracks && tracks.length > 0);
+
+  // Full-screen states only apply before anything is on screen; once runs are
+  // displayed, loading more files keeps the canvas mounted
+  if (loading && !hasTracks) {
     return (
-      <div style={{
-        width: '100vw',
-        height: '100vh',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        backgroundColor: config.backgroundColor,
-        color: config.orbColor,
-        fontFamily: 'monospace',
-        fontSize: '18px'
-      }}>
+      <FileDropZone onFiles={handleFiles}>
         Loading Tokyo running data...
-      </div>
+        <div style={{ fontSize: '13px', marginTop: '10px', opacity: 0.7 }}>
+          {formatLoadProgress(progress)}
+        </div>
+      </FileDropZone>
     );
   }
 
-  if (error) {
+  if (error && !hasTracks) {
     return (
-      <div style={{
-        width: '100vw',
-        height: '100vh',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        backgroundColor: config.backgroundColor,
-        color: '#ff0000',
-        fontFamily: 'monospace',
-        fontSize: '18px',
-        padding: '20px',
-        textAlign: 'center'
-      }}>
+      <FileDropZone onFiles={handleFiles} color="#ff0000">
         Error: {error}
-      </div>
+      </FileDropZone>
     );
   }
 
-  if (!tracks || tracks.length === 0) {
+  if (!hasTracks) {
     return (
-      <div style={{
-        width: '100vw',
-        height: '100vh',
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        backgroundColor: config.backgroundColor,
-        color: config.orbColor,
-        fontFamily: 'monospace',
-        fontSize: '18px'
-      }}>
-        No tracks found in GPX file
-      </div>
+      <FileDropZone onFiles={handleFiles}>
+        {dataset ? 'No tracks found in GPX file' : 'No runs loaded yet'}
+      </FileDropZone>
     );
   }
 
@@ -319,9 +899,210 @@ export default function TokyoRunVisualizer({ gpxFilePath }) {
     <div style={{ width: '100vw', height: '100vh', position: 'relative' }}>
       {/* Info overlay for featured track */}
       {tracks && featuredTrackIndex !== null && (
-        <InfoOverlay featuredTrack={tracks[featuredTrackIndex]} />
+        <InfoOverlay
+          featuredTrack={tracks[featuredTrackIndex]}
+          athlete={multipleDatasets ? datasets[trackDatasets[featuredTrackIndex]] : null}
+          pinned={pinnedTrackIndex !== null}
+          onDismiss={() => setPinnedTrackIndex(null)}
+        />
+      )}
+
+      {/* Tooltip for the run under the pointer */}
+      <PickTooltip hoverState={hoverState} tracks={tracks} />
+
+      {/* Drag-and-drop and file picker for local track files */}
+      <DropOverlay onFiles={handleFiles} />
+
+      {/* Status for files loaded on top of the current view, and files that failed */}
+      {(loading || error || warning) && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '15px',
+          fontFamily: 'monospace',
+          fontSize: '12px',
+          color: error || (warning && !loading) ? '#ff0000' : config.orbColor,
+          zIndex: 100
+        }}>
+          {error ? `Error: ${error}` : loading ? `Loading… ${formatLoadProgress(progress)}` : `Skipped: ${warning}`}
+        </div>
       )}
 
+      {/* Playback mode selector */}
+      {playbackModes.length > 1 && (
+        <div style={{
+          position: 'absolute',
+          top: '15px',
+          left: '15px',
+          display: 'flex',
+          gap: '6px',
+          zIndex: 100
+        }}>
+          {playbackModes.map(({ mode, label }) => (
+            <button
+              key={mode}
+              type="button"
+              onClick={() => changePlaybackMode(mode)}
+              style={{
+                background: 'transparent',
+                color: playbackMode === mode ? config.orbColor : '#888',
+                border: `1px solid ${playbackMode === mode ? config.orbColor : '#444'}`,
+                borderRadius: '4px',
+                padding: '6px 12px',
+                fontFamily: 'monospace',
+                fontSize: '12px',
+                cursor: 'pointer'
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Colour-by selector and legend, and the dataset legend */}
+      <div style={{
+        position: 'absolute',
+        top: '55px',
+        left: '15px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '10px',
+        zIndex: 100
+      }}>
+        <ColorLegend
+          colorBy={colorBy}
+          colorRamp={colorRamp}
+          colorScale={colorScale}
+          onColorByChange={setColorBy}
+          onColorRampChange={setColorRamp}
+        />
+        {multipleDatasets && (
+          <DatasetLegend
+            datasets={datasets}
+            runCounts={datasetRuns}
+            hidden={hiddenDatasets}
+            overridden={Boolean(colorScale)}
+            onToggle={toggleDataset}
+          />
+        )}
+      </div>
+
+      {/* Date counter for history playback */}
+      {playbackMode === 'history' && hasRunDates && (
+        <HistoryDateCounter timeline={timeline} clock={clock} />
+      )}
+
+      {/* Caption of the tour keyframe being played */}
+      {tourPlaying && tourStep !== null && <TourCaption text={tour.keyframes[tourStep]?.caption} />}
+
+      {/* Camera tour, mode and rotation, terrain, basemap style and landmark layer toggles */}
+      <div style={{
+        position: 'absolute',
+        bottom: '15px',
+        left: '15px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '6px',
+        fontFamily: 'monospace',
+        fontSize: '12px',
+        zIndex: 100
+      }}>
+        <TourPanel
+          tour={tour}
+          playing={tourPlaying}
+          error={tourError}
+          onPlayToggle={() => setTourPlaying(!tourPlaying)}
+          onRecord={recordKeyframe}
+          onLoad={loadTourFile}
+          onSave={() => downloadBlob(serializeTour(tour), 'camera-tour.json')}
+          onClear={() => setTour(null)}
+        />
+        <CameraModeSelect mode={cameraMode} onChange={setCameraMode} />
+        <RotationControls rotation={rotation} onChange={setRotation} />
+        {config.terrain.url && (
+          <TerrainControls
+            enabled={terrainEnabled}
+            onToggle={() => setTerrainEnabled(!terrainEnabled)}
+            exaggeration={exaggeration}
+            onExaggerationChange={setExaggeration}
+            loading={terrain.loading}
+            error={terrain.error}
+          />
+        )}
+        {basemapLayers.some(layer => !layer.error) && (
+          <BasemapStyleSelect preset={basemapPreset} onChange={setBasemapPreset} />
+        )}
+        {landmarkLayers.length > 0 && (
+          <LandmarkLayerToggles layers={landmarkLayers} visibleLayers={visibleLayers} onToggle={toggleLayer} />
+        )}
+      </div>
+
+      {/* Date, distance and area filters, and route clusters */}
+      <div style={{
+        position: 'absolute',
+        top: '90px',
+        right: '15px',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '8px',
+        zIndex: 100
+      }}>
+        <FilterPanel
+          filters={filters}
+          onChange={setFilters}
+          drawMode={areaDrawMode}
+          onDrawModeChange={changeAreaDrawMode}
+          matchCount={matchCount}
+          totalCount={tracks.length}
+        />
+        <RouteClusterPanel
+          open={clustersOpen}
+          onOpenToggle={toggleClusters}
+          clusters={routeClusters.clusters}
+          computing={routeClusters.computing}
+          tracks={tracks}
+          selected={highlightedCluster}
+          onSelect={setSelectedCluster}
+          onPickRun={setPinnedTrackIndex}
+        />
+      </div>
+
+      {/* Exports */}
+      <div style={{
+        position: 'absolute',
+        bottom: '45px',
+        right: '15px',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'flex-end',
+        gap: '6px',
+        // Above everything while an export's progress screen is showing
+        zIndex: exportJob || posterJob ? 2000 : 100
+      }}>
+        {/* High-resolution poster PNG */}
+        <PosterExportPanel
+          job={posterJob}
+          progress={posterProgress}
+          error={posterError}
+          onStart={startPoster}
+          onCancel={() => setPosterJob(null)}
+        />
+
+        {/* Frame-by-frame WebM export */}
+        <VideoExportPanel
+          loopDuration={loopDuration}
+          job={exportJob}
+          progress={exportProgress}
+          error={exportError}
+          onStart={startExport}
+          onCancel={() => setExportJob(null)}
+        />
+      </div>
+
+      {/* Play/pause, speed, scrub and step controls for the shared clock */}
+      <TransportBar clock={clock} loopDuration={loopDuration} />
+
       <Canvas
         camera={{
           position: config.cameraPosition,
@@ -334,11 +1115,64 @@ export default function TokyoRunVisualizer({ gpxFilePath }) {
           toneMapping: THREE.ACESFilmicToneMapping,
           toneMappingExposure: 1.0
         }}
-        style={{ background: config.backgroundColor }}
+        frameloop={exportJob || posterJob ? 'never' : 'always'}
+        dpr={exportJob ? 1 : [1, 2]}
+        style={{
+          background: config.backgroundColor,
+          ...(exportJob && { width: `${exportJob.width}px`, height: `${exportJob.height}px` })
+        }}
+        raycaster={{
+          params: { Mesh: {}, Line: { threshold: config.picking.lineThreshold }, LOD: {}, Points: { threshold: 1 }, Sprite: {} }
+        }}
+        onPointerMissed={() => hoverState.set(null)}
       >
-        <Scene tracks={tracks} center={center} onFeaturedTrackChange={setFeaturedTrackIndex} />
+        <Scene
+          tracks={tracks}
+          projection={projection}
+          surface={surface}
+          basemapLayers={basemapLayers}
+          basemapPreset={basemapPreset}
+          landmarkLayers={landmarkLayers.filter(layer => visibleLayers[layer.id])}
+          landmarkBounds={landmarkBounds}
+          playbackMode={playbackMode}
+          clock={clock}
+          timeline={timeline}
+          colorScale={colorScale}
+          datasetColors={datasetColors}
+          visibleMask={visibleMask}
+          highlightMask={clusterMask}
+          highlightRoute={highlightedCluster ? tracks[highlightedCluster.representative] : null}
+          filterArea={filters.area}
+          areaDrawMode={areaDrawMode}
+          onAreaDrawn={handleAreaDrawn}
+          pinnedTrackIndex={pinnedTrackIndex}
+          onPickTrack={setPinnedTrackIndex}
+          hoverState={hoverState}
+          cameraViewRef={cameraViewRef}
+          restoredCamera={restoredCamera}
+          exporting={Boolean(exportJob)}
+          cameraMode={cameraMode}
+          tour={tourPlaying ? tour : null}
+          rotation={rotation}
+          onFeaturedTrackChange={setFeaturedTrackIndex}
+          onTourStepChange={setTourStep}
+        />
+
+        <VideoExportDriver
+          job={exportJob}
+          clock={clock}
+          onProgress={handleExportProgress}
+          onFinish={handleExportFinish}
+        />
+
+        <PosterExportDriver
+          job={posterJob}
+          composerRef={composerRef}
+          onProgress={handlePosterProgress}
+          onFinish={handlePosterFinish}
+        />
 
-        <EffectComposer>
+        <EffectComposer ref={composerRef}>
           <Bloom
             intensity={config.bloomIntensity}
             luminanceThreshold={config.bloomLuminanceThreshold}
@@ -0,0 +1,88 @@
+/**
+ * Shared playback clock
+ *
+ * Every animated part of the visualizer (orbs, trails, camera, overlays) reads
+ * `clock.time` instead of wall-clock time, so the transport bar can pause,
+ * speed up, scrub and step the whole scene at once. The clock is advanced once
+ * per rendered frame by the ClockDriver component inside the Canvas.
+ */
+
+/**
+ * Create a playback clock
+ * @param {Object} options - Initial state {playing, speed}
+ * @returns {Object} Clock with time (seconds), playing, speed and control methods
+ */
+export function createPlaybackClock({ playing = true, speed = 1 } = {}) {
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener(clock));
+
+  const clock = {
+    time: 0,
+    playing,
+    speed,
+
+    /**
+     * Advance the clock by one frame
+     * @param {number} delta - Wall-clock seconds since the previous frame
+     */
+    tick(delta) {
+      if (clock.playing) {
+        clock.time += delta * clock.speed;
+      }
+    },
+
+    play() {
+      clock.playing = true;
+      notify();
+    },
+
+    pause() {
+      clock.playing = false;
+      notify();
+    },
+
+    toggle() {
+      clock.playing = !clock.playing;
+      notify();
+    },
+
+    /**
+     * @param {number} speed - Playback speed multiplier (1 = real time)
+     */
+    setSpeed(speed) {
+      clock.speed = speed;
+      notify();
+    },
+
+    /**
+     * Jump to a time
+     * @param {number} time - Playback time in seconds
+     */
+    seek(time) {
+      clock.time = Math.max(0, time);
+      notify();
+    },
+
+    /**
+     * Step forwards or backwards by whole frames
+     * @param {number} frames - Number of frames (negative steps back)
+     * @param {number} frameDuration - Seconds per frame
+     */
+    step(frames, frameDuration) {
+      clock.seek(clock.time + frames * frameDuration);
+    },
+
+    /**
+     * Listen for play/pause, speed and seek changes (not per-frame ticks)
+     * @param {Function} listener - Called with the clock
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+
+  return clock;
+}
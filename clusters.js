@@ -0,0 +1,238 @@
+/**
+ * Route clustering: groups runs that follow the same route
+ *
+ * Two runs are similar when the grid cells their routes pass through mostly
+ * overlap (Jaccard index of the cell sets), or, with the 'frechet' measure,
+ * when the discrete Fréchet distance between the routes is small. The overlap
+ * score also serves as a cheap prefilter for Fréchet, so only runs that share
+ * ground are compared point by point.
+ *
+ * Clusters are grown greedily around the run with the most similar runs, which
+ * becomes the cluster's representative route; its similar runs that aren't in
+ * a cluster yet join it (with Fréchet, those that also pass the Fréchet test
+ * against it). This keeps clusters tight, unlike chaining similar pairs
+ * together, which would merge neighbouring loops through shared streets.
+ */
+
+import { config } from './config';
+import { parseTime } from './parsers/time';
+
+// Offset that keeps grid cell coordinates positive when packed into one key
+const CELL_OFFSET = 32768;
+
+/**
+ * Grid cells a route passes through, walking each segment so long straight
+ * stretches between simplified points don't skip cells
+ * @param {Object} track - Processed track with points
+ * @param {number} cellSize - Cell size in scene units
+ * @returns {Set<number>} Packed cell keys
+ */
+function getRouteCells(track, cellSize) {
+  const cells = new Set();
+  const addCell = (x, z) => {
+    cells.add((Math.floor(x / cellSize) + CELL_OFFSET) * 65536 + Math.floor(z / cellSize) + CELL_OFFSET);
+  };
+
+  const { points } = track;
+  addCell(points[0].x, points[0].z);
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    const steps = Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / (cellSize / 2));
+    for (let s = 1; s <= steps; s++) {
+      addCell(a.x + ((b.x - a.x) * s) / steps, a.z + ((b.z - a.z) * s) / steps);
+    }
+  }
+  return cells;
+}
+
+/**
+ * Points evenly spaced along a route, ignoring height
+ * @param {Object} track - Processed track with points
+ * @param {number} count - Number of points
+ * @returns {Float64Array} x, z pairs
+ */
+function resampleRoute(track, count) {
+  const { points } = track;
+  const lengths = [0];
+  for (let i = 1; i < points.length; i++) {
+    lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].z - points[i - 1].z));
+  }
+  const total = lengths[lengths.length - 1];
+
+  const samples = new Float64Array(count * 2);
+  let segment = 1;
+  for (let s = 0; s < count; s++) {
+    const distance = (total * s) / (count - 1);
+    while (segment < points.length - 1 && lengths[segment] < distance) segment++;
+
+    const span = lengths[segment] - lengths[segment - 1];
+    const t = span > 0 ? Math.min(1, Math.max(0, (distance - lengths[segment - 1]) / span)) : 0;
+    samples[s * 2] = points[segment - 1].x + (points[segment].x - points[segment - 1].x) * t;
+    samples[s * 2 + 1] = points[segment - 1].z + (points[segment].z - points[segment - 1].z) * t;
+  }
+  return samples;
+}
+
+/**
+ * Whether the discrete Fréchet distance between two resampled routes of the
+ * same length is within a threshold
+ * Every coupling of the routes passes through each row of the table, so the
+ * comparison stops as soon as a whole row is over the threshold.
+ * @param {Float64Array} a - x, z pairs from resampleRoute
+ * @param {Float64Array} b - x, z pairs from resampleRoute
+ * @param {boolean} reverseB - Walk b from its end, for routes run the other way round
+ * @param {number} threshold - Largest distance in scene units
+ * @returns {boolean} True if the routes are within the threshold
+ */
+function isFrechetWithin(a, b, reverseB, threshold) {
+  const n = a.length / 2;
+  let previous = new Float64Array(n);
+  let current = new Float64Array(n);
+
+  for (let i = 0; i < n; i++) {
+    let rowMin = Infinity;
+    for (let j = 0; j < n; j++) {
+      const k = reverseB ? n - 1 - j : j;
+      const d = Math.hypot(a[i * 2] - b[k * 2], a[i * 2 + 1] - b[k * 2 + 1]);
+      if (i === 0 && j === 0) current[j] = d;
+      else if (i === 0) current[j] = Math.max(current[j - 1], d);
+      else if (j === 0) current[j] = Math.max(previous[0], d);
+      else current[j] = Math.max(Math.min(previous[j], previous[j - 1], current[j - 1]), d);
+      if (current[j] < rowMin) rowMin = current[j];
+    }
+    if (rowMin > threshold) return false;
+    [previous, current] = [current, previous];
+  }
+  return previous[n - 1] <= threshold;
+}
+
+/**
+ * Stats for one cluster
+ * @param {Array} processedTracks - Processed tracks
+ * @param {number[]} members - Track indices, representative first
+ * @returns {Object} Cluster without its id
+ */
+function summarizeCluster(processedTracks, members) {
+  let startTime = null;
+  let endTime = null;
+  let mostRecent = null;
+  let fastest = null;
+
+  members.forEach(index => {
+    const track = processedTracks[index];
+    const time = parseTime(track.metadata.timestamp);
+    if (time !== null) {
+      if (startTime === null || time < startTime) startTime = time;
+      if (endTime === null || time > endTime) {
+        endTime = time;
+        mostRecent = index;
+      }
+    }
+
+    const pace = track.metrics?.averagePace;
+    if (pace != null && (fastest === null || pace < processedTracks[fastest].metrics.averagePace)) {
+      fastest = index;
+    }
+  });
+
+  return {
+    representative: members[0],
+    members,
+    count: members.length,
+    distance: processedTracks[members[0]].metrics?.distance ?? null,
+    startTime,
+    endTime,
+    mostRecent,
+    fastest,
+  };
+}
+
+/**
+ * Group similar routes
+ * @param {Array} processedTracks - Processed tracks
+ * @param {Object} options - config.clusters: {measure, cellSize, overlapThreshold,
+ *   candidateOverlap, frechetThreshold, frechetSamples, ignoreDirection, minRuns}
+ * @returns {Array} Clusters, most runs first: {id, representative, members, count,
+ *   distance, startTime, endTime, mostRecent, fastest}, where representative,
+ *   members, mostRecent and fastest are track indices (mostRecent and fastest
+ *   are null when no member has a date or pace) and times are Unix milliseconds
+ */
+export function clusterRoutes(processedTracks, options = config.clusters) {
+  const count = processedTracks.length;
+  const frechet = options.measure === 'frechet';
+  const minOverlap = frechet ? options.candidateOverlap : options.overlapThreshold;
+
+  const cells = processedTracks.map(track => getRouteCells(track, options.cellSize));
+  const samples = frechet ? processedTracks.map(track => resampleRoute(track, options.frechetSamples)) : null;
+
+  // Runs in each cell, so only runs that share ground are compared
+  const runsInCell = new Map();
+  cells.forEach((trackCells, i) => {
+    trackCells.forEach(cell => {
+      if (!runsInCell.has(cell)) runsInCell.set(cell, []);
+      runsInCell.get(cell).push(i);
+    });
+  });
+
+  const neighbours = processedTracks.map(() => []);
+  const shared = new Int32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const touched = [];
+    cells[i].forEach(cell => {
+      runsInCell.get(cell).forEach(j => {
+        if (j > i && shared[j]++ === 0) touched.push(j);
+      });
+    });
+
+    touched.forEach(j => {
+      const overlap = shared[j] / (cells[i].size + cells[j].size - shared[j]);
+      shared[j] = 0;
+      if (overlap < minOverlap) return;
+      neighbours[i].push(j);
+      neighbours[j].push(i);
+    });
+  }
+
+  // With Fréchet, runs are only measured against the run they'd join
+  const matchesSeed = (seed, j) => isFrechetWithin(samples[seed], samples[j], false, options.frechetThreshold)
+    || (options.ignoreDirection && isFrechetWithin(samples[seed], samples[j], true, options.frechetThreshold));
+
+  // Seed clusters from the runs with the most similar runs
+  const order = Array.from({ length: count }, (_, i) => i)
+    .sort((a, b) => neighbours[b].length - neighbours[a].length || a - b);
+  const assigned = new Uint8Array(count);
+  const clusters = [];
+
+  order.forEach(seed => {
+    if (assigned[seed] || neighbours[seed].length + 1 < options.minRuns) return;
+
+    const members = [seed, ...neighbours[seed].filter(j => !assigned[j] && (!frechet || matchesSeed(seed, j)))];
+    if (members.length < options.minRuns) return;
+
+    members.forEach(j => {
+      assigned[j] = 1;
+    });
+    clusters.push(summarizeCluster(processedTracks, members));
+  });
+
+  return clusters
+    .sort((a, b) => b.count - a.count)
+    .map((cluster, id) => ({ id, ...cluster }));
+}
+
+/**
+ * Visibility mask for a cluster's members
+ * @param {Object|null} cluster - Cluster from clusterRoutes, or null
+ * @param {number} total - Number of tracks
+ * @returns {Uint8Array|null} 1 for each member; null without a cluster
+ */
+export function createClusterMask(cluster, total) {
+  if (!cluster) return null;
+  const mask = new Uint8Array(total);
+  cluster.members.forEach(index => {
+    mask[index] = 1;
+  });
+  return mask;
+}
@@ -0,0 +1,204 @@
+/**
+ * Colour-by modes and colour ramps
+ *
+ * A colour scale maps one data attribute of the runs onto a colour ramp. Trails
+ * get per-vertex colours and orbs per-instance colours from the same scale, and
+ * the legend reads its label and domain.
+ *
+ * Most modes colour a whole run by one value. Elevation colours every vertex
+ * (and every orb, as it moves) by its own height.
+ */
+
+import * as THREE from 'three';
+import { parseTime, formatDate } from './parsers/time';
+import { formatDistance, formatPace } from './metrics';
+import { config } from './config';
+
+// Colour stops from low to high; all start bright enough to read on black
+export const COLOR_RAMPS = {
+  viridis: ['#3E4A89', '#31688E', '#26828E', '#1F9E89', '#35B779', '#6DCD59', '#B4DE2C', '#FDE725'],
+  plasma: ['#46039F', '#7201A8', '#9C179E', '#BD3786', '#D8576B', '#ED7953', '#FB9F3A', '#FDCA26', '#F0F921'],
+  turbo: ['#4662D7', '#36AAF9', '#1AE4B6', '#72FE5E', '#C8EF34', '#FABA39', '#F66B19', '#CA2A04'],
+  neon: [config.orbColor, '#8A8AFF', config.trailColor],
+};
+
+// Colour for runs without a value in the current mode (e.g. pace without times)
+const MISSING_COLOR = new THREE.Color('#555555');
+
+// Scratch colour for ramp interpolation, which runs for every orb every frame
+const nextStop = new THREE.Color();
+
+/**
+ * Format a time of day given in hours
+ * @param {number} hours - Hours since midnight
+ * @returns {string} e.g. "06:30"
+ */
+function formatTimeOfDay(hours) {
+  const minutes = Math.round(hours * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Colour-by modes: how to read each run's value and how to print it
+const COLOR_BY_DEFINITIONS = {
+  date: {
+    label: 'Date',
+    value: track => parseTime(track.metadata.timestamp),
+    format: formatDate,
+  },
+  distance: {
+    label: 'Distance',
+    value: track => track.metrics?.distance ?? null,
+    format: formatDistance,
+  },
+  pace: {
+    label: 'Pace',
+    value: track => track.metrics?.averagePace ?? null,
+    format: formatPace,
+  },
+  timeOfDay: {
+    label: 'Time of day',
+    // Start time in the viewer's local time zone
+    value: (track) => {
+      const startTime = track.metrics?.startTime;
+      if (startTime == null) return null;
+      const date = new Date(startTime);
+      return date.getHours() + date.getMinutes() / 60;
+    },
+    format: formatTimeOfDay,
+    domain: [0, 24],
+  },
+  elevation: {
+    label: 'Elevation',
+    perVertex: true,
+    format: meters => `${Math.round(meters)} m`,
+  },
+};
+
+// Modes in display order, for selectors
+export const COLOR_BY_MODES = [
+  { mode: 'none', label: 'Single colour' },
+  ...Object.entries(COLOR_BY_DEFINITIONS).map(([mode, { label }]) => ({ mode, label })),
+];
+
+/**
+ * Sample a colour ramp
+ * @param {string} ramp - Ramp name from COLOR_RAMPS
+ * @param {number} t - Position from 0 (low) to 1 (high); clamped
+ * @param {THREE.Color} target - Colour to write into
+ * @returns {THREE.Color} target
+ */
+export function sampleRamp(ramp, t, target) {
+  const stops = COLOR_RAMPS[ramp] || COLOR_RAMPS.viridis;
+  const position = Math.max(0, Math.min(1, t)) * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+
+  return target.set(stops[index]).lerp(nextStop.set(stops[index + 1]), position - index);
+}
+
+/**
+ * Range of values covering most of the data, ignoring the extreme 2% at each end
+ * so one GPS glitch doesn't squash every other run into one colour
+ * @param {Array<number>} values - Values (at least one)
+ * @returns {Array<number>} [min, max]
+ */
+function robustDomain(values) {
+  const sorted = Float64Array.from(values).sort();
+  const at = fraction => sorted[Math.round(fraction * (sorted.length - 1))];
+  const min = at(0.02);
+  const max = at(0.98);
+  return max > min ? [min, max] : [sorted[0], sorted[sorted.length - 1]];
+}
+
+/**
+ * Create a colour scale for a colour-by mode
+ * @param {string} mode - Mode key from COLOR_BY_MODES
+ * @param {string} ramp - Ramp name from COLOR_RAMPS
+ * @param {Array} processedTracks - Array of processed tracks, before draping onto
+ *   terrain, so elevations read back from the points' height are in metres
+ * @returns {Object|null} Scale {mode, ramp, label, domain, perVertex, format(value),
+ *   trackValues, colorAt(value, target)}, or null for 'none' or when no run has a value
+ */
+export function createColorScale(mode, ramp, processedTracks) {
+  const definition = COLOR_BY_DEFINITIONS[mode];
+  if (!definition) return null;
+
+  let trackValues = null;
+  let values;
+
+  if (definition.perVertex) {
+    // Elevation: every point of every run, in metres
+    values = [];
+    processedTracks.forEach(track => {
+      track.points.forEach(point => values.push(point.y / config.elevationScale));
+    });
+  } else {
+    trackValues = processedTracks.map(definition.value);
+    values = trackValues.filter(value => value !== null && Number.isFinite(value));
+  }
+
+  if (values.length === 0) return null;
+
+  const domain = definition.domain || robustDomain(values);
+  const span = domain[1] - domain[0] || 1;
+
+  return {
+    mode,
+    ramp,
+    label: definition.label,
+    domain,
+    perVertex: Boolean(definition.perVertex),
+    format: definition.format,
+    trackValues,
+
+    /**
+     * Colour for a value
+     * @param {number|null} value - Value in the mode's units
+     * @param {THREE.Color} target - Colour to write into
+     * @returns {THREE.Color} target
+     */
+    colorAt(value, target) {
+      if (value === null || !Number.isFinite(value)) return target.copy(MISSING_COLOR);
+      return sampleRamp(ramp, (value - domain[0]) / span, target);
+    },
+  };
+}
+
+/**
+ * Write trail colours into a trail geometry's RGBA colour attribute
+ * Alpha is left untouched (history playback uses it to fade trails in).
+ * @param {THREE.BufferGeometry} geometry - Geometry from createTrailGeometry
+ * @param {Object|null} scale - Colour scale, or null for plain white (the material colour shows)
+ */
+export function applyTrailColors(geometry, scale) {
+  const colors = geometry.attributes.color.array;
+  const { elevations } = geometry.userData;
+  const color = new THREE.Color();
+
+  geometry.userData.trackRanges.forEach(({ start, count }, trackIndex) => {
+    if (scale && !scale.perVertex) scale.colorAt(scale.trackValues[trackIndex], color);
+
+    for (let v = start; v < start + count; v++) {
+      if (!scale) {
+        color.setRGB(1, 1, 1);
+      } else if (scale.perVertex) {
+        scale.colorAt(elevations[v], color);
+      }
+
+      colors[v * 4] = color.r;
+      colors[v * 4 + 1] = color.g;
+      colors[v * 4 + 2] = color.b;
+    }
+  });
+
+  geometry.attributes.color.needsUpdate = true;
+}
+
+/**
+ * CSS linear-gradient for a ramp, for legends
+ * @param {string} ramp - Ramp name from COLOR_RAMPS
+ * @returns {string} CSS gradient
+ */
+export function rampGradient(ramp) {
+  const stops = COLOR_RAMPS[ramp] || COLOR_RAMPS.viridis;
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+}
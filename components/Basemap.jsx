@@ -0,0 +1,169 @@
+import React, { useMemo, useEffect } from 'react';
+import * as THREE from 'three';
+import { config } from '../config';
+import { inputStyle } from './styles';
+
+/**
+ * Height of the map at a scene position: flat above the floor, or just above
+ * the ground in terrain mode
+ */
+function mapHeight(surface, x, z, flatHeight) {
+  return surface ? (surface.heightAt(x, z) ?? 0) + config.terrain.overlayOffset : flatHeight;
+}
+
+/**
+ * Line segments for a layer's lines and polygon outlines, on the floor or terrain
+ * On terrain, segments are split to the ground mesh's cell size so they follow
+ * the relief instead of cutting through hills.
+ * @param {Object} layer - Loaded basemap layer
+ * @param {Object} projection - Shared scene projection
+ * @param {Object|null} surface - Terrain surface, or null for the flat floor
+ * @returns {THREE.BufferGeometry|null} Segment pairs, or null if the layer has no lines
+ */
+function createLineGeometry(layer, projection, surface) {
+  const positions = [];
+  const step = config.floorSize / config.terrain.meshSegments;
+
+  const addPath = (path, closed) => {
+    const points = path.map(([lon, lat]) => projection.project(lat, lon));
+    const count = closed ? points.length : points.length - 1;
+    for (let i = 0; i < count; i++) {
+      const a = points[i];
+      const b = points[(i + 1) % points.length];
+      const pieces = surface ? Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.z - a.z) / step)) : 1;
+
+      for (let j = 0; j < pieces; j++) {
+        [j / pieces, (j + 1) / pieces].forEach(t => {
+          const x = a.x + (b.x - a.x) * t;
+          const z = a.z + (b.z - a.z) * t;
+          positions.push(x, mapHeight(surface, x, z, config.basemap.lineHeight), z);
+        });
+      }
+    }
+  };
+
+  layer.lines.forEach(line => addPath(line, false));
+  layer.polygons.forEach(rings => rings.forEach(ring => addPath(ring, true)));
+
+  if (positions.length === 0) return null;
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  return geometry;
+}
+
+/**
+ * Triangulated fills for a layer's polygons, in the XY plane
+ * The mesh is rotated flat onto the floor, which maps shape Y to scene -Z and
+ * shape Z to height; on terrain, each vertex is lifted to the ground.
+ * @param {Object} layer - Loaded basemap layer
+ * @param {Object} projection - Shared scene projection
+ * @param {Object|null} surface - Terrain surface, or null for the flat floor
+ * @returns {THREE.ShapeGeometry|null} Fills, or null if the layer has no polygons
+ */
+function createFillGeometry(layer, projection, surface) {
+  if (layer.polygons.length === 0) return null;
+
+  const toPoints = ring => ring.map(([lon, lat]) => {
+    const { x, z } = projection.project(lat, lon);
+    return new THREE.Vector2(x, -z);
+  });
+
+  const shapes = layer.polygons.map(([outer, ...holes]) => {
+    const shape = new THREE.Shape(toPoints(outer));
+    shape.holes = holes.map(hole => new THREE.Path(toPoints(hole)));
+    return shape;
+  });
+
+  const geometry = new THREE.ShapeGeometry(shapes);
+
+  const positions = geometry.attributes.position;
+  for (let i = 0; i < positions.count; i++) {
+    const x = positions.getX(i);
+    const z = -positions.getY(i);
+    positions.setZ(i, mapHeight(surface, x, z, config.basemap.fillHeight));
+  }
+
+  return geometry;
+}
+
+/**
+ * Lines and fills for one basemap layer
+ */
+function BasemapLayer({ layer, projection, surface, style }) {
+  const lineGeometry = useMemo(() => createLineGeometry(layer, projection, surface), [layer, projection, surface]);
+  const fillGeometry = useMemo(() => createFillGeometry(layer, projection, surface), [layer, projection, surface]);
+
+  // Free the old buffers when the surface changes; R3F doesn't dispose geometry props
+  useEffect(() => () => lineGeometry?.dispose(), [lineGeometry]);
+  useEffect(() => () => fillGeometry?.dispose(), [fillGeometry]);
+
+  return (
+    <group>
+      {fillGeometry && style.fill && (
+        <mesh geometry={fillGeometry} rotation={[-Math.PI / 2, 0, 0]}>
+          <meshBasicMaterial
+            color={style.fill}
+            transparent
+            opacity={style.fillOpacity}
+            side={THREE.DoubleSide}
+            depthWrite={false}
+            toneMapped={false}
+          />
+        </mesh>
+      )}
+      {lineGeometry && style.line && (
+        <lineSegments geometry={lineGeometry}>
+          <lineBasicMaterial
+            color={style.line}
+            transparent
+            opacity={style.lineOpacity}
+            depthWrite={false}
+            toneMapped={false}
+          />
+        </lineSegments>
+      )}
+    </group>
+  );
+}
+
+/**
+ * Offline vector basemap drawn just above the floor
+ * Every layer goes through the scene's shared projection, so roads and rivers
+ * line up with the tracks. Colours come from the chosen preset in
+ * config.basemap.presets, keyed by each layer's style. In terrain mode the
+ * map lies on the ground surface.
+ */
+export function Basemap({ layers, projection, surface, preset }) {
+  const styles = config.basemap.presets[preset];
+  if (!styles) return null;
+
+  return (
+    <group>
+      {layers.map(layer => styles[layer.style] && (
+        <BasemapLayer key={layer.id} layer={layer} projection={projection} surface={surface} style={styles[layer.style]} />
+      ))}
+    </group>
+  );
+}
+
+/**
+ * On-screen basemap style picker
+ */
+export function BasemapStyleSelect({ preset, onChange }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#888' }}>
+      Map
+      <select
+        value={preset}
+        onChange={(e) => onChange(e.target.value)}
+        style={inputStyle}
+      >
+        <option value="off">off</option>
+        {Object.keys(config.basemap.presets).map(name => (
+          <option key={name} value={name}>{name}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
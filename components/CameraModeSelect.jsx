@@ -0,0 +1,30 @@
+import React from 'react';
+import { inputStyle } from './styles';
+
+// Camera modes, in the order they appear on screen
+const CAMERA_MODES = [
+  { mode: 'framing', label: 'whole run' },
+  { mode: 'chase', label: 'chase' },
+  { mode: 'topDown', label: 'top-down' },
+  { mode: 'orbit', label: 'orbit orb' },
+];
+
+/**
+ * On-screen camera mode picker: frame the whole featured run, or follow its orb
+ */
+export function CameraModeSelect({ mode, onChange }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#888' }}>
+      Camera
+      <select
+        value={mode}
+        onChange={(e) => onChange(e.target.value)}
+        style={inputStyle}
+      >
+        {CAMERA_MODES.map(({ mode: value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import { config } from '../config';
+import { COLOR_BY_MODES, COLOR_RAMPS, rampGradient } from '../colors';
+import { inputStyle } from './styles';
+
+/**
+ * Colour-by mode and ramp selectors, with a gradient legend for the active scale
+ */
+export function ColorLegend({ colorBy, colorRamp, colorScale, onColorByChange, onColorRampChange }) {
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#888',
+    }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <span>Colour by</span>
+        <select value={colorBy} onChange={(e) => onColorByChange(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+          {COLOR_BY_MODES.map(({ mode, label }) => (
+            <option key={mode} value={mode}>{label}</option>
+          ))}
+        </select>
+        {colorBy !== 'none' && (
+          <select value={colorRamp} onChange={(e) => onColorRampChange(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+            {Object.keys(COLOR_RAMPS).map(ramp => (
+              <option key={ramp} value={ramp}>{ramp}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {colorScale && (
+        <div style={{ width: '220px' }}>
+          <div style={{
+            height: '8px',
+            borderRadius: '4px',
+            background: rampGradient(colorScale.ramp),
+          }} />
+          <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '4px', color: '#CCC' }}>
+            <span>{colorScale.format(colorScale.domain[0])}</span>
+            <span>{colorScale.format(colorScale.domain[1])}</span>
+          </div>
+        </div>
+      )}
+
+      {/* The selected data isn't in any loaded run (e.g. pace without timestamps) */}
+      {colorBy !== 'none' && !colorScale && (
+        <span style={{ color: config.trailColor }}>No runs have this data</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+
+/**
+ * Legend of the loaded datasets: each one's orb and trail colours, name and
+ * run count, with a toggle to show or hide its runs
+ * Datasets with no loaded runs are left out.
+ */
+export function DatasetLegend({ datasets, runCounts, hidden, overridden, onToggle }) {
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '4px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#888',
+    }}>
+      {datasets.map((dataset, i) => runCounts[i] > 0 && (
+        <button
+          key={dataset.id}
+          type="button"
+          onClick={() => onToggle(dataset.id)}
+          title={`${hidden[dataset.id] ? 'Show' : 'Hide'} ${dataset.name}`}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            background: 'transparent',
+            color: hidden[dataset.id] ? '#555' : '#CCC',
+            border: 'none',
+            padding: 0,
+            fontFamily: 'monospace',
+            fontSize: '12px',
+            textAlign: 'left',
+            cursor: 'pointer',
+          }}
+        >
+          <span style={{ color: hidden[dataset.id] ? '#555' : dataset.orbColor }}>{hidden[dataset.id] ? '○' : '●'}</span>
+          <span style={{
+            width: '18px',
+            height: '3px',
+            borderRadius: '2px',
+            backgroundColor: dataset.trailColor,
+            opacity: hidden[dataset.id] ? 0.3 : 1,
+          }} />
+          {dataset.name}
+          <span style={{ color: '#666' }}>{runCounts[i]}</span>
+        </button>
+      ))}
+
+      {/* Colour-by replaces the dataset colours in the scene */}
+      {overridden && <span style={{ color: '#666' }}>Colours show the colour-by data</span>}
+    </div>
+  );
+}
@@ -0,0 +1,199 @@
+import React, { useRef, useState, useEffect } from 'react';
+import { config } from '../config';
+import { getSupportedExtensions } from '../parsers';
+
+const ACCEPTED_EXTENSIONS = getSupportedExtensions().join(',');
+
+const buttonStyle = {
+  background: 'transparent',
+  color: config.orbColor,
+  border: `1px solid ${config.orbColor}`,
+  borderRadius: '4px',
+  padding: '8px 14px',
+  fontFamily: 'monospace',
+  fontSize: '13px',
+  cursor: 'pointer',
+};
+
+/**
+ * Hidden file input plus the button that opens it
+ */
+function FilePickerButton({ label, onFiles, style }) {
+  const inputRef = useRef();
+
+  const handleChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    // Reset so picking the same file twice still fires a change event
+    e.target.value = '';
+    if (files.length > 0) onFiles(files);
+  };
+
+  return (
+    <>
+      <button type="button" style={{ ...buttonStyle, ...style }} onClick={() => inputRef.current?.click()}>
+        {label}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_EXTENSIONS}
+        multiple
+        style={{ display: 'none' }}
+        onChange={handleChange}
+      />
+    </>
+  );
+}
+
+/**
+ * Full-screen drop zone used on the loading, error and empty screens
+ */
+export function FileDropZone({ onFiles, children, color = config.orbColor }) {
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const files = Array.from(e.dataTransfer.files || []);
+    if (files.length > 0) onFiles(files, 'replace');
+  };
+
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      style={{
+        width: '100vw',
+        height: '100vh',
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '20px',
+        backgroundColor: config.backgroundColor,
+        color,
+        fontFamily: 'monospace',
+        fontSize: '18px',
+        padding: '20px',
+        textAlign: 'center',
+        boxSizing: 'border-box',
+        outline: isDragging ? `2px dashed ${config.orbColor}` : 'none',
+        outlineOffset: '-20px',
+      }}
+    >
+      <div>{children}</div>
+      <div style={{ fontSize: '13px', color: '#888' }}>
+        Drop GPX, FIT, TCX, GeoJSON or KML files here, or
+      </div>
+      <FilePickerButton label="Choose files" onFiles={(files) => onFiles(files, 'replace')} />
+    </div>
+  );
+}
+
+/**
+ * Drop targets shown over the canvas while files are dragged onto the window,
+ * plus picker buttons for replacing or extending the current dataset
+ */
+export function DropOverlay({ onFiles }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const dragDepthRef = useRef(0);
+
+  useEffect(() => {
+    const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+    const handleDragEnter = (e) => {
+      if (!hasFiles(e)) return;
+      dragDepthRef.current++;
+      setIsDragging(true);
+    };
+
+    const handleDragLeave = () => {
+      dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+      if (dragDepthRef.current === 0) setIsDragging(false);
+    };
+
+    // Prevent the browser from navigating to a file dropped outside a target
+    const handleWindowDrop = (e) => {
+      e.preventDefault();
+      dragDepthRef.current = 0;
+      setIsDragging(false);
+    };
+    const handleDragOver = (e) => e.preventDefault();
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('drop', handleWindowDrop);
+
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('drop', handleWindowDrop);
+    };
+  }, []);
+
+  const dropTarget = (mode, label) => (
+    <div
+      onDragOver={(e) => e.preventDefault()}
+      onDrop={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        dragDepthRef.current = 0;
+        setIsDragging(false);
+        const files = Array.from(e.dataTransfer.files || []);
+        if (files.length > 0) onFiles(files, mode);
+      }}
+      style={{
+        flex: 1,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        margin: '20px',
+        border: `2px dashed ${mode === 'replace' ? config.orbColor : config.trailColor}`,
+        borderRadius: '8px',
+        color: mode === 'replace' ? config.orbColor : config.trailColor,
+        fontFamily: 'monospace',
+        fontSize: '20px',
+      }}
+    >
+      {label}
+    </div>
+  );
+
+  return (
+    <>
+      {/* File picker buttons */}
+      <div style={{
+        position: 'absolute',
+        top: '15px',
+        right: '15px',
+        display: 'flex',
+        gap: '10px',
+        zIndex: 100,
+      }}>
+        <FilePickerButton label="Open…" onFiles={(files) => onFiles(files, 'replace')} />
+        <FilePickerButton
+          label="Add…"
+          onFiles={(files) => onFiles(files, 'append')}
+          style={{ color: config.trailColor, borderColor: config.trailColor }}
+        />
+      </div>
+
+      {/* Drop targets while dragging */}
+      {isDragging && (
+        <div style={{
+          position: 'absolute',
+          inset: 0,
+          display: 'flex',
+          backgroundColor: 'rgba(0, 0, 0, 0.75)',
+          zIndex: 2000,
+        }}>
+          {dropTarget('replace', 'Drop to replace runs')}
+          {dropTarget('append', 'Drop to add runs')}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,221 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Line } from '@react-three/drei';
+import { config } from '../config';
+import { EMPTY_FILTERS, hasActiveFilters, rectangleToPolygon } from '../filters';
+import { buttonStyle, activeButtonStyle, inputStyle } from './styles';
+
+const AREA_MODES = [
+  { mode: 'rectangle', label: '▭ Rectangle' },
+  { mode: 'lasso', label: '✎ Lasso' },
+];
+
+/**
+ * Check whether a drawn outline is big enough to be an area rather than a click
+ * @param {Array} points - Outline points [{x, z}, ...]
+ * @returns {boolean} True if the outline encloses an area
+ */
+function isUsableArea(points) {
+  if (!points || points.length < 3) return false;
+
+  const xs = points.map(p => p.x);
+  const zs = points.map(p => p.z);
+  const spacing = config.filters.lassoSpacing;
+  return Math.max(...xs) - Math.min(...xs) >= spacing && Math.max(...zs) - Math.min(...zs) >= spacing;
+}
+
+/**
+ * Closed outline on the floor
+ */
+function AreaOutline({ points, opacity = 1 }) {
+  const y = config.filters.areaHeight;
+  const linePoints = [...points, points[0]].map(({ x, z }) => [x, y, z]);
+
+  return (
+    <Line
+      points={linePoints}
+      color={config.filters.areaColor}
+      lineWidth={2}
+      transparent
+      opacity={opacity}
+      toneMapped={false}
+    />
+  );
+}
+
+/**
+ * Selected filter area, and the floor surface a new one is drawn on
+ * While a draw mode is active, dragging on the floor draws a rectangle (corner
+ * to corner) or a freehand lasso; releasing calls onAreaDrawn with the new area,
+ * or with null if the drag was too small to enclose anything.
+ */
+export function AreaSelection({ area, drawMode, onAreaDrawn }) {
+  const [draft, setDraft] = useState(null);
+  const startRef = useRef(null);
+
+  // Leaving draw mode drops any unfinished outline
+  useEffect(() => {
+    if (!drawMode) {
+      startRef.current = null;
+      setDraft(null);
+    }
+  }, [drawMode]);
+
+  const handlePointerDown = (e) => {
+    e.stopPropagation();
+    e.target.setPointerCapture(e.pointerId);
+    const point = { x: e.point.x, z: e.point.z };
+    startRef.current = point;
+    setDraft([point]);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!startRef.current) return;
+    e.stopPropagation();
+    const point = { x: e.point.x, z: e.point.z };
+
+    if (drawMode === 'rectangle') {
+      setDraft(rectangleToPolygon(startRef.current, point));
+    } else {
+      // Skip points closer than lassoSpacing to keep the outline light
+      setDraft(previous => {
+        const last = previous[previous.length - 1];
+        const spacing = config.filters.lassoSpacing;
+        return Math.hypot(point.x - last.x, point.z - last.z) < spacing ? previous : [...previous, point];
+      });
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (!startRef.current) return;
+    e.target.releasePointerCapture(e.pointerId);
+    startRef.current = null;
+    setDraft(null);
+    onAreaDrawn(isUsableArea(draft) ? { type: drawMode, points: draft } : null);
+  };
+
+  return (
+    <>
+      {area && !draft && <AreaOutline points={area.points} />}
+      {draft && draft.length > 1 && <AreaOutline points={draft} opacity={0.6} />}
+
+      {/* Invisible surface that catches the drag while drawing */}
+      {drawMode && (
+        <mesh
+          rotation={[-Math.PI / 2, 0, 0]}
+          position={[0, config.filters.areaHeight, 0]}
+          onPointerDown={handlePointerDown}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+        >
+          <planeGeometry args={[config.floorSize, config.floorSize]} />
+          <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+        </mesh>
+      )}
+    </>
+  );
+}
+
+/**
+ * Date, distance and map-area filters, with the number of matching runs
+ */
+export function FilterPanel({ filters, onChange, drawMode, onDrawModeChange, matchCount, totalCount }) {
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  // Number inputs give '' when cleared, which means no limit
+  const parseDistance = (value) => value === '' ? '' : Math.max(0, parseFloat(value));
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '8px',
+      padding: '10px 12px',
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      borderRadius: '8px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#888',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+        <span style={{ color: '#CCC', fontWeight: 900 }}>FILTER</span>
+        <span style={{ color: matchCount === totalCount ? '#888' : config.orbColor }}>
+          {matchCount} / {totalCount} runs
+        </span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <span style={{ width: '40px' }}>Date</span>
+        <input
+          type="date"
+          value={filters.dateFrom}
+          max={filters.dateTo || undefined}
+          onChange={(e) => update({ dateFrom: e.target.value })}
+          style={inputStyle}
+        />
+        –
+        <input
+          type="date"
+          value={filters.dateTo}
+          min={filters.dateFrom || undefined}
+          onChange={(e) => update({ dateTo: e.target.value })}
+          style={inputStyle}
+        />
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <span style={{ width: '40px' }}>Dist</span>
+        <input
+          type="number"
+          min={0}
+          step={0.5}
+          placeholder="min"
+          value={filters.minDistanceKm}
+          onChange={(e) => update({ minDistanceKm: parseDistance(e.target.value) })}
+          style={{ ...inputStyle, width: '60px' }}
+        />
+        –
+        <input
+          type="number"
+          min={0}
+          step={0.5}
+          placeholder="max"
+          value={filters.maxDistanceKm}
+          onChange={(e) => update({ maxDistanceKm: parseDistance(e.target.value) })}
+          style={{ ...inputStyle, width: '60px' }}
+        />
+        km
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        <span style={{ width: '40px' }}>Area</span>
+        {AREA_MODES.map(({ mode, label }) => (
+          <button
+            key={mode}
+            type="button"
+            onClick={() => onDrawModeChange(drawMode === mode ? null : mode)}
+            style={drawMode === mode ? activeButtonStyle : buttonStyle}
+          >
+            {label}
+          </button>
+        ))}
+        {filters.area && (
+          <button type="button" onClick={() => update({ area: null })} style={buttonStyle} title="Clear area">
+            ✕
+          </button>
+        )}
+      </div>
+
+      {drawMode && (
+        <span style={{ color: config.orbColor }}>
+          Drag on the floor to draw the area (Esc to cancel)
+        </span>
+      )}
+
+      {hasActiveFilters(filters) && (
+        <button type="button" onClick={() => onChange(EMPTY_FILTERS)} style={buttonStyle}>
+          Clear all filters
+        </button>
+      )}
+    </div>
+  );
+}
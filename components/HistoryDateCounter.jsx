@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { getHistoryTime, countRunsBefore } from '../utils';
+
+/**
+ * On-screen calendar date and run count for history playback
+ */
+export function HistoryDateCounter({ timeline, clock }) {
+  const [display, setDisplay] = useState({ date: null, runCount: 0 });
+
+  useEffect(() => {
+    let frameId;
+
+    const update = () => {
+      const historyTime = getHistoryTime(timeline, clock.time);
+      const date = new Date(historyTime).toISOString().slice(0, 10);
+      const runCount = countRunsBefore(timeline, historyTime);
+
+      // Only re-render when the visible values change
+      setDisplay(previous =>
+        previous.date === date && previous.runCount === runCount ? previous : { date, runCount }
+      );
+
+      frameId = requestAnimationFrame(update);
+    };
+
+    update();
+
+    return () => cancelAnimationFrame(frameId);
+  }, [timeline, clock]);
+
+  if (!display.date) return null;
+
+  const [year, month, day] = display.date.split('-');
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '15px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      textAlign: 'center',
+      color: '#FFFFFF',
+      zIndex: 100,
+      pointerEvents: 'none',
+    }}>
+      <div style={{
+        fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+        fontSize: '35px',
+        fontWeight: 400,
+        letterSpacing: '-0.5px',
+      }}>
+        <span style={{ fontWeight: 900 }}>{year}</span>{' '}{month}{' '}<span style={{ fontWeight: 900 }}>{day}</span>
+      </div>
+      <div style={{
+        fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", "Roboto Mono", monospace',
+        fontSize: '12px',
+        opacity: 0.7,
+        letterSpacing: '0.5px',
+      }}>
+        {display.runCount} / {timeline.sortedTimes.length} RUNS
+      </div>
+    </div>
+  );
+}
@@ -1,13 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { config } from '../config';
 import Barcode from 'react-barcode';
-
-const GEOAPIFY_API_KEY = '1739bdee3fcd44baae35f084f874c881';
+import { getGeocoder } from '../geocoder';
+import { formatDistance, formatDuration, formatPace } from '../metrics';
 
 /**
  * Info overlay component that displays featured run information
+ * A pinned run (picked in the scene) shows a button to dismiss the pin.
+ * With several datasets loaded, the run's athlete (its dataset) is shown above it.
  */
-export function InfoOverlay({ featuredTrack }) {
+export function InfoOverlay({ featuredTrack, athlete = null, pinned = false, onDismiss }) {
   const [startLocation, setStartLocation] = useState('Fetching...');
   const [endLocation, setEndLocation] = useState('Fetching...');
   const [isTransitioning, setIsTransitioning] = useState(false);
@@ -24,40 +26,12 @@ export function InfoOverlay({ featuredTrack }) {
     }
 
     const { startLat, startLon, endLat, endLon } = featuredTrack.metadata;
+    let cancelled = false;
 
-    // Helper function to fetch location name
+    // Place names come from the cached geocoder provider chain
     const fetchLocationName = async (lat, lon) => {
-      try {
-        const response = await fetch(
-          `https://api.geoapify.com/v1/geocode/reverse?lat=${lat}&lon=${lon}&apiKey=${GEOAPIFY_API_KEY}`
-        );
-
-        if (!response.ok) {
-          throw new Error('Failed to fetch location');
-        }
-
-        const data = await response.json();
-
-        if (data.features && data.features.length > 0) {
-          const properties = data.features[0].properties;
-          // Build location name from available fields
-          const parts = [];
-
-          if (properties.suburb) parts.push(properties.suburb);
-          else if (properties.district) parts.push(properties.district);
-          else if (properties.neighbourhood) parts.push(properties.neighbourhood);
-
-          if (properties.city) parts.push(properties.city);
-          else if (properties.county) parts.push(properties.county);
-
-          return parts.length > 0 ? parts.join(', ') : properties.formatted || 'Tokyo, Japan';
-        } else {
-          return 'Tokyo, Japan';
-        }
-      } catch (error) {
-        console.error('Error fetching location:', error);
-        return 'Tokyo, Japan';
-      }
+      const name = await getGeocoder().reverse(lat, lon);
+      return name || 'Unknown';
     };
 
     // Fetch both locations
@@ -70,6 +44,8 @@ export function InfoOverlay({ featuredTrack }) {
         fetchLocationName(endLat, endLon)
       ]);
 
+      // Ignore results for a track that is no longer featured
+      if (cancelled) return;
       setStartLocation(start);
       setEndLocation(end);
     };
@@ -78,7 +54,10 @@ export function InfoOverlay({ featuredTrack }) {
       fetchBothLocations();
     }
 
-    return () => clearTimeout(timer);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
   }, [featuredTrack]);
 
   if (!featuredTrack || !config.infoOverlay.enabled) {
@@ -98,6 +77,17 @@ export function InfoOverlay({ featuredTrack }) {
     'UNKNOWN';
   const barcodeValue = `RUN${runNumber}-${formattedDate}`;
 
+  // Run metrics, label/value pairs; time-based ones only when the run has times
+  const metrics = featuredTrack.metrics;
+  const metricRows = metrics ? [
+    ['DIST', formatDistance(metrics.distance)],
+    metrics.movingTime != null && ['TIME', formatDuration(metrics.movingTime)],
+    metrics.elapsedTime != null && ['ELAPSED', formatDuration(metrics.elapsedTime)],
+    metrics.averagePace != null && ['PACE', formatPace(metrics.averagePace)],
+    metrics.bestPace != null && ['BEST', formatPace(metrics.bestPace)],
+    ['ELEV', `↑${Math.round(metrics.elevationGain)} m ↓${Math.round(metrics.elevationLoss)} m`],
+  ].filter(Boolean) : [];
+
   // Transition style for blur effect
   const transitionStyle = {
     transition: 'opacity 0.3s ease-in-out, filter 0.3s ease-in-out',
@@ -114,6 +104,44 @@ export function InfoOverlay({ featuredTrack }) {
       color: '#FFFFFF',
       zIndex: 1000,
     }}>
+      {/* Pinned run - dismiss to resume the automatic rotation */}
+      {pinned && onDismiss && (
+        <button
+          type="button"
+          onClick={onDismiss}
+          title="Unpin (Esc)"
+          style={{
+            background: 'transparent',
+            color: config.orbColor,
+            border: `1px solid ${config.orbColor}`,
+            borderRadius: '4px',
+            padding: '2px 8px',
+            marginBottom: '8px',
+            fontFamily: 'monospace',
+            fontSize: '11px',
+            letterSpacing: '0.5px',
+            cursor: 'pointer',
+          }}
+        >
+          PINNED ✕
+        </button>
+      )}
+
+      {/* Athlete - the dataset the run belongs to, in its orb colour */}
+      {athlete && (
+        <div style={{
+          fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", "Roboto Mono", monospace',
+          fontSize: '13px',
+          fontWeight: 700,
+          color: athlete.orbColor,
+          letterSpacing: '1px',
+          textTransform: 'uppercase',
+          ...transitionStyle,
+        }}>
+          {athlete.name}
+        </div>
+      )}
+
       {/* Run number - large white text */}
       <div style={{
         fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
@@ -174,6 +202,29 @@ export function InfoOverlay({ featuredTrack }) {
         {displayLat}, {displayLon}
       </div>
 
+      {/* Run metrics */}
+      {metricRows.length > 0 && (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'auto auto',
+          columnGap: '12px',
+          rowGap: '2px',
+          marginTop: '12px',
+          fontFamily: 'ui-monospace, SFMono-Regular, "SF Mono", Menlo, Monaco, "Cascadia Mono", "Segoe UI Mono", "Roboto Mono", monospace',
+          fontSize: '12px',
+          color: '#FFFFFF',
+          letterSpacing: '0.5px',
+          ...transitionStyle,
+        }}>
+          {metricRows.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <span style={{ opacity: 0.5 }}>{label}</span>
+              <span style={{ opacity: 0.9 }}>{value}</span>
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+
       {/* Barcode */}
       {metadata.timestamp && (
         <div style={{
@@ -0,0 +1,148 @@
+import React, { useMemo } from 'react';
+import { Html } from '@react-three/drei';
+import { config } from '../config';
+import { buttonStyle } from './styles';
+
+/**
+ * Marker geometry for a layer's marker style
+ */
+function MarkerGeometry({ marker }) {
+  switch (marker) {
+    case 'sphere':
+      return <sphereGeometry args={[1.2, 12, 12]} />;
+    case 'box':
+      return <boxGeometry args={[2, 2, 2]} />;
+    default:
+      return <coneGeometry args={[1.5, 3, 8]} />;
+  }
+}
+
+/**
+ * Project a layer's landmarks and drop the ones outside the tracks' bounding box
+ * @param {Object} layer - Landmark layer
+ * @param {Object} projection - Shared scene projection
+ * @param {Object|null} bounds - Tracks' bounding box, or null to keep every landmark
+ * @param {Object|null} surface - Terrain surface to stand the landmarks on, or null for the flat floor
+ * @returns {Array} Landmarks with a scene position
+ */
+export function positionLandmarks(layer, projection, bounds, surface = null) {
+  const padding = config.landmarks.boundsPadding;
+
+  return layer.landmarks
+    .map(landmark => {
+      const position = projection.project(landmark.lat, landmark.lon);
+      const ground = surface?.heightAt(position.x, position.z);
+      if (ground != null) position.y = ground + config.terrain.overlayOffset;
+      return { ...landmark, position };
+    })
+    .filter(({ position }) => !bounds || (
+      position.x >= bounds.min.x - padding &&
+      position.x <= bounds.max.x + padding &&
+      position.z >= bounds.min.z - padding &&
+      position.z <= bounds.max.z + padding
+    ));
+}
+
+/**
+ * Label text for a landmark, with the layer's icon if it has one
+ */
+export function landmarkLabel(layer, name) {
+  return layer.icon ? `${layer.icon} ${name}` : name;
+}
+
+/**
+ * Markers and labels for one landmark layer
+ */
+function LandmarkLayer({ layer, projection, bounds, surface }) {
+  const positioned = useMemo(
+    () => positionLandmarks(layer, projection, bounds, surface),
+    [layer, projection, bounds, surface]
+  );
+
+  return (
+    <group>
+      {positioned.map(({ name, position }, index) => (
+        <group key={index} position={[position.x, position.y, position.z]}>
+          {/* Marker; cones point down at the landmark */}
+          <mesh position={[0, 1.5, 0]} rotation={layer.marker === 'cone' || !layer.marker ? [Math.PI, 0, 0] : [0, 0, 0]}>
+            <MarkerGeometry marker={layer.marker} />
+            <meshStandardMaterial
+              color={layer.color}
+              emissive={layer.color}
+              emissiveIntensity={2}
+              toneMapped={false}
+            />
+          </mesh>
+
+          {/* Landmark name label - always facing camera */}
+          <Html position={[0, 6, 0]} center>
+            <div style={{
+              color: layer.color,
+              fontSize: '14px',
+              fontWeight: 900,
+              textShadow: '0 0 4px #000000, 0 0 8px #000000',
+              whiteSpace: 'nowrap',
+              pointerEvents: 'none',
+              userSelect: 'none'
+            }}>
+              {landmarkLabel(layer, name)}
+            </div>
+          </Html>
+        </group>
+      ))}
+    </group>
+  );
+}
+
+/**
+ * Landmark markers for every visible layer
+ * Placed with the scene's shared projection so they line up with the tracks.
+ * When bounds are given (see config.landmarks.onlyWithinTracks), only landmarks
+ * inside them are shown. In terrain mode they stand on the ground surface.
+ */
+export function Landmarks({ layers, projection, bounds, surface }) {
+  return (
+    <group>
+      {layers.map(layer => (
+        <LandmarkLayer key={layer.id} layer={layer} projection={projection} bounds={bounds} surface={surface} />
+      ))}
+    </group>
+  );
+}
+
+/**
+ * On-screen toggles for the landmark layers
+ */
+export function LandmarkLayerToggles({ layers, visibleLayers, onToggle }) {
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px'
+    }}>
+      {layers.map(layer => {
+        const visible = visibleLayers[layer.id];
+
+        return (
+          <button
+            key={layer.id}
+            type="button"
+            onClick={() => onToggle(layer.id)}
+            disabled={Boolean(layer.error)}
+            title={layer.error || `${visible ? 'Hide' : 'Show'} ${layer.label.toLowerCase()}`}
+            style={{
+              ...buttonStyle,
+              color: visible ? layer.color : '#888',
+              borderColor: visible ? layer.color : '#444',
+              textAlign: 'left',
+              cursor: layer.error ? 'not-allowed' : 'pointer',
+              opacity: layer.error ? 0.4 : 1
+            }}
+          >
+            {visible ? '●' : '○'} {layer.label}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from 'react';
+import { config } from '../config';
+import { formatDistance } from '../metrics';
+
+/**
+ * Create the shared hover state for scene picking
+ * Pointer moves update it without re-rendering the scene; only the tooltip
+ * subscribes.
+ * @returns {Object} Hover state {get(), set(hover), subscribe(listener)} where
+ *   hover is {trackIndex, x, y} in client pixels, or null
+ */
+export function createHoverState() {
+  let hover = null;
+  const listeners = new Set();
+
+  return {
+    get: () => hover,
+
+    set(next) {
+      if (hover === next) return;
+      if (hover && next && hover.trackIndex === next.trackIndex && hover.x === next.x && hover.y === next.y) return;
+      hover = next;
+      listeners.forEach(listener => listener(hover));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
+
+/**
+ * Tooltip that follows the pointer over a run in the scene
+ */
+export function PickTooltip({ hoverState, tracks }) {
+  const [hover, setHover] = useState(hoverState.get());
+
+  useEffect(() => hoverState.subscribe(setHover), [hoverState]);
+
+  // Pointer cursor while over a pickable run
+  useEffect(() => {
+    document.body.style.cursor = hover ? 'pointer' : '';
+    return () => {
+      document.body.style.cursor = '';
+    };
+  }, [hover]);
+
+  const track = hover && tracks[hover.trackIndex];
+  if (!track) return null;
+
+  const { metadata, metrics } = track;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      left: `${hover.x + 14}px`,
+      top: `${hover.y + 14}px`,
+      padding: '6px 10px',
+      backgroundColor: 'rgba(0, 0, 0, 0.8)',
+      border: `1px solid ${config.orbColor}`,
+      borderRadius: '4px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#FFFFFF',
+      whiteSpace: 'nowrap',
+      pointerEvents: 'none',
+      zIndex: 1100,
+    }}>
+      <span style={{ color: config.trailColor, fontWeight: 900 }}>RUN {metadata.index + 1}</span>
+      {metadata.timestamp && ` · ${metadata.timestamp}`}
+      {metrics && ` · ${formatDistance(metrics.distance)}`}
+      <div style={{ opacity: 0.6, marginTop: '2px' }}>Click to pin</div>
+    </div>
+  );
+}
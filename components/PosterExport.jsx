@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useThree } from '@react-three/fiber';
+import { config } from '../config';
+import { POSTER_THEMES, posterLayout, renderSceneTiled, composePoster } from '../poster';
+import { downloadBlob } from '../utils';
+import { buttonStyle, activeButtonStyle, inputStyle } from './styles';
+
+/**
+ * Renders the poster offscreen while a poster job runs
+ * The parent stops the Canvas' own frame loop for the duration, so the tiles
+ * are the only renders and the on-screen view is exactly what gets printed.
+ */
+export function PosterExportDriver({ job, composerRef, onProgress, onFinish }) {
+  const { gl, scene, camera } = useThree();
+
+  // The parent's latest callbacks, so a re-render doesn't restart the poster
+  const onProgressRef = useRef(onProgress);
+  const onFinishRef = useRef(onFinish);
+  onProgressRef.current = onProgress;
+  onFinishRef.current = onFinish;
+
+  useEffect(() => {
+    if (!job) return;
+
+    const controller = new AbortController();
+    const layout = posterLayout(job.width, job.height, job.margin);
+
+    console.log('[Poster] Starting:', job.width, 'x', job.height, 'Theme:', job.theme);
+
+    renderSceneTiled({
+      gl,
+      scene,
+      camera,
+      composer: composerRef.current,
+      width: layout.scene.width,
+      height: layout.scene.height,
+      onProgress: (done, total) => onProgressRef.current(done / total),
+      signal: controller.signal,
+    })
+      .then((sceneImage) => {
+        const poster = composePoster({ ...job, sceneImage, camera });
+        return new Promise((resolve, reject) => {
+          poster.toBlob(blob => blob ? resolve(blob) : reject(new Error('Poster is too large for this browser')), 'image/png');
+        });
+      })
+      .then((blob) => {
+        if (controller.signal.aborted) return;
+        console.log('[Poster] Finished:', `${(blob.size / 1e6).toFixed(1)} MB`);
+        downloadBlob(blob, `runs-poster-${job.width}x${job.height}.png`);
+        onFinishRef.current(null);
+      })
+      .catch((e) => {
+        if (controller.signal.aborted) return;
+        console.error('[Poster] Failed:', e);
+        onFinishRef.current(e.message || 'Export failed');
+      });
+
+    return () => controller.abort();
+  }, [job, gl, scene, camera, composerRef]);
+
+  return null;
+}
+
+/**
+ * Poster settings, and a progress screen while a poster renders
+ */
+export function PosterExportPanel({ job, progress, error, onStart, onCancel }) {
+  const [open, setOpen] = useState(false);
+  const [width, setWidth] = useState(config.poster.sizes[0][0]);
+  const [height, setHeight] = useState(config.poster.sizes[0][1]);
+  const [margin, setMargin] = useState(config.poster.margin);
+  const [theme, setTheme] = useState(config.poster.theme);
+  const [title, setTitle] = useState(config.poster.title);
+
+  // The margins have to leave room for the scene
+  useEffect(() => {
+    const limit = Math.floor(Math.min(width, height * (1 - config.poster.footerFraction)) / 2) - 1;
+    if (margin > limit) setMargin(Math.max(0, limit));
+  }, [width, height, margin]);
+
+  if (job) {
+    return (
+      <div style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '12px',
+        backgroundColor: 'rgba(0, 0, 0, 0.85)',
+        fontFamily: 'monospace',
+        fontSize: '14px',
+        color: config.orbColor,
+        zIndex: 2000,
+      }}>
+        <div>Rendering poster {job.width}×{job.height}… {Math.floor(progress * 100)}%</div>
+        <div style={{ width: '300px', height: '6px', backgroundColor: '#222', borderRadius: '3px' }}>
+          <div style={{
+            width: `${progress * 100}%`,
+            height: '100%',
+            backgroundColor: config.orbColor,
+            borderRadius: '3px',
+          }} />
+        </div>
+        <button type="button" onClick={onCancel} style={buttonStyle}>Cancel</button>
+      </div>
+    );
+  }
+
+  const sizeIndex = config.poster.sizes.findIndex(([w, h]) => w === width && h === height);
+  const pixelInput = (value, onChange) => (
+    <input
+      type="number"
+      min={100}
+      value={value}
+      onChange={(e) => onChange(Math.max(100, Math.round(Number(e.target.value)) || 100))}
+      style={{ ...inputStyle, width: '60px' }}
+    />
+  );
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'flex-end',
+      gap: '6px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#888',
+    }}>
+      {error && <span style={{ color: '#ff0000' }}>Poster failed: {error}</span>}
+
+      {open && (
+        <div style={{
+          display: 'flex',
+          flexWrap: 'wrap',
+          justifyContent: 'flex-end',
+          gap: '6px',
+          alignItems: 'center',
+          maxWidth: '420px',
+          padding: '8px 10px',
+          backgroundColor: 'rgba(0, 0, 0, 0.6)',
+          borderRadius: '8px',
+        }}>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Title"
+            style={{ ...inputStyle, width: '150px' }}
+          />
+          <select value={theme} onChange={(e) => setTheme(e.target.value)} style={inputStyle}>
+            {Object.keys(POSTER_THEMES).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <select
+            value={sizeIndex}
+            onChange={(e) => {
+              const [w, h] = config.poster.sizes[Number(e.target.value)];
+              setWidth(w);
+              setHeight(h);
+            }}
+            style={inputStyle}
+          >
+            {sizeIndex === -1 && <option value={-1}>Custom</option>}
+            {config.poster.sizes.map(([w, h], index) => (
+              <option key={index} value={index}>{w}×{h}</option>
+            ))}
+          </select>
+          {pixelInput(width, setWidth)}×{pixelInput(height, setHeight)}
+          margin
+          <input
+            type="number"
+            min={0}
+            value={margin}
+            onChange={(e) => setMargin(Math.max(0, Math.round(Number(e.target.value)) || 0))}
+            style={{ ...inputStyle, width: '50px' }}
+          />
+          <button
+            type="button"
+            onClick={() => onStart({ width, height, margin, theme, title })}
+            style={activeButtonStyle}
+          >
+            Render
+          </button>
+        </div>
+      )}
+
+      <button type="button" onClick={() => setOpen(!open)} style={buttonStyle}>
+        🖼 Export poster
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+import { ROTATION_STRATEGIES } from '../rotation';
+import { inputStyle } from './styles';
+
+/**
+ * On-screen featured-run rotation picker: the order runs are featured in and
+ * how many seconds each one stays featured
+ */
+export function RotationControls({ rotation, onChange }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#888' }}>
+      Runs
+      <select
+        value={rotation.strategy}
+        onChange={(e) => onChange({ ...rotation, strategy: e.target.value })}
+        style={inputStyle}
+      >
+        {ROTATION_STRATEGIES.map(({ strategy, label }) => (
+          <option key={strategy} value={strategy}>{label}</option>
+        ))}
+      </select>
+      every
+      <input
+        type="number"
+        min={1}
+        value={rotation.intervalSeconds}
+        onChange={(e) => onChange({ ...rotation, intervalSeconds: Math.max(1, Number(e.target.value) || 1) })}
+        title="Seconds of playback per featured run"
+        style={{ ...inputStyle, width: '45px' }}
+      />
+      s
+    </label>
+  );
+}
@@ -0,0 +1,137 @@
+import React, { useMemo } from 'react';
+import { Line } from '@react-three/drei';
+import { config } from '../config';
+import { formatDistance, formatPace } from '../metrics';
+import { formatDate } from '../parsers/time';
+import { buttonStyle } from './styles';
+
+const rowStyle = {
+  display: 'flex',
+  gap: '8px',
+  background: 'transparent',
+  border: 'none',
+  padding: '2px 0',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  textAlign: 'left',
+  cursor: 'pointer',
+};
+
+/**
+ * Date span of a cluster, e.g. "2021-03-04 – 2024-06-01"
+ */
+function formatSpan(cluster) {
+  if (cluster.startTime === null) return 'undated';
+  const start = formatDate(cluster.startTime);
+  const end = formatDate(cluster.endTime);
+  return start === end ? start : `${start} – ${end}`;
+}
+
+/**
+ * One run from a cluster's stats; clicking it pins the run
+ */
+function ClusterRun({ label, track, detail, onPick }) {
+  return (
+    <button
+      type="button"
+      onClick={onPick}
+      title="Pin this run"
+      style={{ ...rowStyle, color: '#CCC' }}
+    >
+      <span style={{ width: '50px', color: '#888' }}>{label}</span>
+      <span style={{ color: config.trailColor, fontWeight: 900 }}>RUN {track.metadata.index + 1}</span>
+      {detail}
+    </button>
+  );
+}
+
+/**
+ * Representative route of the selected cluster, drawn over the trails
+ */
+export function ClusterRoute({ track }) {
+  const points = useMemo(() => track.points.map(({ x, y, z }) => [x, y + 0.3, z]), [track]);
+
+  return (
+    <Line
+      points={points}
+      color={config.clusters.routeColor}
+      lineWidth={3}
+      transparent
+      opacity={0.9}
+      toneMapped={false}
+    />
+  );
+}
+
+/**
+ * On-screen list of route clusters, most runs first
+ * Opening the list groups the runs; clicking a cluster highlights its runs and
+ * shows its date span, fastest and most recent run.
+ */
+export function RouteClusterPanel({ open, onOpenToggle, clusters, computing, tracks, selected, onSelect, onPickRun }) {
+  const listed = clusters ? clusters.slice(0, config.clusters.maxListed) : [];
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px',
+      padding: '10px 12px',
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      borderRadius: '8px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#888',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+        <span style={{ color: '#CCC', fontWeight: 900 }}>ROUTES</span>
+        {open && clusters && <span>{clusters.length} repeated</span>}
+        <button type="button" onClick={onOpenToggle} style={{ ...buttonStyle, padding: '2px 8px' }}>
+          {open ? 'Hide' : 'Show'}
+        </button>
+      </div>
+
+      {open && computing && <span style={{ color: config.orbColor }}>Grouping runs by route…</span>}
+      {open && clusters && clusters.length === 0 && <span>No route run {config.clusters.minRuns} or more times</span>}
+
+      {open && listed.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', maxHeight: '200px', overflowY: 'auto' }}>
+          {listed.map(cluster => (
+            <button
+              key={cluster.id}
+              type="button"
+              onClick={() => onSelect(cluster === selected ? null : cluster)}
+              style={{ ...rowStyle, color: cluster === selected ? config.orbColor : '#CCC' }}
+            >
+              <span style={{ width: '70px' }}>Route {cluster.id + 1}</span>
+              <span style={{ width: '60px' }}>{cluster.count} runs</span>
+              {cluster.distance !== null && <span>{formatDistance(cluster.distance)}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {open && selected && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', paddingTop: '6px', borderTop: '1px solid #444' }}>
+          <span style={{ color: '#CCC' }}>{selected.count} runs · {formatSpan(selected)}</span>
+          {selected.fastest !== null && (
+            <ClusterRun
+              label="Fastest"
+              track={tracks[selected.fastest]}
+              detail={formatPace(tracks[selected.fastest].metrics.averagePace)}
+              onPick={() => onPickRun(selected.fastest)}
+            />
+          )}
+          {selected.mostRecent !== null && (
+            <ClusterRun
+              label="Latest"
+              track={tracks[selected.mostRecent]}
+              detail={tracks[selected.mostRecent].metadata.timestamp}
+              onPick={() => onPickRun(selected.mostRecent)}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
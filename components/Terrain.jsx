@@ -0,0 +1,76 @@
+import React, { useMemo, useEffect } from 'react';
+import { config } from '../config';
+import { createTerrainGeometry } from '../terrain';
+import { buttonStyle, inputStyle } from './styles';
+
+/**
+ * Displaced ground mesh for terrain mode, in place of the flat floor
+ * A faint wireframe over the shaded surface shows the relief in the same
+ * glowing-line style as the trails.
+ */
+export function TerrainMesh({ surface }) {
+  const geometry = useMemo(() => createTerrainGeometry(surface), [surface]);
+
+  // R3F doesn't dispose a replaced geometry prop, and a new surface comes with
+  // every exaggeration change
+  useEffect(() => () => geometry?.dispose(), [geometry]);
+
+  if (!geometry) return null;
+
+  return (
+    <group>
+      <mesh geometry={geometry} receiveShadow>
+        <meshStandardMaterial color={config.floorColor} roughness={0.8} metalness={0.2} />
+      </mesh>
+      {config.terrain.gridOpacity > 0 && (
+        <mesh geometry={geometry}>
+          <meshBasicMaterial
+            color={config.terrain.gridColor}
+            wireframe
+            transparent
+            opacity={config.terrain.gridOpacity}
+            depthWrite={false}
+            toneMapped={false}
+          />
+        </mesh>
+      )}
+    </group>
+  );
+}
+
+/**
+ * On-screen terrain toggle and vertical exaggeration picker
+ */
+export function TerrainControls({ enabled, onToggle, exaggeration, onExaggerationChange, loading, error }) {
+  const color = enabled && !error ? config.orbColor : '#888';
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', color: '#888' }}>
+      <button
+        type="button"
+        onClick={onToggle}
+        title={error || `${enabled ? 'Flatten' : 'Show'} terrain`}
+        style={{
+          ...buttonStyle,
+          color,
+          borderColor: enabled && !error ? config.orbColor : '#444'
+        }}
+      >
+        {enabled ? '●' : '○'} Terrain{loading ? '…' : ''}
+      </button>
+      {enabled && !error && (
+        <select
+          value={exaggeration}
+          onChange={(e) => onExaggerationChange(Number(e.target.value))}
+          title="Vertical exaggeration"
+          style={inputStyle}
+        >
+          {config.terrain.exaggerations.map(value => (
+            <option key={value} value={value}>{value}×</option>
+          ))}
+        </select>
+      )}
+      {enabled && error && <span style={{ color: '#ff0000' }}>No elevation data</span>}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useRef, useState } from 'react';
+import { config } from '../config';
+import { getTourDuration } from '../tour';
+import { buttonStyle, activeButtonStyle, inputStyle } from './styles';
+
+/**
+ * On-screen camera tour controls: play or stop the tour, record the current
+ * view as a keyframe, and load or save the tour as JSON
+ */
+export function TourPanel({ tour, playing, error, onPlayToggle, onRecord, onLoad, onSave, onClear }) {
+  const [open, setOpen] = useState(false);
+  const [caption, setCaption] = useState('');
+  const inputRef = useRef();
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    // Reset so loading the same file twice still fires a change event
+    e.target.value = '';
+    if (file) onLoad(file);
+  };
+
+  const record = () => {
+    onRecord(caption);
+    setCaption('');
+  };
+
+  const keyframeCount = tour?.keyframes.length || 0;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', color: '#888' }}>
+      {error && <span style={{ color: '#ff0000' }}>Tour: {error}</span>}
+
+      {open && !playing && (
+        <div style={{
+          display: 'flex',
+          gap: '6px',
+          alignItems: 'center',
+          padding: '8px 10px',
+          backgroundColor: 'rgba(0, 0, 0, 0.6)',
+          borderRadius: '8px',
+        }}>
+          <input
+            type="text"
+            value={caption}
+            placeholder="caption"
+            onChange={(e) => setCaption(e.target.value)}
+            style={{ ...inputStyle, width: '140px' }}
+          />
+          <button
+            type="button"
+            onClick={record}
+            title="Add the current view and featured run as a keyframe"
+            style={activeButtonStyle}
+          >
+            ● Record keyframe
+          </button>
+          <button type="button" onClick={() => inputRef.current?.click()} style={buttonStyle}>Load</button>
+          <button type="button" onClick={onSave} disabled={keyframeCount === 0} style={buttonStyle}>Save</button>
+          <button type="button" onClick={onClear} disabled={keyframeCount === 0} style={buttonStyle}>✕</button>
+          <input ref={inputRef} type="file" accept=".json,application/json" style={{ display: 'none' }} onChange={handleFile} />
+        </div>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <button type="button" onClick={() => setOpen(!open)} style={buttonStyle}>
+          Tour
+        </button>
+        {keyframeCount > 0 && (
+          <>
+            <button
+              type="button"
+              onClick={onPlayToggle}
+              style={{
+                ...buttonStyle,
+                color: playing ? config.orbColor : '#888',
+                borderColor: playing ? config.orbColor : '#444',
+              }}
+            >
+              {playing ? '■ Stop' : '▶ Play'}
+            </button>
+            <span>{keyframeCount} keyframe{keyframeCount === 1 ? '' : 's'} · {Math.round(getTourDuration(tour))}s</span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Caption of the tour keyframe being played, above the transport bar
+ */
+export function TourCaption({ text }) {
+  if (!text) return null;
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '95px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      maxWidth: '70%',
+      padding: '8px 16px',
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      borderRadius: '8px',
+      color: '#FFFFFF',
+      fontFamily: '-apple-system, BlinkMacSystemFont, "SF Pro Display", "Segoe UI", Roboto, sans-serif',
+      fontSize: '20px',
+      textAlign: 'center',
+      zIndex: 100,
+      pointerEvents: 'none',
+    }}>
+      {text}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useReducer } from 'react';
+import { config } from '../config';
+import { buttonStyle, activeButtonStyle } from './styles';
+
+const SPEEDS = config.transport.speeds;
+
+/**
+ * Format seconds as m:ss.s
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${minutes}:${rest}`;
+}
+
+/**
+ * Playback transport: play/pause, speed multipliers, a scrubbable progress
+ * slider and frame stepping, all controlling the shared playback clock
+ */
+export function TransportBar({ clock, loopDuration }) {
+  // Re-render on play/pause, speed and seek changes, picking up the new time at once
+  const [, forceUpdate] = useReducer(n => n + 1, 0);
+  const [time, setTime] = useState(clock.time);
+  useEffect(() => clock.subscribe(() => {
+    setTime(clock.time);
+    forceUpdate();
+  }), [clock]);
+
+  // Poll the clock for the slider position while playing, a few times a second
+  useEffect(() => {
+    const intervalId = setInterval(() => setTime(clock.time), config.transport.sliderInterval);
+    return () => clearInterval(intervalId);
+  }, [clock]);
+
+  // Keyboard shortcuts: space toggles playback, arrows step one frame
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+
+      if (e.code === 'Space') {
+        e.preventDefault();
+        clock.toggle();
+      } else if (e.code === 'ArrowRight' || e.code === 'ArrowLeft') {
+        clock.pause();
+        clock.step(e.code === 'ArrowRight' ? 1 : -1, config.transport.frameSeconds);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [clock]);
+
+  // Position within the current loop; seeking stays within the same loop
+  const loopStart = config.animationLoop ? Math.floor(time / loopDuration) * loopDuration : 0;
+  const loopTime = Math.min(time - loopStart, loopDuration);
+
+  const stepFrame = (frames) => {
+    clock.pause();
+    clock.step(frames, config.transport.frameSeconds);
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '45px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      padding: '8px 12px',
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      borderRadius: '8px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#888',
+      zIndex: 100,
+    }}>
+      <button type="button" style={buttonStyle} onClick={() => stepFrame(-1)} title="Previous frame (←)">
+        ◀◀
+      </button>
+      <button
+        type="button"
+        style={clock.playing ? buttonStyle : activeButtonStyle}
+        onClick={() => clock.toggle()}
+        title="Play / pause (space)"
+      >
+        {clock.playing ? '❚❚' : '▶'}
+      </button>
+      <button type="button" style={buttonStyle} onClick={() => stepFrame(1)} title="Next frame (→)">
+        ▶▶
+      </button>
+
+      <input
+        type="range"
+        min={0}
+        max={loopDuration}
+        step={config.transport.frameSeconds}
+        value={loopTime}
+        onChange={(e) => clock.seek(loopStart + parseFloat(e.target.value))}
+        style={{ width: '240px', accentColor: config.orbColor }}
+      />
+
+      <span style={{ minWidth: '110px', textAlign: 'center' }}>
+        {formatTime(loopTime)} / {formatTime(loopDuration)}
+      </span>
+
+      {SPEEDS.map(speed => (
+        <button
+          key={speed}
+          type="button"
+          style={clock.speed === speed ? activeButtonStyle : buttonStyle}
+          onClick={() => clock.setSpeed(speed)}
+        >
+          {speed}×
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useThree } from '@react-three/fiber';
+import { config } from '../config';
+import { recordVideo, isVideoRecordingSupported } from '../recorder';
+import { downloadBlob } from '../utils';
+import { buttonStyle, activeButtonStyle, inputStyle } from './styles';
+
+/**
+ * Renders and records the scene frame by frame while an export job runs
+ * The parent switches the Canvas to frameloop="never" and resizes it to the
+ * job's resolution at a pixel ratio of 1; once the new size has reached the
+ * renderer, each frame seeks the playback clock to frame / frameRate and
+ * renders it with advance(), so frames never depend on how fast they render.
+ */
+export function VideoExportDriver({ job, clock, onProgress, onFinish }) {
+  const { gl, size, advance } = useThree();
+  const ready = Boolean(job) && size.width === job.width && size.height === job.height;
+
+  // The parent's latest callbacks, so a re-render doesn't restart the export
+  const onProgressRef = useRef(onProgress);
+  const onFinishRef = useRef(onFinish);
+  onProgressRef.current = onProgress;
+  onFinishRef.current = onFinish;
+
+  useEffect(() => {
+    if (!ready) return;
+
+    const controller = new AbortController();
+    const frameCount = Math.max(1, Math.round(job.duration * job.frameRate));
+    const wasPlaying = clock.playing;
+    clock.pause();
+
+    console.log('[Video Export] Starting:', job, 'Frames:', frameCount);
+
+    recordVideo({
+      canvas: gl.domElement,
+      frameRate: job.frameRate,
+      frameCount,
+      renderFrame: async (frame) => {
+        // Let React apply state set during the last frame (e.g. a new featured
+        // run) first: the recorder reads the canvas as soon as this returns,
+        // and yielding after the render could let the browser clear it
+        await new Promise(resolve => setTimeout(resolve, 0));
+        const time = frame / job.frameRate;
+        clock.seek(time);
+        advance(time);
+      },
+      onProgress: frames => onProgressRef.current(frames / frameCount),
+      signal: controller.signal,
+    })
+      .then((blob) => {
+        console.log('[Video Export] Finished:', `${(blob.size / 1e6).toFixed(1)} MB`);
+        downloadBlob(blob, `runs-${job.width}x${job.height}-${job.frameRate}fps.webm`);
+        onFinishRef.current(null);
+      })
+      .catch((e) => {
+        if (controller.signal.aborted) return;
+        console.error('[Video Export] Failed:', e);
+        onFinishRef.current(e.message || 'Export failed');
+      })
+      .finally(() => {
+        if (wasPlaying) clock.play();
+      });
+
+    return () => controller.abort();
+  }, [ready, job, clock, gl, advance]);
+
+  return null;
+}
+
+/**
+ * Export settings, and a progress screen while an export runs
+ */
+export function VideoExportPanel({ loopDuration, job, progress, error, onStart, onCancel }) {
+  const [open, setOpen] = useState(false);
+  const [resolution, setResolution] = useState(1); // Index into videoExport.resolutions (1920×1080)
+  const [frameRate, setFrameRate] = useState(config.videoExport.frameRates[1]);
+  const [duration, setDuration] = useState(Math.round(loopDuration));
+
+  // Default to one full loop of the current playback mode
+  useEffect(() => {
+    setDuration(Math.round(loopDuration));
+  }, [loopDuration]);
+
+  if (!isVideoRecordingSupported()) return null;
+
+  if (job) {
+    return (
+      <div style={{
+        position: 'fixed',
+        inset: 0,
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        justifyContent: 'center',
+        gap: '12px',
+        backgroundColor: 'rgba(0, 0, 0, 0.85)',
+        fontFamily: 'monospace',
+        fontSize: '14px',
+        color: config.orbColor,
+        zIndex: 2000,
+      }}>
+        <div>Exporting {job.width}×{job.height} @ {job.frameRate} fps… {Math.floor(progress * 100)}%</div>
+        <div style={{ width: '300px', height: '6px', backgroundColor: '#222', borderRadius: '3px' }}>
+          <div style={{
+            width: `${progress * 100}%`,
+            height: '100%',
+            backgroundColor: config.orbColor,
+            borderRadius: '3px',
+          }} />
+        </div>
+        <button type="button" onClick={onCancel} style={buttonStyle}>Cancel</button>
+      </div>
+    );
+  }
+
+  const [width, height] = config.videoExport.resolutions[resolution];
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'flex-end',
+      gap: '6px',
+      fontFamily: 'monospace',
+      fontSize: '12px',
+      color: '#888',
+    }}>
+      {error && <span style={{ color: '#ff0000' }}>Export failed: {error}</span>}
+
+      {open && (
+        <div style={{
+          display: 'flex',
+          gap: '6px',
+          alignItems: 'center',
+          padding: '8px 10px',
+          backgroundColor: 'rgba(0, 0, 0, 0.6)',
+          borderRadius: '8px',
+        }}>
+          <select value={resolution} onChange={(e) => setResolution(Number(e.target.value))} style={inputStyle}>
+            {config.videoExport.resolutions.map(([w, h], index) => (
+              <option key={index} value={index}>{w}×{h}</option>
+            ))}
+          </select>
+          <select value={frameRate} onChange={(e) => setFrameRate(Number(e.target.value))} style={inputStyle}>
+            {config.videoExport.frameRates.map(rate => (
+              <option key={rate} value={rate}>{rate} fps</option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min={1}
+            value={duration}
+            onChange={(e) => setDuration(Math.max(1, Number(e.target.value) || 1))}
+            style={{ ...inputStyle, width: '55px' }}
+          />
+          s
+          <button
+            type="button"
+            onClick={() => onStart({ width, height, frameRate, duration })}
+            style={activeButtonStyle}
+          >
+            Record
+          </button>
+        </div>
+      )}
+
+      <button type="button" onClick={() => setOpen(!open)} style={buttonStyle}>
+        ⏺ Export video
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+/**
+ * Shared styles for the on-screen controls
+ *
+ * The panels and toggles around the scene use the same small monospace
+ * buttons and inputs; components spread these and override what differs.
+ */
+
+import { config } from '../config';
+
+export const buttonStyle = {
+  background: 'transparent',
+  color: '#888',
+  border: '1px solid #444',
+  borderRadius: '4px',
+  padding: '4px 10px',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  cursor: 'pointer',
+};
+
+// A selected toggle or the panel's main action
+export const activeButtonStyle = {
+  ...buttonStyle,
+  color: config.orbColor,
+  borderColor: config.orbColor,
+};
+
+// Text, number and date inputs and selects; the dark scheme keeps native pickers readable
+export const inputStyle = {
+  background: 'rgba(0, 0, 0, 0.6)',
+  color: '#CCC',
+  border: '1px solid #444',
+  borderRadius: '4px',
+  padding: '3px 6px',
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  colorScheme: 'dark',
+};
@@ -2,6 +2,27 @@ export const config = {
   // Animation settings
   animationDuration: 60, // seconds
   animationLoop: true,
+  playbackMode: 'uniform', // 'uniform' (every run takes animationDuration), 'realPace' or 'history'
+
+  // Playback transport bar settings
+  transport: {
+    speeds: [0.25, 0.5, 1, 2, 4],  // Speed multiplier buttons
+    frameSeconds: 1 / 60,          // Playback time per frame step
+    sliderInterval: 150,           // Milliseconds between slider updates while playing
+  },
+
+  // Real-pace playback settings
+  realPace: {
+    timeScale: 60,               // Seconds of run time per second of animation
+  },
+
+  // History playback settings (runs appear in date order)
+  history: {
+    duration: 60,                // Seconds to play from the first to the last run date
+    holdSeconds: 5,              // Pause on the final date before looping
+    fadeSeconds: 1.5,            // Time for a trail to fade in once its date is reached
+    orbSeconds: 3,               // Time an orb takes to run its route after its date
+  },
 
   // Visual colors
   orbColor: '#00FFFF', // cyan
@@ -9,6 +30,12 @@ export const config = {
   floorColor: '#1a1a1a', // dark grey
   backgroundColor: '#000000', // black
 
+  // Colour-by settings (colours trails and orbs by a data attribute)
+  colorBy: {
+    mode: 'none',                // 'none', 'date', 'distance', 'pace', 'timeOfDay' or 'elevation'
+    ramp: 'viridis',             // 'viridis', 'plasma', 'turbo' or 'neon' (see colors.js)
+  },
+
   // Orb settings
   orbSize: 0.8,
   orbIntensity: 2.5,
@@ -35,12 +62,35 @@ export const config = {
   cameraFar: 2000,
 
   // Projection settings (for GPS to 3D conversion)
-  projectionScale: 10000, // Scale factor for lat/lon conversion
+  projection: 'equirectangular', // 'equirectangular', 'webMercator' or 'utm' (see projection.js)
+  projectionScale: 10000, // Scene units per degree of latitude
   elevationScale: 0.1, // Scale factor for elevation
 
   // Performance settings
-  maxPointsPerTrack: 1000, // Downsample tracks with more points
-  curveSubdivisions: 50, // Points to use for CatmullRomCurve3
+  simplifyToleranceMeters: 3, // Drop points within this distance of the simplified route
+  maxPointsPerTrack: 1000, // Raise the tolerance for tracks that still have more points
+  trailSegmentLength: 4, // Scene units per trail line segment (longer runs get more segments)
+
+  // Run metrics settings
+  metrics: {
+    movingSpeedThreshold: 0.5,   // m/s; slower stretches count as stopped
+    bestPaceDistance: 1000,      // Metres; best pace is the fastest stretch of this length
+    elevationSmoothing: 5,       // Points in the moving average applied to elevations
+    elevationThreshold: 2,       // Metres; smaller rises and drops are ignored as noise
+  },
+
+  // Datasets (several runners' archives overlaid, each with its own colours)
+  // Leave empty to load the single file passed to TokyoRunVisualizer. Colours
+  // left out come from DATASET_COLORS in datasets.js; visible: false starts hidden.
+  datasets: [
+    // { id: 'aki', name: 'Aki', url: '/aki_runs.gpx', orbColor: '#00FFFF', trailColor: '#FF1493' },
+    // { id: 'ben', name: 'Ben', url: '/ben_runs.gpx', orbColor: '#FFD700', trailColor: '#7CFC00' },
+  ],
+
+  // Loader settings
+  loader: {
+    batchSize: 100,              // Tracks per batch sent from the loading worker
+  },
 
   // Stats
   showStats: false,
@@ -48,7 +98,8 @@ export const config = {
   // Camera Animation Settings
   cameraAnimation: {
     enabled: true,
-    intervalSeconds: 4,          // Time between track changes
+    intervalSeconds: 4,          // Time between track changes (changeable on screen)
+    strategy: 'random',          // Order runs are featured in (see rotation.js; changeable on screen)
     transitionSeconds: 1.5,      // Duration of camera transition
     inactivityTimeout: 3,        // Seconds of inactivity before resuming auto-animation
     viewingAngleHorizontal: 45,  // Degrees
@@ -57,6 +108,85 @@ export const config = {
     minDistance: 50,             // Minimum camera distance
     maxDistance: 300,            // Maximum camera distance
     heightOffsetFactor: 0.3,     // Height above track center
+    mode: 'framing',             // 'framing' (whole run), or follow the featured orb: 'chase', 'topDown' or 'orbit'
+  },
+
+  // Camera Follow Settings (chase, top-down and orbit modes)
+  cameraFollow: {
+    smoothing: 4,                // How quickly the camera catches up with the orb; higher is tighter
+    headingSmoothing: 2,         // How quickly the chase cam turns with the orb's direction
+    chaseDistance: 25,           // Scene units behind the orb
+    chaseHeight: 10,             // Scene units above the orb
+    chaseLookAhead: 15,          // Scene units ahead of the orb the camera looks at
+    topDownHeight: 120,          // Scene units above the orb
+    orbitRadius: 40,             // Scene units from the orb
+    orbitHeight: 20,             // Scene units above the orb
+    orbitDegreesPerSecond: 20,   // Orbit speed, in playback time
+  },
+
+  // Camera Tour Settings (scripted keyframe tours in place of the random rotation)
+  tour: {
+    url: null,                   // Tour JSON to load at start, e.g. '/tours/demo.json'
+    autoplay: false,             // Play the loaded tour straight away
+    hold: 4,                     // Default seconds to hold each keyframe
+    transition: 2,               // Default seconds to fly to each keyframe
+    easing: 'easeInOutCubic',    // Default easing (see EASINGS in utils.js)
+  },
+
+  // Picking Settings (hover and click runs in the scene)
+  picking: {
+    enabled: true,
+    lineThreshold: 1.5,          // Scene units around a trail that count as a hit
+    clickTolerance: 4,           // Pixels the pointer may move for a press to count as a click
+  },
+
+  // Deep Link Settings (view state in the URL hash)
+  deepLinks: {
+    enabled: true,
+    updateSeconds: 1,            // How often the URL follows the camera and playback time
+  },
+
+  // Video Export Settings (frame-by-frame WebM recording of the canvas)
+  videoExport: {
+    resolutions: [[1280, 720], [1920, 1080], [3840, 2160]], // Width x height choices
+    frameRates: [24, 30, 60],
+    bitrate: 12000000,           // Bits per second
+    keyframeInterval: 2,         // Seconds between keyframes
+    seed: 1,                     // Seed for the camera's random choices, so exports repeat exactly
+  },
+
+  // Poster Export Settings (high-resolution PNG with labels, title and stats)
+  poster: {
+    sizes: [[3508, 4961], [4961, 3508], [7016, 4961], [4000, 4000]], // A3 portrait/landscape and A2 landscape at 300 dpi, square
+    margin: 150,                 // Pixels around the scene
+    footerFraction: 0.1,         // Share of the poster height for the title and stats
+    labelSizeFraction: 0.006,    // Landmark label size as a share of the poster width
+    tileSize: 2048,              // Largest render per pass; bigger posters are tiled
+    tileOverlap: 128,            // Pixels rendered past each tile edge so bloom doesn't seam
+    title: 'Tokyo Runs',
+    theme: 'dark',               // 'dark' or 'light' (see poster.js)
+  },
+
+  // Filter Settings (date, distance and map-area filters)
+  filters: {
+    areaColor: '#FFFFFF',        // Outline of the selected area on the floor
+    areaHeight: 0.2,             // Height of the outline above the floor plane
+    lassoSpacing: 2,             // Minimum scene units between recorded lasso points
+  },
+
+  // Route Cluster Settings (runs grouped by route, see clusters.js)
+  clusters: {
+    measure: 'overlap',          // 'overlap' (shared grid cells) or 'frechet' (discrete Fréchet distance)
+    cellSize: 8,                 // Grid cell size in scene units (about 90 m)
+    overlapThreshold: 0.6,       // Share of cells two runs must have in common to match, for 'overlap'
+    candidateOverlap: 0.3,       // Share of cells in common before Fréchet is measured, for 'frechet'
+    frechetThreshold: 15,        // Largest Fréchet distance in scene units (about 170 m) to match
+    frechetSamples: 50,          // Points per route compared for 'frechet'
+    ignoreDirection: true,       // A loop run the other way round matches, for 'frechet'
+    minRuns: 3,                  // Fewest runs that make a cluster
+    maxListed: 20,               // Clusters listed on screen, most runs first
+    routeColor: '#FFFFFF',       // Representative route of the selected cluster
+    dimmedTrailOpacity: 0.15,    // Trails outside the selected cluster, relative to the rest
   },
 
   // Featured Run Highlight Settings
@@ -72,6 +202,100 @@ export const config = {
     emissiveIntensityFactor: 0.6, // Reduce glow
   },
 
+  // Landmark Layers (GeoJSON or JSON files, toggleable on screen)
+  landmarks: {
+    onlyWithinTracks: true,      // Only show landmarks inside the tracks' bounding box
+    boundsPadding: 20,           // Scene units added around the bounding box
+    layers: [
+      {
+        id: 'stations',
+        label: 'Stations',
+        url: '/landmarks/tokyo-stations.geojson',
+        color: '#FFFFFF',
+        marker: 'cone',          // 'cone', 'sphere' or 'box'
+        icon: '',                // Text or emoji shown before each name
+        visible: true,
+      },
+      {
+        id: 'parks',
+        label: 'Parks',
+        url: '/landmarks/tokyo-parks.geojson',
+        color: '#7CFC00',
+        marker: 'sphere',
+        icon: '🌳',
+        visible: false,
+      },
+    ],
+  },
+
+  // Basemap Settings (roads, rivers, coastline and parks from local GeoJSON, drawn on the floor)
+  basemap: {
+    preset: 'neon',              // Key of presets below, or 'off'
+    lineHeight: -0.9,            // Height of map lines (the floor is at -1)
+    fillHeight: -0.95,           // Height of area fills, just under the lines
+    layers: [
+      // style picks the colours for the layer from the active preset
+      { id: 'water', url: '/basemap/tokyo-water.geojson', style: 'water' },
+      { id: 'coastline', url: '/basemap/tokyo-coastline.geojson', style: 'coastline' },
+      { id: 'parks', url: '/basemap/tokyo-parks.geojson', style: 'parks' },
+      { id: 'roads', url: '/basemap/tokyo-roads.geojson', style: 'roads' },
+    ],
+    presets: {
+      // Faint glowing lines that sit under the trails without competing with them
+      neon: {
+        roads: { line: '#FF1493', lineOpacity: 0.25 },
+        water: { line: '#00FFFF', lineOpacity: 0.5, fill: '#00FFFF', fillOpacity: 0.06 },
+        coastline: { line: '#00FFFF', lineOpacity: 0.7 },
+        parks: { line: '#7CFC00', lineOpacity: 0.35, fill: '#7CFC00', fillOpacity: 0.05 },
+      },
+      synthwave: {
+        roads: { line: '#FF8C00', lineOpacity: 0.3 },
+        water: { line: '#8A2BE2', lineOpacity: 0.6, fill: '#8A2BE2', fillOpacity: 0.1 },
+        coastline: { line: '#FF00FF', lineOpacity: 0.7 },
+        parks: { line: '#FF1493', lineOpacity: 0.3, fill: '#FF1493', fillOpacity: 0.05 },
+      },
+      // Grey outlines only, for when colour-by needs the attention
+      mono: {
+        roads: { line: '#FFFFFF', lineOpacity: 0.12 },
+        water: { line: '#FFFFFF', lineOpacity: 0.25, fill: '#FFFFFF', fillOpacity: 0.03 },
+        coastline: { line: '#FFFFFF', lineOpacity: 0.4 },
+        parks: { line: '#FFFFFF', lineOpacity: 0.18 },
+      },
+    },
+  },
+
+  // Terrain Settings (ground mesh from a local elevation raster)
+  terrain: {
+    enabled: false,              // Start in terrain mode
+    url: null,                   // GeoTIFF (longitude/latitude) or PNG heightmap, e.g. '/terrain/tokyo-dem.tif'; null hides terrain mode
+    bounds: null,                // {west, south, east, north} in degrees; needed for heightmap images
+    encoding: 'grayscale',       // Heightmap images: 'grayscale', 'terrarium', 'mapbox' or 'gsi' (see terrain/heightmap.js)
+    minElevation: 0,             // Metres at black, for grayscale heightmaps
+    maxElevation: 255,           // Metres at white, for grayscale heightmaps
+    exaggeration: 2,             // Vertical exaggeration on top of elevationScale
+    exaggerations: [1, 2, 5, 10, 20], // Choices on screen
+    meshSegments: 256,           // Grid cells along the longer side of the ground mesh
+    drape: 'auto',               // 'auto' (runs without or with noisy elevation), 'always' or 'never'
+    noiseThreshold: 25,          // Metres RMS from the DEM above which a run's elevation counts as noisy
+    trackOffset: 0.3,            // Scene units between the ground and the trails
+    overlayOffset: 0.15,         // Scene units between the ground and basemap lines and landmarks
+    gridColor: '#FF1493',        // Wireframe over the ground
+    gridOpacity: 0.06,           // 0 hides the wireframe
+  },
+
+  // Reverse Geocoding (place names in the info overlay)
+  geocoder: {
+    providers: ['geoapify', 'gazetteer'], // Tried in order until one returns a name
+    gazetteerUrl: '/gazetteer/tokyo.geojson', // Bundled places for offline lookups
+    gazetteerRadius: {           // Match radius in metres for point places, most specific level first
+      neighbourhood: 1200,
+      ward: 3500,
+      city: 30000,
+    },
+    cachePrecision: 3,           // Decimal places of lat/lon in cache keys (~100 m)
+    cacheDatabase: 'run-visualizer-geocoder', // IndexedDB database name
+  },
+
   // Info Overlay Settings
   infoOverlay: {
     enabled: true,
@@ -0,0 +1,111 @@
+/**
+ * Named datasets: several runners' archives overlaid on one map
+ *
+ * Each dataset is a track file with a name and its own orb and trail colours.
+ * The loader tags every track with its dataset's id (metadata.dataset), and
+ * the colours reach the trails and orbs as colour scales with the same shape
+ * as the colour-by scales in colors.js, one value (the dataset) per run.
+ */
+
+import * as THREE from 'three';
+import { config } from './config';
+
+// Orb and trail colours for datasets that don't set their own, in order;
+// the first pair is the single-dataset look
+export const DATASET_COLORS = [
+  [config.orbColor, config.trailColor],
+  ['#FFD700', '#7CFC00'],
+  ['#FF8C00', '#8A2BE2'],
+  ['#FFFFFF', '#1E90FF'],
+  ['#FF4500', '#00FA9A'],
+  ['#ADFF2F', '#FF69B4'],
+];
+
+// Tracks opened from local files
+const LOCAL_DATASET = { id: 'local', name: 'Local files' };
+
+/**
+ * Fill in ids, names and colours for the datasets to show
+ * Without configured datasets, the single file URL becomes the one dataset.
+ * Tracks opened from local files always get their own entry.
+ * @param {Array} definitions - config.datasets: [{id, name, url, orbColor, trailColor, visible}]
+ * @param {string|null} url - Single file to load when no datasets are configured
+ * @returns {Array} Datasets {id, name, url, orbColor, trailColor, visible}
+ */
+export function resolveDatasets(definitions, url) {
+  const listed = definitions.length > 0
+    ? definitions
+    : url ? [{ id: 'default', name: url.split('/').pop().replace(/\.[^.]+$/, ''), url }] : [];
+
+  return [...listed, LOCAL_DATASET].map((definition, i) => {
+    const [orbColor, trailColor] = DATASET_COLORS[i % DATASET_COLORS.length];
+    return {
+      id: definition.id || `dataset-${i + 1}`,
+      name: definition.name || definition.id || `Dataset ${i + 1}`,
+      url: definition.url || null,
+      orbColor: definition.orbColor || orbColor,
+      trailColor: definition.trailColor || trailColor,
+      visible: definition.visible !== false,
+    };
+  });
+}
+
+/**
+ * Index into the datasets of each track's dataset
+ * @param {Array} processedTracks - Processed tracks with metadata.dataset
+ * @param {Array} datasets - Datasets from resolveDatasets
+ * @returns {Int32Array} Dataset index per track, or -1 if its dataset isn't listed
+ */
+export function getTrackDatasets(processedTracks, datasets) {
+  const indexById = new Map(datasets.map((dataset, i) => [dataset.id, i]));
+  return Int32Array.from(processedTracks, track => indexById.get(track.metadata.dataset) ?? -1);
+}
+
+/**
+ * Count the loaded runs in each dataset
+ * @param {Int32Array} trackDatasets - From getTrackDatasets
+ * @param {number} datasetCount - Number of datasets
+ * @returns {number[]} Runs per dataset
+ */
+export function countDatasetRuns(trackDatasets, datasetCount) {
+  const counts = new Array(datasetCount).fill(0);
+  trackDatasets.forEach(index => {
+    if (index >= 0) counts[index]++;
+  });
+  return counts;
+}
+
+/**
+ * Visibility mask for the datasets that are switched off
+ * @param {Int32Array} trackDatasets - From getTrackDatasets
+ * @param {Object} hidden - Dataset id → true for hidden datasets
+ * @param {Array} datasets - Datasets from resolveDatasets
+ * @returns {Uint8Array|null} 1 for each run that is shown; null when every dataset is shown
+ */
+export function createDatasetMask(trackDatasets, hidden, datasets) {
+  if (!datasets.some(dataset => hidden[dataset.id])) return null;
+  return Uint8Array.from(trackDatasets, index => (index >= 0 && hidden[datasets[index].id] ? 0 : 1));
+}
+
+/**
+ * Colour scales for each run's dataset colour, one for orbs and one for trails
+ * @param {Int32Array} trackDatasets - From getTrackDatasets
+ * @param {Array} datasets - Datasets from resolveDatasets
+ * @returns {Object} {orbs, trails}: scales {perVertex: false, trackValues, colorAt(value, target)}
+ */
+export function createDatasetColorScales(trackDatasets, datasets) {
+  const createScale = (key, fallback) => {
+    const colors = datasets.map(dataset => new THREE.Color(dataset[key]));
+    const fallbackColor = new THREE.Color(fallback);
+    return {
+      perVertex: false,
+      trackValues: trackDatasets,
+      colorAt: (value, target) => target.copy(colors[value] || fallbackColor),
+    };
+  };
+
+  return {
+    orbs: createScale('orbColor', config.orbColor),
+    trails: createScale('trailColor', config.trailColor),
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Run filters
+ *
+ * Filters narrow the displayed runs by date, distance and a map area drawn on
+ * the floor. They work on the processed tracks and produce a visibility mask
+ * (one byte per track) that the orbs, trails and camera rotation all read, so
+ * changing a filter never re-parses anything.
+ *
+ * Filter state:
+ *   {
+ *     dateFrom: 'YYYY-MM-DD' | '',    // Inclusive; '' for no limit
+ *     dateTo: 'YYYY-MM-DD' | '',
+ *     minDistanceKm: number | '',      // Inclusive; '' for no limit
+ *     maxDistanceKm: number | '',
+ *     area: { type: 'rectangle' | 'lasso', points: [{x, z}, ...] } | null,
+ *   }
+ */
+
+export const EMPTY_FILTERS = {
+  dateFrom: '',
+  dateTo: '',
+  minDistanceKm: '',
+  maxDistanceKm: '',
+  area: null,
+};
+
+/**
+ * Check whether any filter is set
+ * @param {Object} filters - Filter state
+ * @returns {boolean} True if at least one filter narrows the runs
+ */
+export function hasActiveFilters(filters) {
+  return Boolean(
+    filters.dateFrom || filters.dateTo ||
+    filters.minDistanceKm !== '' || filters.maxDistanceKm !== '' ||
+    filters.area
+  );
+}
+
+/**
+ * Turn two opposite corners into a rectangle polygon on the floor
+ * @param {Object} a - Corner {x, z}
+ * @param {Object} b - Opposite corner {x, z}
+ * @returns {Array} Polygon points [{x, z}, ...]
+ */
+export function rectangleToPolygon(a, b) {
+  return [
+    { x: a.x, z: a.z },
+    { x: b.x, z: a.z },
+    { x: b.x, z: b.z },
+    { x: a.x, z: b.z },
+  ];
+}
+
+/**
+ * Test whether a floor point lies inside a polygon (ray casting)
+ * @param {number} x - Scene X
+ * @param {number} z - Scene Z
+ * @param {Array} polygon - Polygon points [{x, z}, ...]
+ * @returns {boolean} True if inside
+ */
+function polygonContains(x, z, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.z > z) !== (b.z > z) && x < (b.x - a.x) * (z - a.z) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Test whether two floor segments cross
+ * @returns {boolean} True if segment p1-p2 intersects segment q1-q2
+ */
+function segmentsIntersect(p1, p2, q1, q2) {
+  const cross = (o, a, b) => (a.x - o.x) * (b.z - o.z) - (a.z - o.z) * (b.x - o.x);
+  const d1 = cross(q1, q2, p1);
+  const d2 = cross(q1, q2, p2);
+  const d3 = cross(p1, p2, q1);
+  const d4 = cross(p1, p2, q2);
+  return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+/**
+ * Check whether a run passes through an area on the floor
+ * A run matches if any of its points is inside, or if one of its segments
+ * crosses the area's outline (simplified runs can have long straight segments
+ * that cut across a small area without a point inside it).
+ * @param {Object} track - Processed track with 3D points
+ * @param {Array} polygon - Polygon points [{x, z}, ...]
+ * @returns {boolean} True if the run passes through the area
+ */
+export function trackPassesThroughArea(track, polygon) {
+  const { points } = track;
+
+  if (points.some(point => polygonContains(point.x, point.z, polygon))) return true;
+
+  // Only segments overlapping the area's bounding box can cross its outline
+  const minX = Math.min(...polygon.map(p => p.x));
+  const maxX = Math.max(...polygon.map(p => p.x));
+  const minZ = Math.min(...polygon.map(p => p.z));
+  const maxZ = Math.max(...polygon.map(p => p.z));
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    if (Math.max(a.x, b.x) < minX || Math.min(a.x, b.x) > maxX ||
+        Math.max(a.z, b.z) < minZ || Math.min(a.z, b.z) > maxZ) continue;
+
+    for (let j = 0, k = polygon.length - 1; j < polygon.length; k = j++) {
+      if (segmentsIntersect(a, b, polygon[k], polygon[j])) return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Build the visibility mask for a set of filters
+ * @param {Array} processedTracks - Array of processed tracks
+ * @param {Object} filters - Filter state
+ * @returns {Uint8Array|null} 1 for each run that matches, 0 otherwise; null when no filter is set
+ */
+export function createFilterMask(processedTracks, filters) {
+  if (!hasActiveFilters(filters)) return null;
+
+  const minMeters = filters.minDistanceKm === '' ? -Infinity : filters.minDistanceKm * 1000;
+  const maxMeters = filters.maxDistanceKm === '' ? Infinity : filters.maxDistanceKm * 1000;
+  const polygon = filters.area?.points.length >= 3 ? filters.area.points : null;
+
+  return Uint8Array.from(processedTracks, track => {
+    // Dates start with YYYY-MM-DD (GPX may carry a full ISO time), which
+    // compares in calendar order as a string
+    const date = track.metadata.timestamp?.slice(0, 10);
+    if ((filters.dateFrom || filters.dateTo) && !date) return 0;
+    if (filters.dateFrom && date < filters.dateFrom) return 0;
+    if (filters.dateTo && date > filters.dateTo) return 0;
+
+    const distance = track.metrics?.distance ?? 0;
+    if (distance < minMeters || distance > maxMeters) return 0;
+
+    if (polygon && !trackPassesThroughArea(track, polygon)) return 0;
+
+    return 1;
+  });
+}
+
+/**
+ * Count the runs a mask lets through
+ * @param {Uint8Array|null} mask - Mask from createFilterMask
+ * @param {number} total - Total number of runs
+ * @returns {number} Number of matching runs
+ */
+export function countVisible(mask, total) {
+  if (!mask) return total;
+
+  let count = 0;
+  for (let i = 0; i < mask.length; i++) count += mask[i];
+  return count;
+}
+
+/**
+ * Combine two visibility masks; a run shows only if both let it through
+ * @param {Uint8Array|null} a - Mask, or null for every run
+ * @param {Uint8Array|null} b - Mask, or null for every run
+ * @returns {Uint8Array|null} Combined mask; null when neither hides anything
+ */
+export function combineMasks(a, b) {
+  if (!a || !b) return a || b;
+  return a.map((value, i) => value & b[i]);
+}
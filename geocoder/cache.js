@@ -0,0 +1,78 @@
+/**
+ * Persistent reverse-geocoding cache backed by IndexedDB
+ *
+ * Falls back to an in-memory Map when IndexedDB isn't available (private
+ * browsing in some browsers, or outside a browser), so callers never need to
+ * check.
+ */
+
+const STORE_NAME = 'places';
+
+/**
+ * Open (and create if needed) the cache database
+ * @param {string} databaseName - IndexedDB database name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase(databaseName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(databaseName, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the cache store
+ * @param {IDBDatabase} database - Open database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ */
+function runRequest(database, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const request = operation(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Create a place-name cache
+ * @param {string} databaseName - IndexedDB database name
+ * @returns {Object} Cache {get(key) → Promise<string|undefined>, set(key, name) → Promise}
+ */
+export function createGeocoderCache(databaseName) {
+  const memory = new Map();
+
+  const databasePromise = typeof indexedDB === 'undefined'
+    ? Promise.resolve(null)
+    : openDatabase(databaseName).catch(error => {
+      console.warn('[Geocoder] IndexedDB unavailable, caching in memory only:', error);
+      return null;
+    });
+
+  return {
+    async get(key) {
+      if (memory.has(key)) return memory.get(key);
+
+      const database = await databasePromise;
+      if (!database) return undefined;
+
+      const name = await runRequest(database, 'readonly', store => store.get(key)).catch(() => undefined);
+      if (name !== undefined) memory.set(key, name);
+      return name;
+    },
+
+    async set(key, name) {
+      memory.set(key, name);
+
+      const database = await databasePromise;
+      if (!database) return;
+
+      await runRequest(database, 'readwrite', store => store.put(name, key)).catch(error => {
+        console.warn('[Geocoder] Failed to write cache:', error);
+      });
+    }
+  };
+}
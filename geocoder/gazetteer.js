@@ -0,0 +1,136 @@
+/**
+ * Local gazetteer reverse-geocoding provider
+ *
+ * Looks places up in a bundled GeoJSON file, so names work offline and without
+ * an API key. Each feature needs `name` and `level` properties, where level is
+ * one of config.geocoder.gazetteerRadius's keys ('neighbourhood', 'ward',
+ * 'city'). Polygon features match the points they contain; Point features
+ * match points within their `radius` property (metres), or the level's default
+ * radius, choosing the nearest. The result names the most specific matching
+ * place and the next level up, e.g. "Yanaka, Taito". An optional `parent`
+ * property names the next level directly, which is more reliable than the
+ * nearest point near a boundary.
+ */
+
+import { config } from '../config';
+
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Test whether a point lies inside a polygon ring (ray casting)
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {Array} ring - Array of [lon, lat] positions
+ * @returns {boolean} True if inside
+ */
+function ringContains(lon, lat, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Test whether a point lies inside a Polygon or MultiPolygon geometry (holes excluded)
+ * @param {number} lon - Longitude
+ * @param {number} lat - Latitude
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if inside
+ */
+function geometryContains(lon, lat, geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+    : geometry.type === 'MultiPolygon' ? geometry.coordinates
+      : [];
+
+  return polygons.some(([outer, ...holes]) =>
+    ringContains(lon, lat, outer) && !holes.some(hole => ringContains(lon, lat, hole))
+  );
+}
+
+/**
+ * Approximate ground distance between two points
+ * @returns {number} Distance in metres
+ */
+function distanceMeters(lat1, lon1, lat2, lon2) {
+  const dx = (lon2 - lon1) * METERS_PER_DEGREE * Math.cos(((lat1 + lat2) / 2) * Math.PI / 180);
+  const dy = (lat2 - lat1) * METERS_PER_DEGREE;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Create the gazetteer provider
+ * @param {Object} options - {url} of the gazetteer GeoJSON
+ * @returns {Object} Provider {name, cacheable, reverse(lat, lon) → Promise<string|null>}
+ */
+export function createGazetteerProvider({ url = config.geocoder.gazetteerUrl } = {}) {
+  let featuresPromise = null;
+
+  // Loaded on first use, then kept for the session
+  const loadFeatures = () => {
+    if (!featuresPromise) {
+      featuresPromise = fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`Failed to load gazetteer: ${response.statusText}`);
+          return response.json();
+        })
+        .then(geojson => (geojson.features || []).filter(feature =>
+          feature.geometry && feature.properties?.name && feature.properties?.level
+        ))
+        .catch(error => {
+          featuresPromise = null;
+          throw error;
+        });
+    }
+    return featuresPromise;
+  };
+
+  return {
+    name: 'gazetteer',
+    // Lookups are local and cheap, so results aren't cached; a remote provider
+    // that comes back online later can then still fill the cache
+    cacheable: false,
+
+    async reverse(lat, lon) {
+      const features = await loadFeatures();
+      const levels = Object.keys(config.geocoder.gazetteerRadius);
+
+      const matches = levels.map(level => {
+        let best = null;
+        let bestDistance = Infinity;
+
+        features.forEach(feature => {
+          if (feature.properties.level !== level) return;
+
+          if (feature.geometry.type === 'Point') {
+            const [featureLon, featureLat] = feature.geometry.coordinates;
+            const distance = distanceMeters(lat, lon, featureLat, featureLon);
+            const radius = feature.properties.radius || config.geocoder.gazetteerRadius[level];
+            if (distance <= radius && distance < bestDistance) {
+              best = feature;
+              bestDistance = distance;
+            }
+          } else if (geometryContains(lon, lat, feature.geometry)) {
+            // A containing area always beats a nearby point
+            best = feature;
+            bestDistance = -1;
+          }
+        });
+
+        return best;
+      }).filter(Boolean);
+
+      if (matches.length === 0) return null;
+
+      // Most specific place, its parent if given, then the broader matches
+      const names = [matches[0].properties.name, matches[0].properties.parent, ...matches.slice(1).map(match => match.properties.name)];
+      return [...new Set(names.filter(Boolean))].slice(0, 2).join(', ');
+    }
+  };
+}
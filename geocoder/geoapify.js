@@ -0,0 +1,48 @@
+/**
+ * Geoapify reverse-geocoding provider
+ *
+ * The API key is read from the VITE_GEOAPIFY_API_KEY environment variable
+ * (e.g. in a local .env file) and never committed. Without a key, or while the
+ * browser is offline, the provider returns null so the next provider is used.
+ */
+
+/**
+ * Create the Geoapify provider
+ * @param {Object} options - {apiKey}
+ * @returns {Object} Provider {name, cacheable, reverse(lat, lon) → Promise<string|null>}
+ */
+export function createGeoapifyProvider({ apiKey = import.meta.env.VITE_GEOAPIFY_API_KEY } = {}) {
+  return {
+    name: 'geoapify',
+    cacheable: true,
+
+    async reverse(lat, lon) {
+      if (!apiKey) return null;
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) return null;
+
+      const response = await fetch(
+        `https://api.geoapify.com/v1/geocode/reverse?lat=${lat}&lon=${lon}&apiKey=${apiKey}`
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch location');
+      }
+
+      const data = await response.json();
+      if (!data.features || data.features.length === 0) return null;
+
+      const properties = data.features[0].properties;
+      // Build location name from available fields
+      const parts = [];
+
+      if (properties.suburb) parts.push(properties.suburb);
+      else if (properties.district) parts.push(properties.district);
+      else if (properties.neighbourhood) parts.push(properties.neighbourhood);
+
+      if (properties.city) parts.push(properties.city);
+      else if (properties.county) parts.push(properties.county);
+
+      return parts.length > 0 ? parts.join(', ') : properties.formatted || null;
+    }
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Reverse geocoding
+ *
+ * Turns coordinates into short place names ("Yanaka, Taito") through a chain
+ * of providers, tried in the order of config.geocoder.providers until one
+ * returns a name. A provider is an object of the form:
+ *
+ *   {
+ *     name: 'geoapify',                       // Unique provider key
+ *     cacheable: true,                        // Store its results in the persistent cache
+ *     reverse: async (lat, lon) => 'Name' | null,
+ *   }
+ *
+ * Providers are added with registerGeocoderProvider(name, factory). Results
+ * are cached in IndexedDB by rounded coordinates, so revisiting a run (or a
+ * run starting from the same place) doesn't hit the network again.
+ */
+
+import { config } from '../config';
+import { createGeocoderCache } from './cache';
+import { createGazetteerProvider } from './gazetteer';
+import { createGeoapifyProvider } from './geoapify';
+
+const providerFactories = new Map();
+
+let sharedGeocoder = null;
+
+/**
+ * Register a provider factory, replacing any existing provider with the same name
+ * @param {string} name - Provider key used in config.geocoder.providers
+ * @param {Function} factory - Returns a provider object (see above)
+ */
+export function registerGeocoderProvider(name, factory) {
+  providerFactories.set(name, factory);
+  sharedGeocoder = null;
+}
+
+/**
+ * Create a geocoder from a list of providers and a cache
+ * @param {Object} options - {providers: Array of provider objects, cache}
+ * @returns {Object} Geocoder {reverse(lat, lon) → Promise<string|null>}
+ */
+export function createGeocoder({ providers, cache }) {
+  // Lookups in flight, so simultaneous requests for one place share a fetch
+  const pending = new Map();
+
+  const lookup = async (key, lat, lon) => {
+    const cached = await cache.get(key);
+    if (cached !== undefined) return cached;
+
+    for (const provider of providers) {
+      try {
+        const name = await provider.reverse(lat, lon);
+        if (name) {
+          if (provider.cacheable) await cache.set(key, name);
+          return name;
+        }
+      } catch (error) {
+        console.warn(`[Geocoder] ${provider.name} failed:`, error);
+      }
+    }
+
+    return null;
+  };
+
+  return {
+    reverse(lat, lon) {
+      const key = `${lat.toFixed(config.geocoder.cachePrecision)},${lon.toFixed(config.geocoder.cachePrecision)}`;
+
+      if (!pending.has(key)) {
+        pending.set(key, lookup(key, lat, lon).finally(() => pending.delete(key)));
+      }
+      return pending.get(key);
+    }
+  };
+}
+
+/**
+ * Get the geocoder configured in config.geocoder, shared across the app
+ * @returns {Object} Geocoder
+ */
+export function getGeocoder() {
+  if (!sharedGeocoder) {
+    const providers = config.geocoder.providers
+      .filter(name => {
+        if (providerFactories.has(name)) return true;
+        console.warn(`[Geocoder] Unknown provider: ${name}`);
+        return false;
+      })
+      .map(name => providerFactories.get(name)());
+
+    sharedGeocoder = createGeocoder({
+      providers,
+      cache: createGeocoderCache(config.geocoder.cacheDatabase)
+    });
+  }
+  return sharedGeocoder;
+}
+
+registerGeocoderProvider('gazetteer', createGazetteerProvider);
+registerGeocoderProvider('geoapify', createGeoapifyProvider);
@@ -0,0 +1,13 @@
+import { parseBasemap } from '../parsers/basemap';
+import { useLayerFiles } from './useLayerFiles';
+
+const EMPTY_BASEMAP = { lines: [], polygons: [] };
+
+/**
+ * Custom hook that loads basemap layers from their local GeoJSON extracts
+ * @param {Array} layers - Layer definitions from config.basemap.layers
+ * @returns {Array} Layers with {...layer, lines, polygons, error}
+ */
+export function useBasemapLayers(layers) {
+  return useLayerFiles(layers, parseBasemap, EMPTY_BASEMAP);
+}
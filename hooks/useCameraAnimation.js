@@ -1,25 +1,101 @@
-import { useRef, useState, useEffect } from 'react';
+import { useRef, useState, useEffect, useCallback } from 'react';
 import { useThree, useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 import { config } from '../config';
-import { calculateOptimalCameraPosition, easeInOutCubic } from '../utils';
+import { calculateOptimalCameraPosition, easeInOutCubic, createSeededRandom, EASINGS } from '../utils';
+import { createRotation } from '../rotation';
+
+/**
+ * Camera pose for a follow mode around the featured orb
+ * @param {string} mode - 'chase', 'topDown' or 'orbit'
+ * @param {THREE.Vector3} orb - Orb position
+ * @param {THREE.Vector3} heading - Orb's horizontal direction of travel (unit length)
+ * @param {number} time - Playback time in seconds, for the orbit angle
+ * @param {THREE.Vector3} position - Set to the camera position
+ * @param {THREE.Vector3} target - Set to the point the camera looks at
+ */
+function getFollowPose(mode, orb, heading, time, position, target) {
+  const cfg = config.cameraFollow;
+
+  if (mode === 'chase') {
+    position.copy(orb).addScaledVector(heading, -cfg.chaseDistance);
+    position.y += cfg.chaseHeight;
+    target.copy(orb).addScaledVector(heading, cfg.chaseLookAhead);
+  } else if (mode === 'topDown') {
+    // North up; a slight offset to the south keeps the orbit controls' up direction defined
+    position.set(orb.x, orb.y + cfg.topDownHeight, orb.z + cfg.topDownHeight * 0.01);
+    target.copy(orb);
+  } else {
+    const angle = THREE.MathUtils.degToRad(time * cfg.orbitDegreesPerSecond);
+    position.set(
+      orb.x + Math.sin(angle) * cfg.orbitRadius,
+      orb.y + cfg.orbitHeight,
+      orb.z + Math.cos(angle) * cfg.orbitRadius
+    );
+    target.copy(orb);
+  }
+}
 
 /**
  * Custom hook for automated camera animation
- * Manages camera transitions, user interaction detection, and featured track selection
+ * Manages camera transitions, user interaction detection, and featured track selection.
+ * Track changes and transitions are timed by the shared playback clock, so they
+ * pause, speed up and scrub along with the rest of the scene.
+ * A pinned track (picked in the scene) is flown to and stays featured, with the
+ * automatic rotation paused, until it is unpinned. Flights to a pinned track are
+ * timed by the wall clock so they also work while playback is paused.
+ * With a visibility mask from the filters, only matching tracks are featured.
+ * While exporting video, the hook ignores the wall clock and user input and
+ * draws its random choices from a seeded sequence, so every export of the same
+ * view renders the same frames.
+ * In the follow modes ('chase', 'topDown' and 'orbit') the camera tracks the
+ * featured orb instead of framing the whole run: transitions fly to the orb's
+ * moving pose, and from then on the camera eases after it every frame until
+ * the user takes over. The orb's position comes from `featuredOrb`, which
+ * RunnerOrbs fills in earlier in the same frame.
+ * A tour (see tour.js) replaces the random rotation with its keyframes, timed
+ * by the playback clock. It waits while the user has the camera or a track is
+ * pinned, then flies on to the current keyframe from wherever the camera is.
+ * `rotation` picks the order runs are featured in (a strategy from rotation.js)
+ * and how long each is featured; both can change while the scene runs.
  */
-export function useCameraAnimation(tracks, orbitControlsRef) {
+export function useCameraAnimation(tracks, orbitControlsRef, clock, pinnedTrackIndex = null, visibleMask = null, exporting = false, cameraMode = config.cameraAnimation.mode, featuredOrb = null, tour = null, rotation = config.cameraAnimation) {
   const { camera } = useThree();
   const [featuredTrackIndex, setFeaturedTrackIndex] = useState(null);
+  const [tourStep, setTourStep] = useState(null);
   const [animationState, setAnimationState] = useState('AUTO'); // AUTO, TRANSITIONING, USER_CONTROL
 
   // Refs
   const lastInteractionRef = useRef(0);
   const transitionStartRef = useRef(null);
   const transitionDataRef = useRef(null);
-  const intervalTimerRef = useRef(null);
+  const lastTrackChangeRef = useRef(null);
   const animationStateRef = useRef('AUTO');
   const featuredTrackIndexRef = useRef(null);
+  const pinnedTrackIndexRef = useRef(null);
+  const visibleMaskRef = useRef(null);
+  const exportingRef = useRef(false);
+  const randomRef = useRef(Math.random);
+  const cameraModeRef = useRef(cameraMode);
+  const selfUpdateRef = useRef(false);
+  const followRef = useRef(null);
+  const tourRef = useRef(null);
+  const tourStepRef = useRef(null); // {index, start, from: {position, target} | null, to: {position, target}}
+  const rotationRef = useRef(null);
+  const rotationKeyRef = useRef({ strategy: null, firstRun: null, count: 0 }); // What rotationRef was made for
+  const intervalSecondsRef = useRef(rotation.intervalSeconds);
+  intervalSecondsRef.current = rotation.intervalSeconds;
+  const tracksRef = useRef(tracks);
+  tracksRef.current = tracks;
+  if (!followRef.current) {
+    followRef.current = {
+      trackIndex: null,
+      heading: new THREE.Vector3(0, 0, -1),
+      direction: new THREE.Vector3(),
+      position: new THREE.Vector3(),
+      target: new THREE.Vector3(),
+    };
+  }
 
   const cfg = config.cameraAnimation;
 
@@ -41,7 +117,8 @@ export function useCameraAnimation(tracks, orbitControlsRef) {
     const handleInteraction = () => {
       // Ignore change events triggered by our own camera animation
       const currentState = animationStateRef.current;
-      if (currentState === 'TRANSITIONING') {
+      if (selfUpdateRef.current) return;
+      if (currentState === 'TRANSITIONING' || exportingRef.current) {
         console.log('[Camera Animation] Ignoring change event during transition');
         return;
       }
@@ -70,6 +147,7 @@ export function useCameraAnimation(tracks, orbitControlsRef) {
 
       if (timeSinceInteraction > cfg.inactivityTimeout) {
         console.log('[Camera Animation] Inactivity timeout reached, resuming animation');
+        restartTourStep();
         setAnimationState('AUTO');
       }
     }, 1000);
@@ -80,94 +158,369 @@ export function useCameraAnimation(tracks, orbitControlsRef) {
     };
   }, [animationState, cfg.inactivityTimeout]);
 
-  // Set up interval timer - only runs when tracks change, not when state changes
+  // Pick a new featured track on the first frame after the tracks are replaced.
+  // Tracks streamed in by the loader only extend the array, and draping makes
+  // new track objects with the same metadata; both keep the same first run,
+  // so the rotation carries on uninterrupted.
+  const firstTrackRef = useRef(null);
+  useEffect(() => {
+    console.log('[Camera Animation] Tracks changed. Enabled:', cfg.enabled, 'Tracks:', tracks?.length);
+    const firstTrack = tracks?.[0]?.metadata || null;
+    if (firstTrack !== firstTrackRef.current) {
+      firstTrackRef.current = firstTrack;
+      lastTrackChangeRef.current = null;
+    }
+  }, [tracks, cfg.enabled]);
+
+  // Move on straight away when the filters hide the featured track
+  useEffect(() => {
+    visibleMaskRef.current = visibleMask;
+    const featured = featuredTrackIndexRef.current;
+    if (visibleMask && featured !== null && !visibleMask[featured]) {
+      console.log('[Camera Animation] Featured track filtered out, selecting another');
+      lastTrackChangeRef.current = null;
+    }
+  }, [visibleMask]);
+
+  // Fly to the current tour keyframe again, starting now from the camera's current view
+  const restartTourStep = () => {
+    const step = tourStepRef.current;
+    if (!step) return;
+    step.start = clock.time;
+    step.from = null;
+  };
+
+  // Start or stop a tour; stopping carries on with the random rotation from here
+  useEffect(() => {
+    const wasPlaying = tourRef.current !== null;
+    tourRef.current = tour;
+    tourStepRef.current = null;
+
+    if (tour) {
+      console.log('[Camera Animation] Tour started:', tour.keyframes.length, 'keyframes');
+      transitionDataRef.current = null;
+      animationStateRef.current = 'AUTO';
+      setAnimationState('AUTO');
+    } else if (wasPlaying) {
+      console.log('[Camera Animation] Tour stopped, resuming rotation');
+      lastTrackChangeRef.current = clock.time;
+      setTourStep(null);
+    }
+  }, [tour, clock]);
+
+  // Start the rotation afresh for a new strategy or a different set of runs.
+  // Random choices go through randomRef, so exports get the seeded sequence.
+  const resetRotation = () => {
+    rotationRef.current = tracks ? createRotation(rotation.strategy, tracks, () => randomRef.current()) : null;
+    rotationKeyRef.current = { strategy: rotation.strategy, firstRun: tracks?.[0]?.metadata ?? null, count: tracks?.length ?? 0 };
+  };
+
+  // Runs streamed in or appended join the current rotation, and re-draped
+  // tracks (the same runs in new objects, sharing their metadata) keep it
   useEffect(() => {
-    console.log('[Camera Animation] Setting up interval. Enabled:', cfg.enabled, 'Tracks:', tracks?.length);
+    const key = rotationKeyRef.current;
+    if (rotationRef.current && key.strategy === rotation.strategy && key.firstRun === (tracks?.[0]?.metadata ?? null)) {
+      if (tracks.length !== key.count) {
+        rotationRef.current.extend(tracks);
+        key.count = tracks.length;
+      }
+      return;
+    }
 
-    if (!cfg.enabled || !tracks || tracks.length === 0) {
-      console.log('[Camera Animation] Early return - not enabled or no tracks');
+    console.log('[Camera Animation] Rotation strategy:', rotation.strategy);
+    helpersRef.current.resetRotation();
+  }, [tracks, rotation.strategy]);
+
+  // Function to start transition
+  const startTransition = (trackIndex, wallClock = false) => {
+    console.log('[Camera Animation] startTransition called for track:', trackIndex);
+    if (!tracks || !tracks[trackIndex]) {
+      console.log('[Camera Animation] No tracks or invalid index');
       return;
     }
 
-    // Function to select random track
-    const selectRandomTrack = () => {
-      if (!tracks || tracks.length === 0) return null;
+    const track = tracks[trackIndex];
+    const { position: targetPos, target: targetLookAt } =
+      calculateOptimalCameraPosition(track, camera.fov, randomRef.current);
+
+    console.log('[Camera Animation] Camera position:', camera.position);
+    console.log('[Camera Animation] Target position:', targetPos);
+    console.log('[Camera Animation] Target lookAt:', targetLookAt);
 
-      let newIndex;
-      do {
-        newIndex = Math.floor(Math.random() * tracks.length);
-      } while (newIndex === featuredTrackIndexRef.current && tracks.length > 1);
+    // Exports are timed by the playback clock only
+    const useWallClock = wallClock && !exportingRef.current;
 
-      return newIndex;
+    transitionDataRef.current = {
+      startPosition: camera.position.clone(),
+      startTarget: orbitControlsRef.current?.target.clone() || new THREE.Vector3(),
+      targetPosition: targetPos,
+      targetLookAt: targetLookAt,
+      useWallClock,
     };
 
-    // Function to start transition
-    const startTransition = (trackIndex) => {
-      console.log('[Camera Animation] startTransition called for track:', trackIndex);
-      if (!tracks || !tracks[trackIndex]) {
-        console.log('[Camera Animation] No tracks or invalid index');
-        return;
+    transitionStartRef.current = useWallClock ? performance.now() / 1000 : clock.time;
+    animationStateRef.current = 'TRANSITIONING';
+    setAnimationState('TRANSITIONING');
+    console.log('[Camera Animation] State set to TRANSITIONING');
+  };
+
+  // Jump straight to a saved camera view (e.g. from a shared link). The
+  // rotation then waits as if the user had moved the camera there.
+  const jumpTo = useCallback(({ position, target }) => {
+    console.log('[Camera Animation] Jumping to saved view');
+    transitionDataRef.current = null;
+    lastInteractionRef.current = Date.now();
+    animationStateRef.current = 'USER_CONTROL';
+    setAnimationState('USER_CONTROL');
+
+    camera.position.fromArray(position);
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.target.fromArray(target);
+      orbitControlsRef.current.update();
+    } else {
+      camera.lookAt(...target);
+    }
+  }, [camera, orbitControlsRef]);
+
+  // Start exports from a fixed camera (or straight on the pinned track) with a
+  // fresh seeded sequence; the first frame then picks the featured track
+  useEffect(() => {
+    exportingRef.current = exporting;
+    if (!exporting) {
+      randomRef.current = Math.random;
+      return;
+    }
+
+    console.log('[Camera Animation] Export started, resetting camera');
+    randomRef.current = createSeededRandom(config.videoExport.seed);
+    helpersRef.current.resetRotation();
+    transitionDataRef.current = null;
+    lastTrackChangeRef.current = null;
+    tourStepRef.current = null;
+    animationStateRef.current = 'AUTO';
+    setAnimationState('AUTO');
+
+    const pinned = pinnedTrackIndexRef.current;
+    const pinnedTrack = pinned !== null ? tracksRef.current?.[pinned] : null;
+    const view = pinnedTrack
+      ? calculateOptimalCameraPosition(pinnedTrack, camera.fov, randomRef.current)
+      : { position: new THREE.Vector3(...config.cameraPosition), target: new THREE.Vector3() };
+
+    camera.position.copy(view.position);
+    if (orbitControlsRef.current) {
+      orbitControlsRef.current.target.copy(view.target);
+      orbitControlsRef.current.update();
+    } else {
+      camera.lookAt(view.target);
+    }
+  }, [exporting, camera, orbitControlsRef]);
+
+  // Fly to a pinned track and hold it; when unpinned, carry on rotating from here
+  useEffect(() => {
+    if (pinnedTrackIndex === null) {
+      if (pinnedTrackIndexRef.current !== null) {
+        console.log('[Camera Animation] Track unpinned, resuming rotation');
+        lastTrackChangeRef.current = clock.time;
+        helpersRef.current.restartTourStep();
       }
+      pinnedTrackIndexRef.current = null;
+      return;
+    }
+
+    console.log('[Camera Animation] Track pinned:', pinnedTrackIndex);
+    pinnedTrackIndexRef.current = pinnedTrackIndex;
+    featuredTrackIndexRef.current = pinnedTrackIndex;
+    setFeaturedTrackIndex(pinnedTrackIndex);
+    helpersRef.current.startTransition(pinnedTrackIndex, true);
+  }, [pinnedTrackIndex, clock]);
 
-      const track = tracks[trackIndex];
-      const { position: targetPos, target: targetLookAt } =
-        calculateOptimalCameraPosition(track, camera.fov);
+  // Fly to the new mode's view of the featured track, unless the user has the camera
+  useEffect(() => {
+    if (cameraModeRef.current === cameraMode) return;
+    console.log('[Camera Animation] Camera mode:', cameraMode);
+    cameraModeRef.current = cameraMode;
 
-      console.log('[Camera Animation] Camera position:', camera.position);
-      console.log('[Camera Animation] Target position:', targetPos);
-      console.log('[Camera Animation] Target lookAt:', targetLookAt);
+    const featured = featuredTrackIndexRef.current;
+    if (featured !== null && animationStateRef.current !== 'USER_CONTROL') {
+      helpersRef.current.startTransition(featured, true);
+    }
+  }, [cameraMode]);
+
+  // Work out where a follow mode wants the camera this frame
+  // @returns {boolean} True if the pose is set; false in framing mode or while the featured orb is hidden
+  const updateFollowPose = (delta) => {
+    const mode = cameraModeRef.current;
+    const featured = featuredTrackIndexRef.current;
+    const track = tracks?.[featured];
+    if (mode === 'framing' || !featuredOrb || !track?.curve) return false;
+    if (featuredOrb.trackIndex !== featured || featuredOrb.progress === null) return false;
+
+    const follow = followRef.current;
+
+    // Horizontal direction of travel, eased so the chase cam doesn't snap round corners
+    const direction = follow.direction.copy(track.curve.getTangentAt(featuredOrb.progress)).setY(0);
+    if (direction.lengthSq() > 1e-8) {
+      direction.normalize();
+      if (follow.trackIndex !== featured) {
+        follow.heading.copy(direction);
+      } else {
+        const alpha = 1 - Math.exp(-config.cameraFollow.headingSmoothing * delta);
+        follow.heading.lerp(direction, alpha);
+        // A U-turn can cancel the heading out; take the new direction then
+        if (follow.heading.lengthSq() < 1e-6) follow.heading.copy(direction);
+        follow.heading.normalize();
+      }
+    }
+    follow.trackIndex = featured;
 
-      transitionDataRef.current = {
-        startPosition: camera.position.clone(),
-        startTarget: orbitControlsRef.current?.target.clone() || new THREE.Vector3(),
-        targetPosition: targetPos,
-        targetLookAt: targetLookAt,
-      };
+    getFollowPose(mode, featuredOrb.position, follow.heading, clock.time, follow.position, follow.target);
+    return true;
+  };
+
+  // Move the orbit controls without the change counting as user input
+  const updateControls = () => {
+    selfUpdateRef.current = true;
+    orbitControlsRef.current.update();
+    selfUpdateRef.current = false;
+  };
+
+  // Feature a tour keyframe's run, if it names one that exists
+  const featureTourRun = (keyframe) => {
+    if (keyframe.run === null || !tracks?.[keyframe.run]) return;
+    featuredTrackIndexRef.current = keyframe.run;
+    setFeaturedTrackIndex(keyframe.run);
+  };
 
-      transitionStartRef.current = Date.now();
-      setAnimationState('TRANSITIONING');
-      console.log('[Camera Animation] State set to TRANSITIONING');
+  // Move the camera along the tour: fly to each keyframe, hold it, then move on
+  const playTour = () => {
+    const { keyframes, loop } = tourRef.current;
+    const controls = orbitControlsRef.current;
+    let step = tourStepRef.current;
+
+    const enterStep = (index, start, from) => {
+      const keyframe = keyframes[index];
+      step = tourStepRef.current = {
+        index,
+        start,
+        from,
+        to: {
+          position: new THREE.Vector3().fromArray(keyframe.position),
+          target: new THREE.Vector3().fromArray(keyframe.target),
+        },
+      };
+      setTourStep(index);
+      featureTourRun(keyframe);
     };
 
-    // Function to run on interval
-    const runInterval = () => {
-      console.log('[Camera Animation] Running interval. State:', animationStateRef.current);
-      if (animationStateRef.current === 'AUTO') {
-        const newTrackIndex = selectRandomTrack();
-        console.log('[Camera Animation] Selected track:', newTrackIndex);
-        if (newTrackIndex !== null) {
-          setFeaturedTrackIndex(newTrackIndex);
-          startTransition(newTrackIndex);
-        }
+    // Start from the first keyframe, and again after scrubbing back past the current one
+    if (!step || clock.time < step.start) {
+      enterStep(0, clock.time, null);
+    }
+
+    // Move on once a keyframe has been held; a jump forward may pass several
+    let keyframe = keyframes[step.index];
+    while (clock.time - step.start >= keyframe.transition + keyframe.hold) {
+      if (step.index === keyframes.length - 1 && !loop) break;
+      enterStep((step.index + 1) % keyframes.length, step.start + keyframe.transition + keyframe.hold, step.to);
+      keyframe = keyframes[step.index];
+    }
+
+    if (!step.from) {
+      step.from = {
+        position: camera.position.clone(),
+        target: controls?.target.clone() || new THREE.Vector3(),
+      };
+    }
+
+    const progress = keyframe.transition > 0
+      ? Math.max(0, Math.min((clock.time - step.start) / keyframe.transition, 1))
+      : 1;
+    const easedProgress = EASINGS[keyframe.easing](progress);
+
+    camera.position.lerpVectors(step.from.position, step.to.position, easedProgress);
+    if (controls) {
+      controls.target.lerpVectors(step.from.target, step.to.target, easedProgress);
+      updateControls();
+    } else {
+      camera.lookAt(step.to.target);
+    }
+  };
+
+  // Change the featured track every rotation interval of playback time
+  const updateFeaturedTrack = () => {
+    if (!cfg.enabled || !tracks || tracks.length === 0) return;
+    if (pinnedTrackIndexRef.current !== null) return;
+    if (tourRef.current) return;
+
+    // Scrubbing backwards restarts the interval from the new position
+    if (lastTrackChangeRef.current !== null && clock.time < lastTrackChangeRef.current) {
+      lastTrackChangeRef.current = clock.time;
+    }
+
+    const due = lastTrackChangeRef.current === null ||
+      clock.time - lastTrackChangeRef.current >= intervalSecondsRef.current;
+    if (!due) return;
+
+    lastTrackChangeRef.current = clock.time;
+    console.log('[Camera Animation] Running interval. State:', animationStateRef.current);
+
+    if (animationStateRef.current === 'AUTO') {
+      const newTrackIndex = rotationRef.current?.next(featuredTrackIndexRef.current, visibleMaskRef.current) ?? null;
+      console.log('[Camera Animation] Selected track:', newTrackIndex);
+      if (newTrackIndex !== null) {
+        featuredTrackIndexRef.current = newTrackIndex;
+        setFeaturedTrackIndex(newTrackIndex);
+        startTransition(newTrackIndex);
+      } else if (featuredTrackIndexRef.current !== null) {
+        // Every track is filtered out
+        featuredTrackIndexRef.current = null;
+        setFeaturedTrackIndex(null);
       }
-    };
+    }
+  };
 
-    // Run immediately
-    runInterval();
+  // This render's helpers, for effects that only run when their own inputs
+  // change; the helpers close over the latest tracks and state
+  const helpersRef = useRef(null);
+  helpersRef.current = { startTransition, restartTourStep, resetRotation };
 
-    // Set up interval
-    intervalTimerRef.current = setInterval(runInterval, cfg.intervalSeconds * 1000);
-    console.log('[Camera Animation] Interval set up for every', cfg.intervalSeconds, 'seconds');
+  // Animation frame - handle transitions and follow modes
+  useFrame((state, delta) => {
+    updateFeaturedTrack();
 
-    return () => {
-      console.log('[Camera Animation] Cleaning up interval');
-      if (intervalTimerRef.current) {
-        clearInterval(intervalTimerRef.current);
-        intervalTimerRef.current = null;
+    // A playing tour drives the camera unless the user has it or a track is pinned
+    if (tourRef.current && tracks?.length) {
+      if (animationStateRef.current === 'AUTO' && pinnedTrackIndexRef.current === null) playTour();
+      if (animationStateRef.current !== 'TRANSITIONING') return;
+    }
+
+    const following = updateFollowPose(Math.min(delta, 0.1));
+    const follow = followRef.current;
+
+    // Between transitions, ease after the orb until the user takes over
+    if (animationStateRef.current === 'AUTO' && following) {
+      const alpha = 1 - Math.exp(-config.cameraFollow.smoothing * Math.min(delta, 0.1));
+      camera.position.lerp(follow.position, alpha);
+      if (orbitControlsRef.current) {
+        orbitControlsRef.current.target.lerp(follow.target, alpha);
+        updateControls();
+      } else {
+        camera.lookAt(follow.target);
       }
-    };
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [tracks, cfg.enabled, cfg.intervalSeconds]);
+      return;
+    }
 
-  // Animation frame - handle transitions
-  useFrame(() => {
-    if (animationState !== 'TRANSITIONING' || !transitionDataRef.current) return;
+    if (animationStateRef.current !== 'TRANSITIONING' || !transitionDataRef.current) return;
 
-    const elapsed = (Date.now() - transitionStartRef.current) / 1000;
-    const progress = Math.min(elapsed / cfg.transitionSeconds, 1);
+    const now = transitionDataRef.current.useWallClock ? performance.now() / 1000 : clock.time;
+    const elapsed = now - transitionStartRef.current;
+    const progress = Math.max(0, Math.min(elapsed / cfg.transitionSeconds, 1));
     const easedProgress = easeInOutCubic(progress);
 
-    const { startPosition, startTarget, targetPosition, targetLookAt } = transitionDataRef.current;
+    // Follow modes fly to the orb's current pose; the framed view is the fallback while it's hidden
+    const { startPosition, startTarget } = transitionDataRef.current;
+    const targetPosition = following ? follow.position : transitionDataRef.current.targetPosition;
+    const targetLookAt = following ? follow.target : transitionDataRef.current.targetLookAt;
 
     // Lerp camera position
     camera.position.lerpVectors(startPosition, targetPosition, easedProgress);
@@ -187,6 +540,7 @@ export function useCameraAnimation(tracks, orbitControlsRef) {
     // Transition complete
     if (progress >= 1) {
       console.log('[Camera Animation] Transition complete, setting state back to AUTO');
+      animationStateRef.current = 'AUTO';
       setAnimationState('AUTO');
       transitionDataRef.current = null;
     }
@@ -196,5 +550,7 @@ export function useCameraAnimation(tracks, orbitControlsRef) {
     featuredTrackIndex,
     isAutoAnimating: animationState === 'AUTO',
     isTransitioning: animationState === 'TRANSITIONING',
+    tourStep,
+    jumpTo,
   };
 }
@@ -0,0 +1,22 @@
+import { parseLandmarks } from '../parsers/landmarks';
+import { useLayerFiles } from './useLayerFiles';
+
+const EMPTY_LANDMARKS = { landmarks: [] };
+
+/**
+ * Read a landmark layer's fields from its GeoJSON/JSON
+ * @param {Object|Array} json - Parsed file contents
+ * @returns {Object} {landmarks}
+ */
+function parseLandmarkLayer(json) {
+  return { landmarks: parseLandmarks(json) };
+}
+
+/**
+ * Custom hook that loads landmark layers from their GeoJSON/JSON files
+ * @param {Array} layers - Layer definitions from config.landmarks.layers
+ * @returns {Array} Layers with {...layer, landmarks, error}
+ */
+export function useLandmarkLayers(layers) {
+  return useLayerFiles(layers, parseLandmarkLayer, EMPTY_LANDMARKS);
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Custom hook that loads a set of layers, each from its own JSON file
+ * A layer that fails to load is kept with an error and the empty shape, so the
+ * other layers still show.
+ * @param {Array} layers - Layer definitions, each with {id, url}
+ * @param {Function} parse - Turns a file's JSON into the layer's fields, e.g. {lines, polygons}
+ * @param {Object} empty - Fields for a layer that hasn't loaded or failed to load;
+ *   parse and empty should be module-level so they stay the same between renders
+ * @returns {Array} Layers with {...layer, ...fields, error}
+ */
+export function useLayerFiles(layers, parse, empty) {
+  const [loadedLayers, setLoadedLayers] = useState(() =>
+    layers.map(layer => ({ ...layer, ...empty, error: null }))
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadLayer = async (layer) => {
+      try {
+        const response = await fetch(layer.url);
+        if (!response.ok) {
+          throw new Error(`Failed to load ${layer.url}: ${response.statusText}`);
+        }
+
+        const fields = parse(await response.json());
+        console.log(`[Layers] Loaded ${layer.id}`);
+        return { ...layer, ...fields, error: null };
+      } catch (error) {
+        console.warn(`[Layers] Could not load ${layer.id}:`, error);
+        return { ...layer, ...empty, error: error.message };
+      }
+    };
+
+    Promise.all(layers.map(loadLayer)).then(result => {
+      if (!cancelled) setLoadedLayers(result);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [layers, parse, empty]);
+
+  return loadedLayers;
+}
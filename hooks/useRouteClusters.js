@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+import { clusterRoutes } from '../clusters';
+
+/**
+ * Custom hook that groups the tracks into route clusters while enabled
+ * Grouping waits until loading has finished, so streamed batches aren't
+ * grouped one after another, and runs after a render so the list can say
+ * it's working first. The clusters are kept until the tracks change.
+ * @param {Array|null} tracks - Processed tracks
+ * @param {boolean} enabled - Whether clusters are wanted
+ * @param {boolean} loading - Whether tracks are still loading
+ * @returns {Object} {clusters, computing}; clusters is null until grouped
+ */
+export function useRouteClusters(tracks, enabled, loading) {
+  const [state, setState] = useState({ tracks: null, clusters: null });
+  const current = Boolean(tracks) && state.tracks === tracks;
+  const wanted = enabled && !current && Boolean(tracks) && tracks.length > 0;
+
+  useEffect(() => {
+    if (!wanted || loading) return;
+
+    const timer = setTimeout(() => {
+      const start = performance.now();
+      const clusters = clusterRoutes(tracks);
+      console.log(`[Clusters] Grouped ${tracks.length} runs into ${clusters.length} routes in ${Math.round(performance.now() - start)} ms`);
+      setState({ tracks, clusters });
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [wanted, loading, tracks]);
+
+  return { clusters: current ? state.clusters : null, computing: wanted };
+}
@@ -0,0 +1,57 @@
+import { useRef, useState, useEffect, useMemo } from 'react';
+import { config } from '../config';
+import { loadDEM, drapeTrack } from '../terrain';
+
+/**
+ * Custom hook that loads the terrain DEM the first time terrain mode is turned on
+ * The DEM is kept when terrain is turned off again. A failed load is retried
+ * the next time terrain is turned on.
+ * @param {boolean} enabled - Whether terrain mode is on
+ * @returns {Object} {dem, loading, error}
+ */
+export function useTerrain(enabled) {
+  const [state, setState] = useState({ dem: null, loading: false, error: null });
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!enabled || requestedRef.current) return;
+    requestedRef.current = true;
+
+    setState({ dem: null, loading: true, error: null });
+    loadDEM(config.terrain)
+      .then(dem => setState({ dem, loading: false, error: null }))
+      .catch(error => {
+        console.warn('[Terrain] Could not load elevation data:', error);
+        requestedRef.current = false;
+        setState({ dem: null, loading: false, error: error.message });
+      });
+  }, [enabled]);
+
+  return state;
+}
+
+/**
+ * Custom hook that places tracks on the terrain surface
+ * Draped tracks are cached per surface, so tracks streaming in from the loader
+ * are only draped once and the earlier ones keep their identity.
+ * @param {Array|null} tracks - Processed tracks
+ * @param {Object|null} surface - Surface from createTerrainSurface, or null for flat mode
+ * @returns {Array|null} Tracks on the terrain, or the tracks unchanged without a surface
+ */
+export function useDrapedTracks(tracks, surface) {
+  const cacheRef = useRef({ surface: null, draped: new WeakMap() });
+
+  return useMemo(() => {
+    if (!tracks || !surface) return tracks;
+
+    if (cacheRef.current.surface !== surface) {
+      cacheRef.current = { surface, draped: new WeakMap() };
+    }
+    const { draped } = cacheRef.current;
+
+    return tracks.map(track => {
+      if (!draped.has(track)) draped.set(track, drapeTrack(track, surface));
+      return draped.get(track);
+    });
+  }, [tracks, surface]);
+}
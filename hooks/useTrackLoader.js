@@ -0,0 +1,196 @@
+import { useRef, useState, useEffect, useCallback } from 'react';
+import { buildTrack, calculateBoundingBox } from '../utils';
+
+/**
+ * Custom hook that loads tracks through the track loading worker
+ * Parsing and projection run off the main thread; tracks arrive in batches and
+ * are appended to `tracks` as they come, so the scene renders while loading.
+ * Starting a replace load terminates the previous worker and drops any queued
+ * appends; appends started while another load is running wait for it to finish.
+ * Files that fail while others load fine are listed in `warning` instead of
+ * failing the whole load.
+ * @param {Array|null} sources - Optional files to load whenever the array changes:
+ *   [{url, dataset}], where dataset is the id each file's tracks are tagged with
+ */
+export function useTrackLoader(sources) {
+  const [tracks, setTracks] = useState(null);
+  const [center, setCenter] = useState(null);
+  const [loading, setLoading] = useState(Boolean(sources?.length));
+  const [error, setError] = useState(null);
+  const [warning, setWarning] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [stats, setStats] = useState(null);
+
+  const workerRef = useRef(null);
+  const centerRef = useRef(null);
+  const tracksRef = useRef([]);
+  const queuedAppendsRef = useRef([]);
+
+  /**
+   * Start a worker load
+   * @param {Object} message - Message for the worker
+   * @param {string} mode - 'replace' the current tracks or 'append' to them
+   */
+  const startLoad = useCallback((message, mode) => {
+    workerRef.current?.terminate();
+
+    const worker = new Worker(new URL('../workers/trackLoader.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+
+    setLoading(true);
+    setError(null);
+    setWarning(null);
+    setProgress({ bytesLoaded: 0, bytesTotal: null, tracksParsed: 0 });
+    console.time('Load tracks');
+
+    // When replacing, the current tracks stay on screen until the first batch arrives
+    let replaced = mode === 'append';
+
+    const finish = () => {
+      worker.terminate();
+      if (workerRef.current === worker) workerRef.current = null;
+      setLoading(false);
+      console.timeEnd('Load tracks');
+    };
+
+    worker.onmessage = (e) => {
+      const data = e.data;
+
+      switch (data.type) {
+        case 'progress':
+          setProgress({
+            bytesLoaded: data.bytesLoaded,
+            bytesTotal: data.bytesTotal,
+            tracksParsed: data.tracksParsed
+          });
+          break;
+
+        case 'tracks': {
+          const batch = data.tracks.map(buildTrack).filter(Boolean);
+          const nextTracks = replaced ? [...tracksRef.current, ...batch] : batch;
+
+          if (!replaced) {
+            centerRef.current = data.center;
+            setCenter(data.center);
+            console.log('Center:', data.center);
+          }
+          replaced = true;
+
+          tracksRef.current = nextTracks;
+          setTracks(nextTracks);
+          break;
+        }
+
+        case 'done': {
+          if (!replaced) {
+            tracksRef.current = [];
+            setTracks([]);
+          }
+          console.log(`Processed ${tracksRef.current.length} tracks`);
+
+          // Calculate bounding box
+          const bbox = calculateBoundingBox(tracksRef.current);
+          console.log('Bounding box:', bbox);
+
+          setStats({
+            totalTracks: tracksRef.current.length,
+            boundingBox: bbox
+          });
+          finish();
+          break;
+        }
+
+        case 'warning':
+          console.warn('Skipped track file:', data.message);
+          setWarning(previous => previous ? `${previous}; ${data.message}` : data.message);
+          break;
+
+        case 'error':
+          console.error('Error loading tracks:', data.message);
+          setError(data.message);
+          finish();
+          break;
+
+        default:
+          break;
+      }
+    };
+
+    worker.onerror = (e) => {
+      console.error('Track loader worker failed:', e);
+      setError(e.message || 'Track loader worker failed');
+      finish();
+    };
+
+    worker.postMessage(message);
+  }, []);
+
+  /**
+   * Load track files from URLs, replacing the current tracks
+   * @param {Array} fileSources - [{url, dataset}]
+   */
+  const loadUrls = useCallback((fileSources) => {
+    queuedAppendsRef.current = [];
+    startLoad({ type: 'urls', sources: fileSources }, 'replace');
+  }, [startLoad]);
+
+  /**
+   * Load local files
+   * @param {Array<File>} files - Files from a picker or drop
+   * @param {string} mode - 'replace' or 'append'
+   * @param {string|null} dataset - Dataset id for the files' tracks
+   */
+  const loadFiles = useCallback((files, mode, dataset = null) => {
+    if (mode === 'append' && workerRef.current) {
+      // Terminating the running load would lose its tracks, so wait for it
+      queuedAppendsRef.current.push({ files, dataset });
+      return;
+    }
+    if (mode !== 'append') queuedAppendsRef.current = [];
+
+    const append = mode === 'append' && tracksRef.current.length > 0;
+
+    startLoad({
+      type: 'files',
+      files,
+      dataset,
+      // Appended tracks share the current projection so they line up
+      center: append ? centerRef.current : null,
+      indexOffset: append ? tracksRef.current.length : 0
+    }, append ? 'append' : 'replace');
+  }, [startLoad]);
+
+  // Start the next queued append once the running load has finished
+  useEffect(() => {
+    if (loading || queuedAppendsRef.current.length === 0) return;
+    const { files, dataset } = queuedAppendsRef.current.shift();
+    loadFiles(files, 'append', dataset);
+  }, [loading, loadFiles]);
+
+  useEffect(() => {
+    if (sources?.length) {
+      loadUrls(sources);
+    }
+  }, [sources, loadUrls]);
+
+  // Stop any running load on unmount
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  return { tracks, center, loading, error, warning, progress, stats, loadUrls, loadFiles };
+}
+
+/**
+ * Format loader progress for display
+ * @param {Object|null} progress - Progress from useTrackLoader
+ * @returns {string} Text such as "3.2 / 10.1 MB · 120 tracks parsed"
+ */
+export function formatLoadProgress(progress) {
+  if (!progress) return '';
+
+  const toMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+  const bytes = progress.bytesTotal
+    ? `${toMB(Math.min(progress.bytesLoaded, progress.bytesTotal))} / ${toMB(progress.bytesTotal)} MB`
+    : `${toMB(progress.bytesLoaded)} MB`;
+
+  return `${bytes} · ${progress.tracksParsed} tracks parsed`;
+}
@@ -0,0 +1,85 @@
+import { useRef, useEffect } from 'react';
+import { config } from '../config';
+import { encodeViewState, decodeViewState } from '../viewState';
+
+/**
+ * Read the view from the current URL
+ * @returns {Object} Decoded view (see decodeViewState); empty when deep links are disabled
+ */
+export function readUrlViewState() {
+  return decodeViewState(config.deepLinks.enabled ? window.location.hash : '');
+}
+
+/**
+ * Custom hook that keeps the view in the URL hash
+ * The hash is refreshed in place every deepLinks.updateSeconds (camera, time
+ * and filters change too often for history entries). Selecting a run adds a
+ * history entry, so back/forward step through earlier selections and hand the
+ * stored view to onRestore.
+ * @param {Function} getView - Returns the current view (see viewState.js), or null to leave the URL alone
+ * @param {number|null} selection - Selected run; a change pushes a history entry
+ * @param {Function} onRestore - Called with the decoded view on back/forward
+ * @param {number|null} initialSelection - Selection the view from page load will apply
+ */
+export function useUrlViewState(getView, selection, onRestore, initialSelection = null) {
+  const getViewRef = useRef(getView);
+  const onRestoreRef = useRef(onRestore);
+  getViewRef.current = getView;
+  onRestoreRef.current = onRestore;
+
+  const lastSelectionRef = useRef(selection);
+  // Selection a restored view is about to apply, which must not push a new entry
+  const restoringSelectionRef = useRef(initialSelection);
+
+  /**
+   * Write the current view into the URL
+   * @param {boolean} push - Add a history entry instead of replacing the current one
+   */
+  const writeUrl = (push) => {
+    const view = getViewRef.current();
+    if (!view) return;
+
+    const hash = encodeViewState(view);
+    if (`#${hash}` === window.location.hash || (!hash && !window.location.hash)) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ''}`;
+    if (push) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  };
+
+  // Keep the current entry up to date
+  useEffect(() => {
+    if (!config.deepLinks.enabled) return;
+
+    const interval = setInterval(() => writeUrl(false), config.deepLinks.updateSeconds * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // New selections get their own history entry
+  useEffect(() => {
+    if (!config.deepLinks.enabled || selection === lastSelectionRef.current) return;
+    lastSelectionRef.current = selection;
+
+    const restoring = selection === restoringSelectionRef.current;
+    restoringSelectionRef.current = undefined;
+    writeUrl(!restoring);
+  }, [selection]);
+
+  // Back/forward
+  useEffect(() => {
+    if (!config.deepLinks.enabled) return;
+
+    const handlePopState = () => {
+      const view = decodeViewState(window.location.hash);
+      console.log('[Deep Links] Restoring view:', view);
+      restoringSelectionRef.current = view.run;
+      onRestoreRef.current(view);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+}
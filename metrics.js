@@ -0,0 +1,182 @@
+/**
+ * Per-run metrics
+ *
+ * Computed from a track's raw points (before simplification, which drops the
+ * small wiggles that make up real distance and climbing) when the track is
+ * projected, and carried on the processed track as `track.metrics`.
+ */
+
+import { config } from './config';
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @param {Object} a - Point {lat, lon}
+ * @param {Object} b - Point {lat, lon}
+ * @returns {number} Distance in metres
+ */
+export function haversineDistance(a, b) {
+  const toRadians = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * toRadians;
+  const dLon = (b.lon - a.lon) * toRadians;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * toRadians) * Math.cos(b.lat * toRadians) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Total climbing and descent, ignoring GPS/barometer noise
+ * Elevations are smoothed with a centred moving average, then only changes of
+ * at least config.metrics.elevationThreshold from the last counted level are
+ * added up.
+ * @param {Array} points - Array of {ele} points
+ * @returns {Object} {gain, loss} in metres
+ */
+function calculateElevationChange(points) {
+  const { elevationSmoothing, elevationThreshold } = config.metrics;
+  const half = Math.floor(elevationSmoothing / 2);
+
+  // Prefix sums make the moving average O(n)
+  const prefix = new Float64Array(points.length + 1);
+  points.forEach((point, i) => {
+    prefix[i + 1] = prefix[i] + (point.ele || 0);
+  });
+
+  let gain = 0;
+  let loss = 0;
+  let level = null;
+
+  for (let i = 0; i < points.length; i++) {
+    const start = Math.max(0, i - half);
+    const end = Math.min(points.length, i + half + 1);
+    const smoothed = (prefix[end] - prefix[start]) / (end - start);
+
+    if (level === null) {
+      level = smoothed;
+    } else if (smoothed - level >= elevationThreshold) {
+      gain += smoothed - level;
+      level = smoothed;
+    } else if (level - smoothed >= elevationThreshold) {
+      loss += level - smoothed;
+      level = smoothed;
+    }
+  }
+
+  return { gain, loss };
+}
+
+/**
+ * Fastest pace over any stretch of config.metrics.bestPaceDistance
+ * @param {Array<number>} distances - Cumulative distance in metres at each timed point
+ * @param {Array<number>} times - Time in milliseconds at each timed point
+ * @returns {number|null} Best pace in seconds per km, or null if the run is shorter than the stretch
+ */
+function calculateBestPace(distances, times) {
+  const target = config.metrics.bestPaceDistance;
+  let best = null;
+  let start = 0;
+
+  for (let end = 1; end < distances.length; end++) {
+    // Shortest window ending here that still covers the target distance
+    while (start + 1 < end && distances[end] - distances[start + 1] >= target) start++;
+
+    const distance = distances[end] - distances[start];
+    const seconds = (times[end] - times[start]) / 1000;
+    if (distance >= target && seconds > 0) {
+      const pace = seconds / (distance / 1000);
+      if (best === null || pace < best) best = pace;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Calculate distance, time, pace and elevation metrics for a run
+ * Time-based metrics are null when fewer than two points have times.
+ * @param {Array} points - Raw track points {lat, lon, ele, time}
+ * @returns {Object} Metrics {distance (m), startTime (Unix ms), elapsedTime (s), movingTime (s),
+ *   averagePace (s/km, over moving time), bestPace (s/km), elevationGain (m), elevationLoss (m)}
+ */
+export function calculateRunMetrics(points) {
+  let distance = 0;
+  let movingTime = 0;
+
+  // Cumulative distance and time at the timed points, for pace windows
+  const timedDistances = [];
+  const timedTimes = [];
+  let lastTimed = null;
+
+  points.forEach((point, i) => {
+    if (i > 0) distance += haversineDistance(points[i - 1], point);
+
+    if (point.time == null) return;
+
+    if (lastTimed !== null) {
+      const seconds = (point.time - lastTimed.time) / 1000;
+      const segmentDistance = distance - lastTimed.distance;
+
+      // Slow segments are stops (traffic lights, auto-pause gaps)
+      if (seconds > 0 && segmentDistance / seconds >= config.metrics.movingSpeedThreshold) {
+        movingTime += seconds;
+      }
+    }
+
+    lastTimed = { time: point.time, distance };
+    timedDistances.push(distance);
+    timedTimes.push(point.time);
+  });
+
+  const hasTimes = timedTimes.length >= 2;
+  const elapsedTime = hasTimes ? (timedTimes[timedTimes.length - 1] - timedTimes[0]) / 1000 : null;
+  const { gain, loss } = calculateElevationChange(points);
+
+  return {
+    distance,
+    startTime: hasTimes ? timedTimes[0] : null,
+    elapsedTime,
+    movingTime: hasTimes ? movingTime : null,
+    averagePace: hasTimes && movingTime > 0 && distance > 0 ? movingTime / (distance / 1000) : null,
+    bestPace: hasTimes ? calculateBestPace(timedDistances, timedTimes) : null,
+    elevationGain: gain,
+    elevationLoss: loss
+  };
+}
+
+/**
+ * Format a distance for display
+ * @param {number} meters - Distance in metres
+ * @returns {string} e.g. "10.42 km"
+ */
+export function formatDistance(meters) {
+  return `${(meters / 1000).toFixed(2)} km`;
+}
+
+/**
+ * Format a duration for display
+ * @param {number|null} seconds - Duration in seconds
+ * @returns {string} e.g. "1:02:05" or "52:13", or "--" when unknown
+ */
+export function formatDuration(seconds) {
+  if (seconds == null) return '--';
+
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = String(total % 60).padStart(2, '0');
+
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+/**
+ * Format a pace for display
+ * @param {number|null} secondsPerKm - Pace in seconds per km
+ * @returns {string} e.g. "5'01\"/km", or "--" when unknown
+ */
+export function formatPace(secondsPerKm) {
+  if (secondsPerKm == null) return '--';
+
+  const total = Math.round(secondsPerKm);
+  return `${Math.floor(total / 60)}'${String(total % 60).padStart(2, '0')}"/km`;
+}
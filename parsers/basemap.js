@@ -0,0 +1,66 @@
+/**
+ * Basemap parser for GeoJSON extracts (roads, rivers, coastline, park areas)
+ */
+
+import { toFeatures } from './geojson';
+
+/**
+ * Keep the [lon, lat] pairs of a coordinate array that are valid numbers
+ * @param {Array} coordinates - GeoJSON positions
+ * @returns {Array} [lon, lat] pairs
+ */
+function toPath(coordinates) {
+  return (coordinates || [])
+    .filter(position => Number.isFinite(position?.[0]) && Number.isFinite(position?.[1]))
+    .map(([lon, lat]) => [lon, lat]);
+}
+
+/**
+ * Collect the lines and polygons of a geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {Object} result - {lines, polygons} to add to
+ */
+function collectGeometry(geometry, result) {
+  if (!geometry) return;
+
+  switch (geometry.type) {
+    case 'LineString':
+      result.lines.push(toPath(geometry.coordinates));
+      break;
+    case 'MultiLineString':
+      geometry.coordinates.forEach(line => result.lines.push(toPath(line)));
+      break;
+    case 'Polygon':
+      result.polygons.push(geometry.coordinates.map(toPath));
+      break;
+    case 'MultiPolygon':
+      geometry.coordinates.forEach(polygon => result.polygons.push(polygon.map(toPath)));
+      break;
+    case 'GeometryCollection':
+      geometry.geometries.forEach(child => collectGeometry(child, result));
+      break;
+    default:
+      // Points have no shape on the map; landmark layers show those
+      break;
+  }
+}
+
+/**
+ * Parse a basemap extract
+ * Lines keep their vertices; polygons keep their outer ring first, then any
+ * holes. Points are skipped.
+ * @param {Object} data - Parsed GeoJSON
+ * @returns {Object} {lines: Array of [lon, lat] paths, polygons: Array of rings}
+ */
+export function parseBasemap(data) {
+  const result = { lines: [], polygons: [] };
+
+  toFeatures(data).forEach(feature => collectGeometry(feature.geometry, result));
+
+  return {
+    lines: result.lines.filter(line => line.length >= 2),
+    polygons: result.polygons
+      .map(rings => rings.filter(ring => ring.length >= 3))
+      .filter(rings => rings.length > 0),
+  };
+}
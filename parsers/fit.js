@@ -0,0 +1,277 @@
+/**
+ * Garmin FIT (Flexible and Interoperable Data Transfer) decoder
+ *
+ * Decodes the binary activity files exported by most GPS watches into the same
+ * { points: [{lat, lon, ele}], metadata } track shape that parseGPX produces.
+ * Only the messages needed for a run are interpreted (file_id, session and
+ * record); every other message is skipped using its definition.
+ */
+
+import { formatDate } from './time';
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+const FIT_EPOCH_OFFSET = 631065600;
+
+// Semicircles are a signed 32-bit fraction of 180 degrees
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+
+// Global message numbers
+const MESG_FILE_ID = 0;
+const MESG_SESSION = 18;
+const MESG_RECORD = 20;
+
+// Field numbers shared by all messages
+const FIELD_TIMESTAMP = 253;
+
+// Field numbers inside the record message
+const RECORD_POSITION_LAT = 0;
+const RECORD_POSITION_LONG = 1;
+const RECORD_ALTITUDE = 2;
+const RECORD_HEART_RATE = 3;
+const RECORD_CADENCE = 4;
+const RECORD_ENHANCED_ALTITUDE = 78;
+
+// Field numbers inside the session and file_id messages
+const SESSION_START_TIME = 2;
+const FILE_ID_TIME_CREATED = 4;
+
+/**
+ * Base types by their number (lower five bits of the base type byte):
+ * byte size, DataView reader and the value the FIT profile uses for "invalid"
+ */
+const BASE_TYPES = {
+  0x00: { size: 1, read: 'getUint8', invalid: 0xFF }, // enum
+  0x01: { size: 1, read: 'getInt8', invalid: 0x7F }, // sint8
+  0x02: { size: 1, read: 'getUint8', invalid: 0xFF }, // uint8
+  0x03: { size: 2, read: 'getInt16', invalid: 0x7FFF }, // sint16
+  0x04: { size: 2, read: 'getUint16', invalid: 0xFFFF }, // uint16
+  0x05: { size: 4, read: 'getInt32', invalid: 0x7FFFFFFF }, // sint32
+  0x06: { size: 4, read: 'getUint32', invalid: 0xFFFFFFFF }, // uint32
+  0x08: { size: 4, read: 'getFloat32', invalid: null }, // float32
+  0x09: { size: 8, read: 'getFloat64', invalid: null }, // float64
+  0x0A: { size: 1, read: 'getUint8', invalid: 0 }, // uint8z
+  0x0B: { size: 2, read: 'getUint16', invalid: 0 }, // uint16z
+  0x0C: { size: 4, read: 'getUint32', invalid: 0 }, // uint32z
+  0x0D: { size: 1, read: 'getUint8', invalid: 0xFF }, // byte
+};
+
+/**
+ * Check whether a buffer starts with a FIT file header
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {boolean} True if the ".FIT" signature is present
+ */
+export function isFITFile(buffer) {
+  if (!buffer || buffer.byteLength < 12) return false;
+  const bytes = new Uint8Array(buffer, 8, 4);
+  return String.fromCharCode(...bytes) === '.FIT';
+}
+
+/**
+ * Read a single numeric field value, returning null for invalid or unsupported values
+ * @param {DataView} view - View over the file
+ * @param {number} offset - Byte offset of the field
+ * @param {Object} field - Field definition {size, baseType}
+ * @param {boolean} littleEndian - Byte order from the definition message
+ * @returns {number|null} Decoded value
+ */
+function readFieldValue(view, offset, field, littleEndian) {
+  const type = BASE_TYPES[field.baseType & 0x1F];
+
+  // Strings, 64-bit integers and arrays aren't needed for tracks
+  if (!type || field.size !== type.size) return null;
+
+  const value = view[type.read](offset, littleEndian);
+
+  if (type.invalid === null) return Number.isFinite(value) ? value : null;
+  return value === type.invalid ? null : value;
+}
+
+/**
+ * Convert a FIT timestamp to milliseconds since the Unix epoch
+ * @param {number} fitSeconds - Seconds since the FIT epoch
+ * @returns {number} Unix time in milliseconds
+ */
+function fitTimeToMillis(fitSeconds) {
+  return (fitSeconds + FIT_EPOCH_OFFSET) * 1000;
+}
+
+/**
+ * Parse a FIT activity file into tracks
+ * @param {ArrayBuffer} buffer - Raw FIT file contents
+ * @returns {Array} Array with one track per FIT file in the buffer, each containing
+ *   {lat, lon, ele, time, heartRate, cadence} points and metadata
+ */
+export function parseFIT(buffer) {
+  const view = new DataView(buffer);
+  const tracks = [];
+  let fileOffset = 0;
+
+  // A buffer can contain several chained FIT files, each with its own header
+  while (fileOffset + 12 <= buffer.byteLength) {
+    if (!isFITFile(buffer.slice(fileOffset, fileOffset + 12))) break;
+
+    const headerSize = view.getUint8(fileOffset);
+    const dataSize = view.getUint32(fileOffset + 4, true);
+    const dataStart = fileOffset + headerSize;
+    const dataEnd = Math.min(dataStart + dataSize, buffer.byteLength);
+
+    const track = parseFITData(view, dataStart, dataEnd, tracks.length);
+    if (track) tracks.push(track);
+
+    // Skip the two CRC bytes that follow the data records
+    fileOffset = dataEnd + 2;
+  }
+
+  return tracks;
+}
+
+/**
+ * Decode the data records of one FIT file
+ * A file cut short (say, by a watch that crashed mid-write) stops at the last
+ * complete record, keeping the points read up to there.
+ * @param {DataView} view - View over the buffer
+ * @param {number} start - Offset of the first record
+ * @param {number} end - Offset just past the last record
+ * @param {number} index - Track index for metadata
+ * @returns {Object|null} Track {points, metadata}, or null if it has no positions
+ */
+function parseFITData(view, start, end, index) {
+  const definitions = {};
+  const points = [];
+  let lastTimestamp = null;
+  let startTime = null;
+  let timeCreated = null;
+  let offset = start;
+
+  while (offset < end) {
+    const header = view.getUint8(offset);
+    offset += 1;
+
+    let localType;
+    let compressedTimestamp = null;
+
+    if (header & 0x80) {
+      // Compressed timestamp header: 5-bit offset from the last full timestamp
+      localType = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1F;
+      if (lastTimestamp !== null) {
+        compressedTimestamp = (lastTimestamp & ~0x1F) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1F)) compressedTimestamp += 0x20;
+        lastTimestamp = compressedTimestamp;
+      }
+    } else if (header & 0x40) {
+      // Definition message
+      localType = header & 0x0F;
+      const hasDeveloperData = (header & 0x20) !== 0;
+      if (offset + 5 > end) break;
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalNumber = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      if (offset + fieldCount * 3 > end) break;
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          number: view.getUint8(offset),
+          size: view.getUint8(offset + 1),
+          baseType: view.getUint8(offset + 2),
+        });
+        offset += 3;
+      }
+
+      let developerDataSize = 0;
+      if (hasDeveloperData) {
+        if (offset + 1 > end) break;
+        const developerFieldCount = view.getUint8(offset);
+        offset += 1;
+        if (offset + developerFieldCount * 3 > end) break;
+        for (let i = 0; i < developerFieldCount; i++) {
+          developerDataSize += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      const size = fields.reduce((total, field) => total + field.size, developerDataSize);
+      definitions[localType] = { globalNumber, littleEndian, fields, developerDataSize, size };
+      continue;
+    } else {
+      localType = header & 0x0F;
+    }
+
+    // Data message
+    const definition = definitions[localType];
+    if (!definition) {
+      console.warn(`FIT data message references undefined local type ${localType}`);
+      break;
+    }
+    if (offset + definition.size > end) break;
+
+    const values = {};
+    for (const field of definition.fields) {
+      values[field.number] = readFieldValue(view, offset, field, definition.littleEndian);
+      offset += field.size;
+    }
+    offset += definition.developerDataSize;
+
+    if (compressedTimestamp !== null) {
+      values[FIELD_TIMESTAMP] = compressedTimestamp;
+    } else if (values[FIELD_TIMESTAMP] != null) {
+      lastTimestamp = values[FIELD_TIMESTAMP];
+    }
+
+    switch (definition.globalNumber) {
+      case MESG_RECORD: {
+        const lat = values[RECORD_POSITION_LAT];
+        const lon = values[RECORD_POSITION_LONG];
+        if (lat == null || lon == null) break;
+
+        // Altitude is stored as (metres + 500) * 5
+        const rawAltitude = values[RECORD_ENHANCED_ALTITUDE] ?? values[RECORD_ALTITUDE];
+        const timestamp = values[FIELD_TIMESTAMP] ?? lastTimestamp;
+
+        points.push({
+          lat: lat * SEMICIRCLES_TO_DEGREES,
+          lon: lon * SEMICIRCLES_TO_DEGREES,
+          ele: rawAltitude != null ? rawAltitude / 5 - 500 : 0,
+          time: timestamp != null ? fitTimeToMillis(timestamp) : null,
+          heartRate: values[RECORD_HEART_RATE],
+          cadence: values[RECORD_CADENCE],
+        });
+        break;
+      }
+      case MESG_SESSION:
+        if (startTime === null && values[SESSION_START_TIME] != null) {
+          startTime = fitTimeToMillis(values[SESSION_START_TIME]);
+        }
+        break;
+      case MESG_FILE_ID:
+        if (values[FILE_ID_TIME_CREATED] != null) {
+          timeCreated = fitTimeToMillis(values[FILE_ID_TIME_CREATED]);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (points.length === 0) return null;
+
+  const firstTime = startTime ?? points.find(point => point.time !== null)?.time ?? timeCreated;
+
+  return {
+    points: points,
+    metadata: {
+      timestamp: firstTime != null ? formatDate(firstTime) : null,
+      index: index
+    }
+  };
+}
+
+export const fitImporter = {
+  format: 'fit',
+  extensions: ['fit'],
+  binary: true,
+  detect: ({ buffer }) => isFITFile(buffer),
+  parse: (buffer) => parseFIT(buffer),
+};
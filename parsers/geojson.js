@@ -0,0 +1,97 @@
+/**
+ * GeoJSON importer for LineString and MultiLineString features
+ */
+
+import { parseTime, formatDate } from './time';
+
+/**
+ * Collect features from any GeoJSON object (FeatureCollection, Feature or bare geometry)
+ * @param {Object} geojson - Parsed GeoJSON
+ * @returns {Array} Array of Feature objects
+ */
+export function toFeatures(geojson) {
+  if (!geojson) return [];
+  if (geojson.type === 'FeatureCollection') return geojson.features || [];
+  if (geojson.type === 'Feature') return [geojson];
+  return [{ type: 'Feature', geometry: geojson, properties: {} }];
+}
+
+/**
+ * Get the line coordinate arrays from a geometry
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} Array of [lon, lat, ele?] coordinate arrays
+ */
+function toLines(geometry) {
+  if (!geometry) return [];
+
+  switch (geometry.type) {
+    case 'LineString':
+      return [geometry.coordinates];
+    case 'MultiLineString':
+      return geometry.coordinates;
+    case 'GeometryCollection':
+      return geometry.geometries.flatMap(toLines);
+    default:
+      return [];
+  }
+}
+
+/**
+ * Parse a GeoJSON string into tracks, one per line feature
+ * Per-point times are read from a `coordTimes` property (as written by
+ * togeojson and many planning tools) when present.
+ * @param {string} geojsonString - Raw GeoJSON text
+ * @returns {Array} Array of tracks with {lat, lon, ele, time} points
+ */
+export function parseGeoJSON(geojsonString) {
+  const features = toFeatures(JSON.parse(geojsonString));
+  const tracks = [];
+
+  features.forEach((feature, i) => {
+    const properties = feature.properties || {};
+    const lines = toLines(feature.geometry);
+
+    // coordTimes is a flat array for LineStrings and nested for MultiLineStrings
+    const coordTimes = properties.coordTimes || [];
+    const timesForLine = (lineIndex) =>
+      Array.isArray(coordTimes[0]) ? coordTimes[lineIndex] || [] : coordTimes;
+
+    const points = [];
+    lines.forEach((coordinates, lineIndex) => {
+      const times = timesForLine(lineIndex);
+
+      coordinates.forEach(([lon, lat, ele], j) => {
+        if (typeof lat !== 'number' || typeof lon !== 'number') return;
+        points.push({
+          lat,
+          lon,
+          ele: typeof ele === 'number' ? ele : 0,
+          time: parseTime(times[j]),
+        });
+      });
+    });
+
+    if (points.length === 0) return;
+
+    const startTime = parseTime(properties.time || properties.date || properties.timestamp)
+      ?? points[0].time;
+
+    tracks.push({
+      points: points,
+      metadata: {
+        timestamp: startTime !== null ? formatDate(startTime) : null,
+        index: i
+      }
+    });
+  });
+
+  return tracks;
+}
+
+export const geojsonImporter = {
+  format: 'geojson',
+  extensions: ['geojson', 'json'],
+  binary: false,
+  detect: ({ text }) => /^\s*\{[\s\S]*"type"\s*:\s*"(FeatureCollection|Feature|LineString|MultiLineString)"/.test(text),
+  parse: (text) => parseGeoJSON(text),
+};
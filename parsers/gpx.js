@@ -0,0 +1,76 @@
+/**
+ * GPX importer
+ */
+
+import { parseTime, formatDate } from './time';
+
+/**
+ * Parse GPX XML string and extract all tracks with their track points
+ * @param {string} gpxString - Raw GPX XML string
+ * @returns {Array} Array of tracks, each containing an array of {lat, lon, ele, time} points
+ */
+export function parseGPX(gpxString) {
+  const parser = new DOMParser();
+  const xmlDoc = parser.parseFromString(gpxString, 'text/xml');
+
+  const tracks = [];
+  const trkElements = xmlDoc.getElementsByTagName('trk');
+
+  for (let i = 0; i < trkElements.length; i++) {
+    const trkElement = trkElements[i];
+
+    // Extract timestamp from the <time> element at track level
+    const trackTimeElement = Array.from(trkElement.childNodes)
+      .find(node => node.nodeName === 'time');
+    let timestamp = trackTimeElement ? trackTimeElement.textContent.trim() : null;
+
+    const trkpts = trkElement.getElementsByTagName('trkpt');
+
+    if (trkpts.length === 0) continue;
+
+    const points = [];
+    for (let j = 0; j < trkpts.length; j++) {
+      const trkpt = trkpts[j];
+      const lat = parseFloat(trkpt.getAttribute('lat'));
+      const lon = parseFloat(trkpt.getAttribute('lon'));
+
+      // Try to get elevation if it exists
+      const eleElements = trkpt.getElementsByTagName('ele');
+      const ele = eleElements.length > 0 ? parseFloat(eleElements[0].textContent) : 0;
+
+      // Per-point time, used for real-pace playback
+      const timeElements = trkpt.getElementsByTagName('time');
+      const time = timeElements.length > 0 ? parseTime(timeElements[0].textContent) : null;
+
+      if (!isNaN(lat) && !isNaN(lon)) {
+        points.push({ lat, lon, ele, time });
+      }
+    }
+
+    // Fall back to the date of the first timed point
+    if (!timestamp) {
+      const firstTimed = points.find(point => point.time !== null);
+      timestamp = firstTimed ? formatDate(firstTimed.time) : null;
+    }
+
+    if (points.length > 0) {
+      tracks.push({
+        points: points,
+        metadata: {
+          timestamp: timestamp,
+          index: i
+        }
+      });
+    }
+  }
+
+  return tracks;
+}
+
+export const gpxImporter = {
+  format: 'gpx',
+  extensions: ['gpx'],
+  binary: false,
+  detect: ({ text }) => /<gpx[\s>]/.test(text),
+  parse: (text) => parseGPX(text),
+};
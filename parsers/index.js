@@ -0,0 +1,96 @@
+/**
+ * Track importer registry
+ *
+ * Each importer turns one file format into the normalized track array that
+ * processTracks expects: [{ points: [{lat, lon, ele, ...}], metadata }].
+ * An importer is an object of the form:
+ *
+ *   {
+ *     format: 'gpx',              // Unique format key
+ *     extensions: ['gpx'],        // File extensions, without the dot
+ *     binary: false,              // true: parse() gets an ArrayBuffer, false: a string
+ *     detect: ({ buffer, text }) => boolean, // Sniff the start of the file
+ *     parse: (contents) => tracks,
+ *   }
+ *
+ * Support for a new format is added by calling registerImporter() with such an
+ * object; the loader only talks to this module.
+ */
+
+import { gpxImporter } from './gpx';
+import { fitImporter } from './fit';
+import { tcxImporter } from './tcx';
+import { geojsonImporter } from './geojson';
+import { kmlImporter } from './kml';
+
+// Number of bytes handed to detect() when sniffing file contents
+const SNIFF_BYTES = 1024;
+
+const importers = new Map();
+
+/**
+ * Register an importer, replacing any existing importer for the same format
+ * @param {Object} importer - Importer definition (see above)
+ */
+export function registerImporter(importer) {
+  importers.set(importer.format, importer);
+}
+
+/**
+ * Look up an importer by its format key
+ * @param {string} format - Format key such as 'gpx'
+ * @returns {Object|undefined} Importer definition
+ */
+export function getImporter(format) {
+  return importers.get(format);
+}
+
+/**
+ * List the file extensions all registered importers accept
+ * @returns {Array<string>} Extensions with a leading dot, e.g. ['.gpx', '.fit']
+ */
+export function getSupportedExtensions() {
+  return Array.from(importers.values()).flatMap(importer =>
+    importer.extensions.map(extension => `.${extension}`)
+  );
+}
+
+/**
+ * Pick the importer for a file, by extension first and then by content
+ * @param {string} fileName - File name or URL
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Object|null} Importer definition, or null if no importer recognizes the file
+ */
+export function findImporter(fileName, buffer) {
+  const extension = fileName.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  const head = buffer.slice(0, SNIFF_BYTES);
+  const sample = { buffer: head, text: new TextDecoder().decode(head) };
+
+  const byExtension = Array.from(importers.values())
+    .filter(importer => importer.extensions.includes(extension));
+
+  // Several formats can share an extension (e.g. .json), so confirm with detect()
+  if (byExtension.length === 1) return byExtension[0];
+  const confirmed = byExtension.find(importer => importer.detect(sample));
+  if (confirmed) return confirmed;
+
+  return Array.from(importers.values()).find(importer => importer.detect(sample)) || null;
+}
+
+/**
+ * Parse a file's contents with the matching importer
+ * @param {string} fileName - File name or URL, used for extension matching
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Array} Normalized track array
+ */
+export function parseTrackFile(fileName, buffer) {
+  const importer = findImporter(fileName, buffer);
+  if (!importer) {
+    throw new Error(`Unsupported file format: ${fileName}`);
+  }
+
+  const contents = importer.binary ? buffer : new TextDecoder().decode(buffer);
+  return importer.parse(contents);
+}
+
+[gpxImporter, fitImporter, tcxImporter, geojsonImporter, kmlImporter].forEach(registerImporter);
@@ -0,0 +1,103 @@
+/**
+ * KML importer for LineString and gx:Track placemarks (Google Earth / Google Maps exports)
+ */
+
+import { parseTime, formatDate } from './time';
+
+/**
+ * Parse a KML <coordinates> string ("lon,lat[,ele] lon,lat[,ele] ...")
+ * @param {string} text - Coordinates text
+ * @returns {Array} Array of {lat, lon, ele, time} points
+ */
+function parseCoordinates(text) {
+  return text.trim().split(/\s+/).map(tuple => {
+    const [lon, lat, ele] = tuple.split(',').map(parseFloat);
+    return { lat, lon, ele: isNaN(ele) ? 0 : ele, time: null };
+  }).filter(point => !isNaN(point.lat) && !isNaN(point.lon));
+}
+
+/**
+ * Parse a gx:Track element, pairing each <when> with its <gx:coord> ("lon lat ele")
+ * @param {Element} trackElement - gx:Track element
+ * @returns {Array} Array of {lat, lon, ele, time} points
+ */
+function parseGxTrack(trackElement) {
+  const whens = trackElement.getElementsByTagNameNS('*', 'when');
+  const coords = trackElement.getElementsByTagNameNS('*', 'coord');
+  const points = [];
+
+  for (let i = 0; i < coords.length; i++) {
+    const [lon, lat, ele] = coords[i].textContent.trim().split(/\s+/).map(parseFloat);
+    if (isNaN(lat) || isNaN(lon)) continue;
+
+    points.push({
+      lat,
+      lon,
+      ele: isNaN(ele) ? 0 : ele,
+      time: i < whens.length ? parseTime(whens[i].textContent) : null,
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Parse a KML string into tracks, one per Placemark with line geometry
+ * @param {string} kmlString - Raw KML XML string
+ * @returns {Array} Array of tracks with {lat, lon, ele, time} points
+ */
+export function parseKML(kmlString) {
+  const parser = new DOMParser();
+  const xmlDoc = parser.parseFromString(kmlString, 'text/xml');
+
+  const tracks = [];
+  const placemarks = xmlDoc.getElementsByTagNameNS('*', 'Placemark');
+
+  for (let i = 0; i < placemarks.length; i++) {
+    const placemark = placemarks[i];
+    const points = [];
+
+    // gx:Track (or Track in KML 2.3) carries per-point times
+    const gxTracks = placemark.getElementsByTagNameNS('*', 'Track');
+    for (let j = 0; j < gxTracks.length; j++) {
+      points.push(...parseGxTrack(gxTracks[j]));
+    }
+
+    // Plain LineStrings, possibly inside a MultiGeometry
+    const lineStrings = placemark.getElementsByTagNameNS('*', 'LineString');
+    for (let j = 0; j < lineStrings.length; j++) {
+      const coordinates = lineStrings[j].getElementsByTagNameNS('*', 'coordinates');
+      if (coordinates.length > 0) {
+        points.push(...parseCoordinates(coordinates[0].textContent));
+      }
+    }
+
+    if (points.length === 0) continue;
+
+    // Placemark date comes from TimeStamp/when or TimeSpan/begin
+    const timeElement = placemark.getElementsByTagNameNS('*', 'TimeStamp')[0]
+      || placemark.getElementsByTagNameNS('*', 'TimeSpan')[0];
+    const timeText = timeElement
+      ? (timeElement.getElementsByTagNameNS('*', 'when')[0] || timeElement.getElementsByTagNameNS('*', 'begin')[0])?.textContent
+      : null;
+    const startTime = parseTime(timeText) ?? points[0].time;
+
+    tracks.push({
+      points: points,
+      metadata: {
+        timestamp: startTime !== null ? formatDate(startTime) : null,
+        index: i
+      }
+    });
+  }
+
+  return tracks;
+}
+
+export const kmlImporter = {
+  format: 'kml',
+  extensions: ['kml'],
+  binary: false,
+  detect: ({ text }) => /<kml[\s>]/.test(text),
+  parse: (text) => parseKML(text),
+};
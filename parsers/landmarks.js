@@ -0,0 +1,70 @@
+/**
+ * Landmark parser for GeoJSON and plain JSON landmark sets
+ */
+
+import { toFeatures } from './geojson';
+
+/**
+ * Get a representative [lon, lat] position for a geometry
+ * Points use their own position; lines and polygons use the center of their bounds.
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array|null} [lon, lat], or null for empty geometries
+ */
+function toPosition(geometry) {
+  if (!geometry) return null;
+  if (geometry.type === 'Point') return geometry.coordinates;
+
+  // Flatten nested coordinate arrays down to [lon, lat] pairs
+  const positions = [];
+  const collect = (coordinates) => {
+    if (typeof coordinates[0] === 'number') positions.push(coordinates);
+    else coordinates.forEach(collect);
+  };
+
+  if (geometry.type === 'GeometryCollection') {
+    geometry.geometries.map(toPosition).filter(Boolean).forEach(collect);
+  } else if (geometry.coordinates) {
+    collect(geometry.coordinates);
+  }
+
+  if (positions.length === 0) return null;
+
+  const lons = positions.map(position => position[0]);
+  const lats = positions.map(position => position[1]);
+  return [
+    (Math.min(...lons) + Math.max(...lons)) / 2,
+    (Math.min(...lats) + Math.max(...lats)) / 2
+  ];
+}
+
+/**
+ * Parse a landmark set
+ * Accepts GeoJSON (any geometry; the name comes from a `name` or `title`
+ * property) or a plain JSON array of {name, lat, lon} objects.
+ * @param {Object|Array} data - Parsed JSON
+ * @returns {Array} Array of landmarks {name, lat, lon, properties}
+ */
+export function parseLandmarks(data) {
+  if (Array.isArray(data)) {
+    return data
+      .filter(item => Number.isFinite(item.lat) && Number.isFinite(item.lon))
+      .map(({ name, lat, lon, ...properties }) => ({ name: name || '', lat, lon, properties }));
+  }
+
+  const landmarks = [];
+
+  toFeatures(data).forEach(feature => {
+    const position = toPosition(feature.geometry);
+    if (!position) return;
+
+    const properties = feature.properties || {};
+    landmarks.push({
+      name: properties.name || properties.title || '',
+      lat: position[1],
+      lon: position[0],
+      properties
+    });
+  });
+
+  return landmarks;
+}
@@ -0,0 +1,82 @@
+/**
+ * Garmin Training Center (TCX) importer
+ */
+
+import { parseTime, formatDate } from './time';
+
+/**
+ * Get the trimmed text of the first descendant with the given local name
+ * @param {Element} element - Parent element
+ * @param {string} name - Local tag name
+ * @returns {string|null} Text content, or null if missing
+ */
+function childText(element, name) {
+  const children = element.getElementsByTagNameNS('*', name);
+  return children.length > 0 ? children[0].textContent.trim() : null;
+}
+
+/**
+ * Parse a TCX string into tracks, one per Activity (or Course)
+ * @param {string} tcxString - Raw TCX XML string
+ * @returns {Array} Array of tracks with {lat, lon, ele, time, heartRate, cadence} points
+ */
+export function parseTCX(tcxString) {
+  const parser = new DOMParser();
+  const xmlDoc = parser.parseFromString(tcxString, 'text/xml');
+
+  const tracks = [];
+  const activities = [
+    ...Array.from(xmlDoc.getElementsByTagNameNS('*', 'Activity')),
+    ...Array.from(xmlDoc.getElementsByTagNameNS('*', 'Course')),
+  ];
+
+  activities.forEach((activity, i) => {
+    const trackpoints = activity.getElementsByTagNameNS('*', 'Trackpoint');
+    const points = [];
+
+    for (let j = 0; j < trackpoints.length; j++) {
+      const trackpoint = trackpoints[j];
+      const lat = parseFloat(childText(trackpoint, 'LatitudeDegrees'));
+      const lon = parseFloat(childText(trackpoint, 'LongitudeDegrees'));
+
+      // Trackpoints without a fix (e.g. treadmill sections) have no Position
+      if (isNaN(lat) || isNaN(lon)) continue;
+
+      const altitude = parseFloat(childText(trackpoint, 'AltitudeMeters'));
+      const heartRate = parseInt(childText(trackpoint, 'Value'), 10);
+      const cadence = parseInt(childText(trackpoint, 'Cadence') ?? childText(trackpoint, 'RunCadence'), 10);
+
+      points.push({
+        lat,
+        lon,
+        ele: isNaN(altitude) ? 0 : altitude,
+        time: parseTime(childText(trackpoint, 'Time')),
+        heartRate: isNaN(heartRate) ? null : heartRate,
+        cadence: isNaN(cadence) ? null : cadence,
+      });
+    }
+
+    if (points.length === 0) return;
+
+    // Activities are identified by their start time
+    const startTime = parseTime(childText(activity, 'Id')) ?? points[0].time;
+
+    tracks.push({
+      points: points,
+      metadata: {
+        timestamp: startTime !== null ? formatDate(startTime) : null,
+        index: i
+      }
+    });
+  });
+
+  return tracks;
+}
+
+export const tcxImporter = {
+  format: 'tcx',
+  extensions: ['tcx'],
+  binary: false,
+  detect: ({ text }) => /<TrainingCenterDatabase[\s>]/.test(text),
+  parse: (text) => parseTCX(text),
+};
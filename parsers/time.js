@@ -0,0 +1,25 @@
+/**
+ * Shared time helpers for the track importers
+ */
+
+/**
+ * Parse a date/time into milliseconds since the Unix epoch
+ * Numbers are taken as epoch milliseconds, as GeoJSON files often store them.
+ * @param {string|number|null} value - ISO 8601 date or date-time, or epoch milliseconds
+ * @returns {number|null} Unix time in milliseconds, or null if it can't be parsed
+ */
+export function parseTime(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string' || !value) return null;
+  const millis = Date.parse(value.trim());
+  return Number.isNaN(millis) ? null : millis;
+}
+
+/**
+ * Format a Unix time as the YYYY-MM-DD date string used for track timestamps
+ * @param {number} millis - Unix time in milliseconds
+ * @returns {string} Date string
+ */
+export function formatDate(millis) {
+  return new Date(millis).toISOString().slice(0, 10);
+}
@@ -0,0 +1,259 @@
+/**
+ * Poster export
+ *
+ * Renders the current view offscreen at print resolution and lays it out as a
+ * poster: the scene inside configurable margins, landmark labels drawn on top
+ * (they're HTML on screen, so a canvas capture would miss them), and a footer
+ * with the title, date range and run stats.
+ *
+ * Scenes bigger than one render tile are rendered tile by tile with camera
+ * view offsets. Each tile is rendered with an overlap on every side that is
+ * cropped away, so bloom near a tile edge sees the same neighbourhood as in
+ * its neighbour and no seams show.
+ */
+
+import * as THREE from 'three';
+import { config } from './config';
+import { formatDistance, formatDuration } from './metrics';
+
+// Page colours; the scene itself keeps its own colours in every theme
+export const POSTER_THEMES = {
+  dark: { background: '#000000', text: '#FFFFFF', muted: '#888888', accent: config.orbColor },
+  light: { background: '#F4F1EA', text: '#111111', muted: '#666666', accent: config.trailColor },
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Totals for the runs on the poster
+ * @param {Array} processedTracks - Array of processed tracks
+ * @param {Uint8Array|null} visibleMask - Filter mask; hidden runs are left out
+ * @returns {Object} {count, distance (m), movingTime (s), firstDate, lastDate}
+ */
+export function summarizeRuns(processedTracks, visibleMask = null) {
+  const summary = { count: 0, distance: 0, movingTime: 0, firstDate: null, lastDate: null };
+
+  processedTracks.forEach((track, i) => {
+    if (visibleMask && !visibleMask[i]) return;
+
+    summary.count++;
+    summary.distance += track.metrics?.distance || 0;
+    summary.movingTime += track.metrics?.movingTime || 0;
+
+    const date = track.metadata.timestamp?.slice(0, 10);
+    if (date) {
+      if (!summary.firstDate || date < summary.firstDate) summary.firstDate = date;
+      if (!summary.lastDate || date > summary.lastDate) summary.lastDate = date;
+    }
+  });
+
+  return summary;
+}
+
+/**
+ * Lay out the poster: the scene area inside the margins and the footer below it
+ * @param {number} width - Poster width in pixels
+ * @param {number} height - Poster height in pixels
+ * @param {number} margin - Margin around the scene in pixels
+ * @returns {Object} {scene: {x, y, width, height}, footer: {x, y, width, height}}
+ */
+export function posterLayout(width, height, margin) {
+  const footerHeight = Math.round(height * config.poster.footerFraction);
+  const sceneWidth = width - margin * 2;
+  const sceneHeight = height - margin * 2 - footerHeight;
+
+  return {
+    scene: { x: margin, y: margin, width: sceneWidth, height: sceneHeight },
+    footer: { x: margin, y: margin + sceneHeight, width: sceneWidth, height: footerHeight },
+  };
+}
+
+/**
+ * Render the scene at any resolution, in tiles if it's bigger than one tile
+ * The renderer, composer and camera are restored afterwards.
+ * @param {Object} options - Render options
+ * @param {THREE.WebGLRenderer} options.gl - Renderer
+ * @param {THREE.Scene} options.scene - Scene
+ * @param {THREE.PerspectiveCamera} options.camera - Camera with the view to render
+ * @param {Object|null} options.composer - postprocessing EffectComposer (bloom), or null for a plain render
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {Function} options.onProgress - Called with (tilesDone, tileCount)
+ * @param {AbortSignal} options.signal - Cancels the render
+ * @returns {Promise<HTMLCanvasElement>} Rendered image
+ */
+export async function renderSceneTiled({ gl, scene, camera, composer, width, height, onProgress, signal }) {
+  const tileSize = Math.min(config.poster.tileSize, gl.capabilities.maxTextureSize);
+  const overlap = Math.min(config.poster.tileOverlap, Math.floor(tileSize / 4));
+  const innerSize = tileSize - overlap * 2;
+  const columns = Math.ceil(width / innerSize);
+  const rows = Math.ceil(height / innerSize);
+
+  const image = document.createElement('canvas');
+  image.width = width;
+  image.height = height;
+  const context = image.getContext('2d');
+
+  const savedSize = gl.getSize(new THREE.Vector2());
+  const savedPixelRatio = gl.getPixelRatio();
+  const savedAspect = camera.aspect;
+
+  console.log('[Poster] Rendering', `${width}x${height}`, 'in', columns * rows, 'tiles of', tileSize);
+
+  try {
+    gl.setPixelRatio(1);
+    if (composer) {
+      composer.setSize(tileSize, tileSize, false);
+    } else {
+      gl.setSize(tileSize, tileSize, false);
+    }
+    camera.aspect = width / height;
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+
+        const x = column * innerSize;
+        const y = row * innerSize;
+
+        // Every tile is the same size, so bloom spreads the same way in each;
+        // offsets past the image edge just render more of the scene
+        camera.setViewOffset(width, height, x - overlap, y - overlap, tileSize, tileSize);
+
+        if (composer) {
+          composer.render(0);
+        } else {
+          gl.render(scene, camera);
+        }
+
+        // Copy before the browser presents (and clears) the drawing buffer
+        const w = Math.min(innerSize, width - x);
+        const h = Math.min(innerSize, height - y);
+        context.drawImage(gl.domElement, overlap, overlap, w, h, x, y, w, h);
+
+        onProgress?.(row * columns + column + 1, columns * rows);
+        await wait(0);
+      }
+    }
+  } finally {
+    camera.clearViewOffset();
+    camera.aspect = savedAspect;
+    camera.updateProjectionMatrix();
+    gl.setPixelRatio(savedPixelRatio);
+    if (composer) {
+      composer.setSize(savedSize.width, savedSize.height, false);
+    } else {
+      gl.setSize(savedSize.width, savedSize.height, false);
+    }
+  }
+
+  return image;
+}
+
+/**
+ * Project landmark labels into the scene image
+ * @param {Array} labels - Labels {text, color, position: {x, y, z}} in scene coordinates
+ * @param {THREE.PerspectiveCamera} camera - Camera the scene was rendered with
+ * @param {number} width - Scene image width
+ * @param {number} height - Scene image height
+ * @returns {Array} Labels {text, color, x, y} in image pixels, for those in front of the camera
+ */
+function projectLabels(labels, camera, width, height) {
+  const projectionCamera = camera.clone();
+  projectionCamera.clearViewOffset();
+  projectionCamera.aspect = width / height;
+  projectionCamera.updateProjectionMatrix();
+
+  const point = new THREE.Vector3();
+
+  return labels
+    .map(({ text, color, position }) => {
+      point.set(position.x, position.y, position.z).project(projectionCamera);
+      if (point.z < -1 || point.z > 1) return null;
+      return {
+        text,
+        color,
+        x: ((point.x + 1) / 2) * width,
+        y: ((1 - point.y) / 2) * height,
+      };
+    })
+    .filter(label => label && label.x >= 0 && label.x <= width && label.y >= 0 && label.y <= height);
+}
+
+/**
+ * Compose the poster from a rendered scene
+ * @param {Object} options - Poster options
+ * @param {HTMLCanvasElement} options.sceneImage - Scene rendered at the layout's scene size
+ * @param {THREE.PerspectiveCamera} options.camera - Camera the scene was rendered with
+ * @param {number} options.width - Poster width in pixels
+ * @param {number} options.height - Poster height in pixels
+ * @param {number} options.margin - Margin in pixels
+ * @param {string} options.theme - Theme name from POSTER_THEMES
+ * @param {string} options.title - Title text
+ * @param {Object} options.summary - Run totals from summarizeRuns
+ * @param {Array} options.labels - Landmark labels {text, color, position}
+ * @returns {HTMLCanvasElement} Poster
+ */
+export function composePoster({ sceneImage, camera, width, height, margin, theme, title, summary, labels }) {
+  const colors = POSTER_THEMES[theme] || POSTER_THEMES.dark;
+  const layout = posterLayout(width, height, margin);
+
+  const poster = document.createElement('canvas');
+  poster.width = width;
+  poster.height = height;
+  const context = poster.getContext('2d');
+
+  context.fillStyle = colors.background;
+  context.fillRect(0, 0, width, height);
+  context.drawImage(sceneImage, layout.scene.x, layout.scene.y);
+
+  // Landmark labels, as on screen: bold, coloured, with a dark halo
+  const labelSize = Math.round(width * config.poster.labelSizeFraction);
+  context.font = `900 ${labelSize}px sans-serif`;
+  context.textAlign = 'center';
+  context.textBaseline = 'bottom';
+  context.save();
+  context.beginPath();
+  context.rect(layout.scene.x, layout.scene.y, layout.scene.width, layout.scene.height);
+  context.clip();
+  projectLabels(labels, camera, layout.scene.width, layout.scene.height).forEach(({ text, color, x, y }) => {
+    context.shadowColor = '#000000';
+    context.shadowBlur = labelSize / 3;
+    context.fillStyle = color;
+    context.fillText(text, layout.scene.x + x, layout.scene.y + y);
+  });
+  context.restore();
+
+  // Footer: title and date range on the left, stats on the right
+  const { footer } = layout;
+  const titleSize = Math.round(footer.height * 0.4);
+  const detailSize = Math.round(footer.height * 0.16);
+  const titleBaseline = footer.y + footer.height * 0.55;
+  const detailBaseline = titleBaseline + detailSize * 1.6;
+
+  context.textBaseline = 'alphabetic';
+  context.textAlign = 'left';
+  context.fillStyle = colors.text;
+  context.font = `900 ${titleSize}px sans-serif`;
+  context.fillText(title, footer.x, titleBaseline);
+
+  context.fillStyle = colors.muted;
+  context.font = `${detailSize}px monospace`;
+  const dateRange = summary.firstDate
+    ? (summary.firstDate === summary.lastDate ? summary.firstDate : `${summary.firstDate} – ${summary.lastDate}`)
+    : '';
+  context.fillText(dateRange, footer.x, detailBaseline);
+
+  context.textAlign = 'right';
+  context.fillStyle = colors.accent;
+  context.font = `900 ${Math.round(detailSize * 1.4)}px monospace`;
+  context.fillText(`${summary.count} RUNS`, footer.x + footer.width, titleBaseline);
+
+  context.fillStyle = colors.muted;
+  context.font = `${detailSize}px monospace`;
+  const stats = [formatDistance(summary.distance)];
+  if (summary.movingTime > 0) stats.push(formatDuration(summary.movingTime));
+  context.fillText(stats.join(' · '), footer.x + footer.width, detailBaseline);
+
+  return poster;
+}
@@ -0,0 +1,202 @@
+/**
+ * Map projections
+ *
+ * Every layer that places geographic data in the scene (tracks, landmarks,
+ * overlays) goes through a projection created here, so they all line up and
+ * follow the same config. The scene is centred on a projection center: it sits
+ * at the origin, east is +X, north is -Z and elevation is +Y.
+ *
+ * Supported projections (config.projection):
+ *   'equirectangular' - Flat lat/lon grid scaled by the cosine of the center latitude.
+ *                       Fast and accurate for a single city.
+ *   'webMercator'     - Spherical Mercator as used by web maps. Conformal, so shapes
+ *                       stay correct across a country.
+ *   'utm'             - UTM-style transverse Mercator on the WGS84 ellipsoid, with a
+ *                       local zone whose central meridian runs through the center
+ *                       (like a local east/north/up frame), so north stays straight up.
+ *                       Metric and nearly distortion-free within a few hundred km.
+ */
+
+import { config } from './config';
+
+const DEG = Math.PI / 180;
+
+// Mean length of a degree of latitude; converts projectionScale (units per
+// degree) to units per metre for the metric projections
+const METERS_PER_DEGREE = 111320;
+
+// WGS84 ellipsoid
+const EARTH_RADIUS = 6378137;
+const FLATTENING = 1 / 298.257223563;
+
+// Krüger series coefficients for the transverse Mercator projection
+const N = FLATTENING / (2 - FLATTENING);
+const RECTIFYING_RADIUS = EARTH_RADIUS / (1 + N) * (1 + N * N / 4 + N ** 4 / 64);
+const ALPHA = [N / 2 - 2 * N * N / 3 + 5 * N ** 3 / 16, 13 * N * N / 48 - 3 * N ** 3 / 5, 61 * N ** 3 / 240];
+const BETA = [N / 2 - 2 * N * N / 3 + 37 * N ** 3 / 96, N * N / 48 + N ** 3 / 15, 17 * N ** 3 / 480];
+const DELTA = [2 * N - 2 * N * N / 3 - 2 * N ** 3, 7 * N * N / 3 - 8 * N ** 3 / 5, 56 * N ** 3 / 15];
+const ECCENTRICITY_TERM = 2 * Math.sqrt(N) / (1 + N);
+
+/**
+ * Transverse Mercator forward projection
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @param {number} centralMeridian - Central meridian in degrees
+ * @returns {Object} {easting, northing} in metres from the central meridian and equator
+ */
+function transverseMercator(lat, lon, centralMeridian) {
+  const phi = lat * DEG;
+  const lambda = (lon - centralMeridian) * DEG;
+
+  const t = Math.sinh(Math.atanh(Math.sin(phi)) - ECCENTRICITY_TERM * Math.atanh(ECCENTRICITY_TERM * Math.sin(phi)));
+  const xiPrime = Math.atan2(t, Math.cos(lambda));
+  const etaPrime = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+
+  let xi = xiPrime;
+  let eta = etaPrime;
+  ALPHA.forEach((alpha, j) => {
+    const k = 2 * (j + 1);
+    xi += alpha * Math.sin(k * xiPrime) * Math.cosh(k * etaPrime);
+    eta += alpha * Math.cos(k * xiPrime) * Math.sinh(k * etaPrime);
+  });
+
+  return {
+    easting: RECTIFYING_RADIUS * eta,
+    northing: RECTIFYING_RADIUS * xi
+  };
+}
+
+/**
+ * Transverse Mercator inverse projection
+ * @param {number} easting - Metres from the central meridian
+ * @param {number} northing - Metres from the equator
+ * @param {number} centralMeridian - Central meridian in degrees
+ * @returns {Object} {lat, lon} in degrees
+ */
+function inverseTransverseMercator(easting, northing, centralMeridian) {
+  const xi = northing / RECTIFYING_RADIUS;
+  const eta = easting / RECTIFYING_RADIUS;
+
+  let xiPrime = xi;
+  let etaPrime = eta;
+  BETA.forEach((beta, j) => {
+    const k = 2 * (j + 1);
+    xiPrime -= beta * Math.sin(k * xi) * Math.cosh(k * eta);
+    etaPrime -= beta * Math.cos(k * xi) * Math.sinh(k * eta);
+  });
+
+  const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+  let phi = chi;
+  DELTA.forEach((delta, j) => {
+    phi += delta * Math.sin(2 * (j + 1) * chi);
+  });
+
+  return {
+    lat: phi / DEG,
+    lon: centralMeridian + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) / DEG
+  };
+}
+
+/**
+ * Create the planar x/y (east/north, in projection units) functions for a projection type
+ * @param {string} type - Projection type
+ * @param {Object} center - Projection center {lat, lon}
+ * @returns {Object} {forward(lat, lon) → {x, y}, inverse(x, y) → {lat, lon}}
+ */
+function createPlanarProjection(type, center) {
+  const unitsPerMeter = config.projectionScale / METERS_PER_DEGREE;
+
+  switch (type) {
+    case 'equirectangular': {
+      // At Tokyo's latitude (~35°), 1 degree of latitude ≈ 111km
+      // 1 degree of longitude ≈ 91km (varies by latitude)
+      const latScale = config.projectionScale;
+      const lonScale = config.projectionScale * Math.cos(center.lat * DEG);
+
+      return {
+        forward: (lat, lon) => ({ x: (lon - center.lon) * lonScale, y: (lat - center.lat) * latScale }),
+        inverse: (x, y) => ({ lat: center.lat + y / latScale, lon: center.lon + x / lonScale })
+      };
+    }
+
+    case 'webMercator': {
+      // Scaled by the cosine of the center latitude so distances are true at the center
+      const scale = EARTH_RADIUS * Math.cos(center.lat * DEG) * unitsPerMeter;
+      const mercatorY = (lat) => Math.log(Math.tan(Math.PI / 4 + lat * DEG / 2));
+      const centerY = mercatorY(center.lat);
+
+      return {
+        forward: (lat, lon) => ({
+          x: (lon - center.lon) * DEG * scale,
+          y: (mercatorY(lat) - centerY) * scale
+        }),
+        inverse: (x, y) => ({
+          lat: (2 * Math.atan(Math.exp(y / scale + centerY)) - Math.PI / 2) / DEG,
+          lon: center.lon + x / scale / DEG
+        })
+      };
+    }
+
+    case 'utm': {
+      const centralMeridian = center.lon;
+      const origin = transverseMercator(center.lat, center.lon, centralMeridian);
+
+      return {
+        forward: (lat, lon) => {
+          const { easting, northing } = transverseMercator(lat, lon, centralMeridian);
+          return {
+            x: (easting - origin.easting) * unitsPerMeter,
+            y: (northing - origin.northing) * unitsPerMeter
+          };
+        },
+        inverse: (x, y) => inverseTransverseMercator(
+          x / unitsPerMeter + origin.easting,
+          y / unitsPerMeter + origin.northing,
+          centralMeridian
+        )
+      };
+    }
+
+    default:
+      throw new Error(`Unknown projection: ${type}`);
+  }
+}
+
+/**
+ * Create a projection between GPS coordinates and scene coordinates
+ * Plain functions and objects only, so it can be used inside a Web Worker.
+ * @param {Object} center - Projection center {lat, lon}, placed at the scene origin
+ * @param {string} type - 'equirectangular', 'webMercator' or 'utm' (defaults to config.projection)
+ * @returns {Object} Projection {type, center, project(lat, lon, ele) → {x, y, z}, unproject(x, z) → {lat, lon}}
+ */
+export function createProjection(center, type = config.projection) {
+  const planar = createPlanarProjection(type, center);
+
+  return {
+    type,
+    center,
+
+    /**
+     * Convert GPS coordinates to scene coordinates
+     * @param {number} lat - Latitude
+     * @param {number} lon - Longitude
+     * @param {number} ele - Elevation in metres (optional, defaults to ground level)
+     * @returns {Object} 3D coordinates {x, y, z}
+     */
+    project(lat, lon, ele = 0) {
+      const { x, y } = planar.forward(lat, lon);
+      // Negative Z to match typical map orientation
+      return { x, y: (ele || 0) * config.elevationScale, z: -y };
+    },
+
+    /**
+     * Convert a point on the scene floor back to GPS coordinates
+     * @param {number} x - Scene X
+     * @param {number} z - Scene Z
+     * @returns {Object} GPS coordinates {lat, lon}
+     */
+    unproject(x, z) {
+      return planar.inverse(x, -z);
+    }
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Frame-by-frame video recording
+ *
+ * Records a canvas one frame at a time: the caller renders each frame on a
+ * fixed timestep, then the frame is encoded with its exact timestamp. Slow
+ * frames only make the export take longer; the video never drops frames.
+ *
+ * WebCodecs (VideoEncoder) is used where available and muxed into WebM by
+ * webm.js. Browsers without it fall back to MediaRecorder, which timestamps
+ * frames by the wall clock, so each frame is held for its real duration.
+ */
+
+import { config } from '../config';
+import { createWebMMuxer } from './webm';
+
+// Tried in order; VP9 first for quality, VP8 where VP9 encoding isn't available
+const CODECS = [
+  { codec: 'vp09.00.51.08', container: 'vp9' },  // Profile 0, level 5.1 (up to 4K), 8-bit
+  { codec: 'vp8', container: 'vp8' },
+];
+
+// Encoded frames allowed to queue up before rendering waits for the encoder
+const MAX_ENCODE_QUEUE = 4;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check whether this browser can record video at all
+ * @returns {boolean} True if WebCodecs or MediaRecorder with canvas capture is available
+ */
+export function isVideoRecordingSupported() {
+  return typeof VideoEncoder !== 'undefined' ||
+    (typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function');
+}
+
+/**
+ * Pick the first codec the encoder supports for this size
+ * @returns {Promise<Object|null>} {codec, container, config} or null
+ */
+async function findEncoderConfig(width, height, frameRate) {
+  for (const candidate of CODECS) {
+    const encoderConfig = {
+      codec: candidate.codec,
+      width,
+      height,
+      framerate: frameRate,
+      bitrate: config.videoExport.bitrate,
+    };
+    const { supported } = await VideoEncoder.isConfigSupported(encoderConfig);
+    if (supported) return { ...candidate, config: encoderConfig };
+  }
+  return null;
+}
+
+/**
+ * Record with WebCodecs
+ */
+async function recordWithWebCodecs({ canvas, frameRate, frameCount, renderFrame, onProgress, signal }) {
+  const { width, height } = canvas;
+  const encoderConfig = await findEncoderConfig(width, height, frameRate);
+  if (!encoderConfig) return null;
+
+  console.log('[Video Export] Encoding with WebCodecs:', encoderConfig.codec, `${width}x${height}@${frameRate}`);
+
+  const muxer = createWebMMuxer({ width, height, frameRate, codec: encoderConfig.container });
+  let encoderError = null;
+  const encoder = new VideoEncoder({
+    output: chunk => muxer.addChunk(chunk),
+    error: (e) => {
+      encoderError = e;
+    },
+  });
+  encoder.configure(encoderConfig.config);
+
+  const frameMicros = 1e6 / frameRate;
+  const keyframeEvery = Math.max(1, Math.round(config.videoExport.keyframeInterval * frameRate));
+
+  try {
+    for (let frame = 0; frame < frameCount; frame++) {
+      if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+      if (encoderError) throw encoderError;
+
+      await renderFrame(frame);
+
+      // Read the canvas straight after rendering, before the browser clears it
+      const videoFrame = new VideoFrame(canvas, {
+        timestamp: Math.round(frame * frameMicros),
+        duration: Math.round(frameMicros),
+      });
+      encoder.encode(videoFrame, { keyFrame: frame % keyframeEvery === 0 });
+      videoFrame.close();
+
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) await wait(5);
+      onProgress?.(frame + 1);
+    }
+
+    await encoder.flush();
+    if (encoderError) throw encoderError;
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+
+  return muxer.finalize();
+}
+
+/**
+ * Record with MediaRecorder, holding each frame for its real duration
+ */
+async function recordWithMediaRecorder({ canvas, frameRate, frameCount, renderFrame, onProgress, signal }) {
+  const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+    .find(type => MediaRecorder.isTypeSupported(type));
+
+  console.log('[Video Export] Encoding with MediaRecorder:', mimeType);
+
+  // Frame rate 0: frames are only captured when requested
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: config.videoExport.bitrate });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise(resolve => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  const start = performance.now();
+
+  try {
+    for (let frame = 0; frame < frameCount; frame++) {
+      if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+
+      await renderFrame(frame);
+      track.requestFrame();
+      onProgress?.(frame + 1);
+
+      // Hold the frame until the next one is due
+      const due = start + ((frame + 1) * 1000) / frameRate;
+      await wait(Math.max(0, due - performance.now()));
+    }
+  } finally {
+    recorder.stop();
+    await stopped;
+    track.stop();
+  }
+
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+/**
+ * Record a canvas frame by frame into a WebM video
+ * @param {Object} options - Recording options
+ * @param {HTMLCanvasElement} options.canvas - Canvas to record, already at the output size
+ * @param {number} options.frameRate - Frames per second
+ * @param {number} options.frameCount - Number of frames
+ * @param {Function} options.renderFrame - Renders frame n into the canvas; may return a promise,
+ *   but must render last, since the canvas is read as soon as it resolves
+ * @param {Function} options.onProgress - Called with the number of frames recorded so far
+ * @param {AbortSignal} options.signal - Cancels the recording
+ * @returns {Promise<Blob>} WebM video
+ */
+export async function recordVideo(options) {
+  if (typeof VideoEncoder !== 'undefined') {
+    const blob = await recordWithWebCodecs(options);
+    if (blob) return blob;
+  }
+
+  if (typeof MediaRecorder !== 'undefined') {
+    return recordWithMediaRecorder(options);
+  }
+
+  throw new Error('Video recording is not supported in this browser');
+}
@@ -0,0 +1,203 @@
+/**
+ * Minimal WebM muxer
+ *
+ * Wraps encoded VP8/VP9 frames (EncodedVideoChunk from WebCodecs) in a WebM
+ * (Matroska) file: an EBML header, then a Segment with Info, Tracks, one
+ * Cluster per keyframe and Cues so players can seek. The whole file is built
+ * in memory when finalized, so every element size is known up front.
+ */
+
+// Element IDs, from the Matroska specification
+const ID = {
+  EBML: 0x1A45DFA3,
+  EBMLVersion: 0x4286,
+  EBMLReadVersion: 0x42F7,
+  EBMLMaxIDLength: 0x42F2,
+  EBMLMaxSizeLength: 0x42F3,
+  DocType: 0x4282,
+  DocTypeVersion: 0x4287,
+  DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067,
+  Info: 0x1549A966,
+  TimecodeScale: 0x2AD7B1,
+  Duration: 0x4489,
+  MuxingApp: 0x4D80,
+  WritingApp: 0x5741,
+  Tracks: 0x1654AE6B,
+  TrackEntry: 0xAE,
+  TrackNumber: 0xD7,
+  TrackUID: 0x73C5,
+  TrackType: 0x83,
+  CodecID: 0x86,
+  DefaultDuration: 0x23E383,
+  Video: 0xE0,
+  PixelWidth: 0xB0,
+  PixelHeight: 0xBA,
+  Cluster: 0x1F43B675,
+  Timecode: 0xE7,
+  SimpleBlock: 0xA3,
+  Cues: 0x1C53BB6B,
+  CuePoint: 0xBB,
+  CueTime: 0xB3,
+  CueTrackPositions: 0xB7,
+  CueTrack: 0xF7,
+  CueClusterPosition: 0xF1,
+};
+
+// Block timecodes are signed 16-bit offsets from their cluster's timecode
+const MAX_CLUSTER_SPAN_MS = 30000;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Big-endian unsigned integer in as few bytes as possible
+ * @param {number} value - Non-negative integer
+ * @returns {Uint8Array} Bytes
+ */
+function uintBytes(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * EBML variable-length size
+ * @param {number} size - Payload size in bytes
+ * @returns {Uint8Array} Size with its length marker
+ */
+function sizeBytes(size) {
+  let length = 1;
+  while (size >= 2 ** (7 * length) - 1) length++;
+
+  const bytes = new Uint8Array(length);
+  let value = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[0] |= 0x80 >> (length - 1);
+  return bytes;
+}
+
+/**
+ * Build an element from its ID and payload parts
+ * @param {number} id - Element ID
+ * @param {Array<Uint8Array>|Uint8Array} payload - Payload bytes
+ * @returns {Array<Uint8Array>} Element bytes as parts, ready to concatenate
+ */
+function element(id, payload) {
+  const parts = Array.isArray(payload) ? payload.flat() : [payload];
+  const size = parts.reduce((sum, part) => sum + part.byteLength, 0);
+  return [uintBytes(id), sizeBytes(size), ...parts];
+}
+
+const uintElement = (id, value) => element(id, uintBytes(value));
+const stringElement = (id, value) => element(id, textEncoder.encode(value));
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+const byteLength = parts => parts.reduce((sum, part) => sum + part.byteLength, 0);
+
+/**
+ * Create a WebM muxer for one video track
+ * @param {Object} options - {width, height, frameRate, codec: 'vp8' | 'vp9'}
+ * @returns {Object} Muxer {addChunk(chunk), finalize() → Blob}
+ */
+export function createWebMMuxer({ width, height, frameRate, codec }) {
+  const clusters = [];   // [{timecode, blocks: [parts]}]
+  let lastTimecode = 0;
+
+  return {
+    /**
+     * Add an encoded frame; keyframes start a new cluster
+     * @param {EncodedVideoChunk} chunk - Frame from a VideoEncoder
+     */
+    addChunk(chunk) {
+      const timecode = Math.round(chunk.timestamp / 1000);
+      let cluster = clusters[clusters.length - 1];
+
+      if (!cluster || chunk.type === 'key' || timecode - cluster.timecode > MAX_CLUSTER_SPAN_MS) {
+        cluster = { timecode, keyframe: chunk.type === 'key', blocks: [] };
+        clusters.push(cluster);
+      }
+
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+
+      // Track number 1, timecode relative to the cluster, keyframe flag
+      const header = new Uint8Array(4);
+      const view = new DataView(header.buffer);
+      header[0] = 0x81;
+      view.setInt16(1, timecode - cluster.timecode);
+      header[3] = chunk.type === 'key' ? 0x80 : 0x00;
+
+      cluster.blocks.push(element(ID.SimpleBlock, [header, data]));
+      lastTimecode = Math.max(lastTimecode, timecode);
+    },
+
+    /**
+     * Build the file
+     * @returns {Blob} WebM video
+     */
+    finalize() {
+      const header = element(ID.EBML, [
+        uintElement(ID.EBMLVersion, 1),
+        uintElement(ID.EBMLReadVersion, 1),
+        uintElement(ID.EBMLMaxIDLength, 4),
+        uintElement(ID.EBMLMaxSizeLength, 8),
+        stringElement(ID.DocType, 'webm'),
+        uintElement(ID.DocTypeVersion, 4),
+        uintElement(ID.DocTypeReadVersion, 2),
+      ]);
+
+      const info = element(ID.Info, [
+        uintElement(ID.TimecodeScale, 1000000), // Timecodes in milliseconds
+        floatElement(ID.Duration, lastTimecode + 1000 / frameRate),
+        stringElement(ID.MuxingApp, 'run-visualizer'),
+        stringElement(ID.WritingApp, 'run-visualizer'),
+      ]);
+
+      const tracks = element(ID.Tracks, element(ID.TrackEntry, [
+        uintElement(ID.TrackNumber, 1),
+        uintElement(ID.TrackUID, 1),
+        uintElement(ID.TrackType, 1), // Video
+        stringElement(ID.CodecID, codec === 'vp8' ? 'V_VP8' : 'V_VP9'),
+        uintElement(ID.DefaultDuration, Math.round(1e9 / frameRate)),
+        element(ID.Video, [
+          uintElement(ID.PixelWidth, width),
+          uintElement(ID.PixelHeight, height),
+        ]),
+      ]));
+
+      // Clusters, noting where each keyframe cluster starts within the segment
+      let position = byteLength(info) + byteLength(tracks);
+      const cuePoints = [];
+      const clusterParts = clusters.map(cluster => {
+        const parts = element(ID.Cluster, [uintElement(ID.Timecode, cluster.timecode), ...cluster.blocks]);
+        if (cluster.keyframe) {
+          cuePoints.push(element(ID.CuePoint, [
+            uintElement(ID.CueTime, cluster.timecode),
+            element(ID.CueTrackPositions, [
+              uintElement(ID.CueTrack, 1),
+              uintElement(ID.CueClusterPosition, position),
+            ]),
+          ]));
+        }
+        position += byteLength(parts);
+        return parts;
+      });
+
+      const cues = cuePoints.length > 0 ? element(ID.Cues, cuePoints) : [];
+      const segment = element(ID.Segment, [info, tracks, ...clusterParts, cues]);
+
+      return new Blob([...header, ...segment], { type: 'video/webm' });
+    },
+  };
+}
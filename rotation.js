@@ -0,0 +1,218 @@
+/**
+ * Featured-run rotation strategies
+ *
+ * The camera animation asks a rotation for the next run to feature every
+ * interval. A rotation is made for one list of tracks and keeps its own place:
+ * ordered strategies carry on from the run featured last (even one the user
+ * pinned), a shuffle shows every run once before repeating any, and "nearby"
+ * walks to the closest run not yet shown so the camera travels short hops.
+ * Runs hidden by the filters are skipped without losing their turn, and runs
+ * added to the list later (streamed in or appended) join through extend().
+ */
+
+import { parseTime } from './parsers/time';
+import { calculateTrackBoundingBox } from './utils';
+
+// Strategies in display order, for selectors
+export const ROTATION_STRATEGIES = [
+  { strategy: 'random', label: 'Random' },
+  { strategy: 'shuffle', label: 'Shuffle' },
+  { strategy: 'chronological', label: 'Chronological' },
+  { strategy: 'recent', label: 'Most recent first' },
+  { strategy: 'longest', label: 'Longest first' },
+  { strategy: 'nearby', label: 'Nearby' },
+];
+
+const isVisible = (mask, index) => !mask || mask[index];
+
+/**
+ * Track indices sorted by a value, with runs that have no value last
+ * @param {Array} processedTracks - Processed tracks
+ * @param {Function} value - Maps a track to a number, or null
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @returns {number[]} Track indices in order
+ */
+function sortTracks(processedTracks, value, direction) {
+  const values = processedTracks.map(value);
+  return processedTracks
+    .map((track, index) => index)
+    .sort((a, b) => {
+      if (values[a] === null) return values[b] === null ? a - b : 1;
+      if (values[b] === null) return -1;
+      return (values[a] - values[b]) * direction || a - b;
+    });
+}
+
+/**
+ * Uniformly random runs, never the same one twice in a row
+ */
+function createRandomRotation(count, random) {
+  return {
+    extend(processedTracks) {
+      count = processedTracks.length;
+    },
+    next(current, mask) {
+      const candidates = [];
+      for (let i = 0; i < count; i++) {
+        if (isVisible(mask, i) && i !== current) candidates.push(i);
+      }
+      if (candidates.length === 0) return isVisible(mask, current) ? current : null;
+      return candidates[Math.floor(random() * candidates.length)];
+    },
+  };
+}
+
+/**
+ * Runs in a fixed order, wrapping round at the end
+ * @param {Function} getOrder - Maps the tracks to track indices in order
+ * @param {Array} processedTracks - Processed tracks
+ */
+function createOrderedRotation(getOrder, processedTracks) {
+  let order = [];
+  let rank = new Map();
+
+  // The place in the order is the current run's, so re-sorting loses nothing
+  const sort = (tracks) => {
+    order = getOrder(tracks);
+    rank = new Map(order.map((index, position) => [index, position]));
+  };
+  sort(processedTracks);
+
+  return {
+    extend: sort,
+    next(current, mask) {
+      const start = rank.has(current) ? rank.get(current) : -1;
+      for (let step = 1; step <= order.length; step++) {
+        const index = order[(start + step) % order.length];
+        if (isVisible(mask, index)) return index;
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Every run once in a random order, then a fresh shuffle
+ */
+function createShuffleRotation(count, random) {
+  let queue = [];
+
+  // Fisher-Yates shuffle of every run; the current one goes last so it doesn't repeat straight away
+  const refill = (current) => {
+    queue = Array.from({ length: count }, (_, i) => i);
+    for (let i = count - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [queue[i], queue[j]] = [queue[j], queue[i]];
+    }
+    const position = queue.indexOf(current);
+    if (position !== -1) queue.push(...queue.splice(position, 1));
+  };
+
+  const take = (mask) => {
+    const position = queue.findIndex(index => isVisible(mask, index));
+    return position === -1 ? null : queue.splice(position, 1)[0];
+  };
+
+  return {
+    // New runs go in at random places among the runs still to come
+    extend(processedTracks) {
+      for (let i = count; i < processedTracks.length; i++) {
+        queue.splice(Math.floor(random() * (queue.length + 1)), 0, i);
+      }
+      count = processedTracks.length;
+    },
+    next(current, mask) {
+      const index = take(mask);
+      if (index !== null) return index;
+
+      // Every visible run has been shown
+      refill(current);
+      return take(mask);
+    },
+  };
+}
+
+/**
+ * The closest run to the current one that hasn't been shown yet, measured
+ * between bounding box centres; once all have been shown, start over
+ */
+function createNearbyRotation(processedTracks, random) {
+  let tracks = processedTracks;
+  let centers = null;
+  const shown = new Set();
+
+  const nearest = (current, mask) => {
+    let best = null;
+    let bestDistance = Infinity;
+    const from = centers[current];
+
+    for (let i = 0; i < centers.length; i++) {
+      if (i === current || shown.has(i) || !isVisible(mask, i)) continue;
+      const distance = Math.hypot(centers[i].x - from.x, centers[i].z - from.z);
+      if (distance < bestDistance) {
+        best = i;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  };
+
+  return {
+    extend(extendedTracks) {
+      tracks = extendedTracks;
+      if (centers) {
+        centers.push(...tracks.slice(centers.length).map(track => calculateTrackBoundingBox(track).center));
+      }
+    },
+    next(current, mask) {
+      if (!centers) centers = tracks.map(track => calculateTrackBoundingBox(track).center);
+
+      // Nothing to measure from yet: start anywhere
+      if (current === null || !centers[current]) {
+        const index = createRandomRotation(centers.length, random).next(null, mask);
+        if (index !== null) shown.add(index);
+        return index;
+      }
+
+      shown.add(current);
+      let index = nearest(current, mask);
+      if (index === null) {
+        shown.clear();
+        shown.add(current);
+        index = nearest(current, mask);
+      }
+      if (index !== null) shown.add(index);
+      return index ?? (isVisible(mask, current) ? current : null);
+    },
+  };
+}
+
+/**
+ * Create a rotation for a list of tracks
+ * @param {string} strategy - Strategy from ROTATION_STRATEGIES; unknown names rotate at random
+ * @param {Array} processedTracks - Processed tracks
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {Object} Rotation {next(current, mask) → track index or null, extend(processedTracks)},
+ *   where current is the featured track index (or null) and mask the filters' visibility
+ *   mask (or null); extend takes the same list with runs added at the end
+ */
+export function createRotation(strategy, processedTracks, random = Math.random) {
+  const count = processedTracks.length;
+  const date = track => parseTime(track.metadata.timestamp);
+  const distance = track => track.metrics?.distance ?? null;
+
+  switch (strategy) {
+    case 'shuffle':
+      return createShuffleRotation(count, random);
+    case 'chronological':
+      return createOrderedRotation(tracks => sortTracks(tracks, date, 1), processedTracks);
+    case 'recent':
+      return createOrderedRotation(tracks => sortTracks(tracks, date, -1), processedTracks);
+    case 'longest':
+      return createOrderedRotation(tracks => sortTracks(tracks, distance, -1), processedTracks);
+    case 'nearby':
+      return createNearbyRotation(processedTracks, random);
+    default:
+      return createRandomRotation(count, random);
+  }
+}
@@ -0,0 +1,365 @@
+/**
+ * Minimal GeoTIFF decoder for elevation rasters
+ *
+ * Reads the first band of a single-image TIFF, as written by GDAL for DEM
+ * downloads (SRTM, Copernicus, ASTER, GSI):
+ *   - strips or tiles, chunky or planar samples
+ *   - no compression, LZW, or Deflate (via DecompressionStream)
+ *   - horizontal (2) and floating-point (3) predictors
+ *   - 8/16/32-bit integer and 32/64-bit float samples
+ * Georeferencing comes from the ModelTiepoint and ModelPixelScale tags, which
+ * must describe a longitude/latitude grid (EPSG:4326 and friends).
+ */
+
+const TAG = {
+  ImageWidth: 256,
+  ImageLength: 257,
+  BitsPerSample: 258,
+  Compression: 259,
+  StripOffsets: 273,
+  SamplesPerPixel: 277,
+  RowsPerStrip: 278,
+  StripByteCounts: 279,
+  PlanarConfiguration: 284,
+  Predictor: 317,
+  TileWidth: 322,
+  TileLength: 323,
+  TileOffsets: 324,
+  TileByteCounts: 325,
+  SampleFormat: 339,
+  ModelPixelScale: 33550,
+  ModelTiepoint: 33922,
+  GeoKeyDirectory: 34735,
+  GDALNoData: 42113,
+};
+
+const GEO_KEY = {
+  ModelType: 1024,      // 1 projected, 2 geographic
+  RasterType: 1025,     // 1 pixel is area, 2 pixel is point
+};
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Read one IFD entry's values
+ * @returns {Array<number>|string} Values, or a string for ASCII fields
+ */
+function readEntryValues(view, entryOffset, littleEndian) {
+  const type = view.getUint16(entryOffset + 2, littleEndian);
+  const count = view.getUint32(entryOffset + 4, littleEndian);
+  const size = TYPE_SIZES[type];
+  if (!size) return [];
+
+  // Values that fit in four bytes are stored in the entry itself
+  const offset = size * count <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, littleEndian);
+
+  if (type === 2) {
+    let text = '';
+    for (let i = 0; i < count; i++) {
+      const code = view.getUint8(offset + i);
+      if (code === 0) break;
+      text += String.fromCharCode(code);
+    }
+    return text;
+  }
+
+  const values = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * size;
+    switch (type) {
+      case 3: values[i] = view.getUint16(at, littleEndian); break;
+      case 4: values[i] = view.getUint32(at, littleEndian); break;
+      case 5: values[i] = view.getUint32(at, littleEndian) / view.getUint32(at + 4, littleEndian); break;
+      case 6: values[i] = view.getInt8(at); break;
+      case 8: values[i] = view.getInt16(at, littleEndian); break;
+      case 9: values[i] = view.getInt32(at, littleEndian); break;
+      case 10: values[i] = view.getInt32(at, littleEndian) / view.getInt32(at + 4, littleEndian); break;
+      case 11: values[i] = view.getFloat32(at, littleEndian); break;
+      case 12: values[i] = view.getFloat64(at, littleEndian); break;
+      default: values[i] = view.getUint8(at); break;
+    }
+  }
+  return values;
+}
+
+/**
+ * Decode TIFF LZW data (MSB-first codes, code width grows one code early)
+ * Table entries are stored as a prefix code plus a final byte and written
+ * straight into a typed output buffer, so a full-size DEM tile decodes
+ * without building millions of small arrays.
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} expectedSize - Decompressed size of the strip or tile, to size the output
+ * @returns {Uint8Array} Decompressed bytes
+ */
+function decodeLZW(input, expectedSize) {
+  const CLEAR = 256;
+  const END = 257;
+  const MAX_CODES = 4096;
+
+  const prefixes = new Int16Array(MAX_CODES);
+  const suffixes = new Uint8Array(MAX_CODES);
+  const firstBytes = new Uint8Array(MAX_CODES);
+  const lengths = new Uint16Array(MAX_CODES);
+  for (let i = 0; i < 256; i++) {
+    prefixes[i] = -1;
+    suffixes[i] = i;
+    firstBytes[i] = i;
+    lengths[i] = 1;
+  }
+
+  let output = new Uint8Array(Math.max(expectedSize, input.length * 2, 1024));
+  let outputLength = 0;
+  let nextCode = 258;
+  let codeWidth = 9;
+  let bitPosition = 0;
+  let previous = -1;
+  const inputBits = input.length * 8;
+
+  // Codes are at most 12 bits, so they span at most three bytes
+  const readCode = () => {
+    if (bitPosition + codeWidth > inputBits) return END;
+    const at = bitPosition >> 3;
+    const window = (input[at] << 16) | ((input[at + 1] ?? 0) << 8) | (input[at + 2] ?? 0);
+    const code = (window >> (24 - (bitPosition & 7) - codeWidth)) & ((1 << codeWidth) - 1);
+    bitPosition += codeWidth;
+    return code;
+  };
+
+  const addEntry = (prefix, byte) => {
+    if (nextCode >= MAX_CODES) return;
+    prefixes[nextCode] = prefix;
+    suffixes[nextCode] = byte;
+    firstBytes[nextCode] = firstBytes[prefix];
+    lengths[nextCode] = lengths[prefix] + 1;
+    nextCode++;
+  };
+
+  for (;;) {
+    const code = readCode();
+    if (code === END) break;
+
+    if (code === CLEAR) {
+      nextCode = 258;
+      codeWidth = 9;
+      previous = -1;
+      continue;
+    }
+
+    if (code < nextCode && (code < CLEAR || code > END)) {
+      if (previous !== -1) addEntry(previous, firstBytes[code]);
+    } else if (code === nextCode && previous !== -1) {
+      addEntry(previous, firstBytes[previous]);
+    } else {
+      throw new Error('Corrupt LZW data');
+    }
+
+    // Write the entry back to front by following its prefixes
+    const length = lengths[code];
+    if (outputLength + length > output.length) {
+      const grown = new Uint8Array(Math.max(output.length * 2, outputLength + length));
+      grown.set(output.subarray(0, outputLength));
+      output = grown;
+    }
+    for (let at = outputLength + length - 1, entry = code; entry !== -1; at--) {
+      output[at] = suffixes[entry];
+      entry = prefixes[entry];
+    }
+    outputLength += length;
+    previous = code;
+
+    if (nextCode + 1 >= 1 << codeWidth && codeWidth < 12) codeWidth++;
+  }
+
+  return output.subarray(0, outputLength);
+}
+
+/**
+ * Decode zlib (Deflate) data with the browser's DecompressionStream
+ * @param {Uint8Array} input - Compressed bytes
+ * @returns {Promise<Uint8Array>} Decompressed bytes
+ */
+async function decodeDeflate(input) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Deflate-compressed GeoTIFFs need DecompressionStream support');
+  }
+  const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Undo the floating-point predictor (3) for one row: bytes are differenced,
+ * then split into planes from most to least significant byte
+ */
+function undoFloatPredictor(row, samples, bytesPerSample, samplesPerPixel) {
+  for (let i = samplesPerPixel; i < row.length; i++) {
+    row[i] = (row[i] + row[i - samplesPerPixel]) & 0xFF;
+  }
+
+  // Reassemble each value in little-endian byte order
+  const planes = row.slice();
+  for (let i = 0; i < samples; i++) {
+    for (let b = 0; b < bytesPerSample; b++) {
+      row[i * bytesPerSample + b] = planes[(bytesPerSample - b - 1) * samples + i];
+    }
+  }
+}
+
+/**
+ * Decode a TIFF/GeoTIFF elevation raster
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} {width, height, data: Float32Array (NaN for no data), bounds: {west, south, east, north} | null}
+ */
+export async function decodeGeoTIFF(buffer) {
+  const view = new DataView(buffer);
+  const byteOrder = view.getUint16(0, false);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) throw new Error('Not a TIFF file');
+
+  const littleEndian = byteOrder === 0x4949;
+  const magic = view.getUint16(2, littleEndian);
+  if (magic === 43) throw new Error('BigTIFF files are not supported');
+  if (magic !== 42) throw new Error('Not a TIFF file');
+
+  // First image only
+  const ifdOffset = view.getUint32(4, littleEndian);
+  const entryCount = view.getUint16(ifdOffset, littleEndian);
+  const tags = {};
+  for (let i = 0; i < entryCount; i++) {
+    const entryOffset = ifdOffset + 2 + i * 12;
+    tags[view.getUint16(entryOffset, littleEndian)] = readEntryValues(view, entryOffset, littleEndian);
+  }
+
+  const first = (tag, fallback) => tags[tag]?.[0] ?? fallback;
+  const width = first(TAG.ImageWidth);
+  const height = first(TAG.ImageLength);
+  const bitsPerSample = first(TAG.BitsPerSample, 1);
+  const samplesPerPixel = first(TAG.SamplesPerPixel, 1);
+  const sampleFormat = first(TAG.SampleFormat, 1);   // 1 unsigned, 2 signed, 3 float
+  const compression = first(TAG.Compression, 1);
+  const predictor = first(TAG.Predictor, 1);
+  const planar = first(TAG.PlanarConfiguration, 1) === 2;
+
+  if (![8, 16, 32, 64].includes(bitsPerSample)) {
+    throw new Error(`Unsupported GeoTIFF sample size: ${bitsPerSample} bits`);
+  }
+  if (![1, 5, 8, 32946].includes(compression)) {
+    throw new Error(`Unsupported GeoTIFF compression: ${compression}`);
+  }
+
+  const bytesPerSample = bitsPerSample / 8;
+  const readSample = (dataView, at, sampleLittleEndian) => {
+    if (sampleFormat === 3) {
+      return bytesPerSample === 8 ? dataView.getFloat64(at, sampleLittleEndian) : dataView.getFloat32(at, sampleLittleEndian);
+    }
+    const signed = sampleFormat === 2;
+    switch (bytesPerSample) {
+      case 1: return signed ? dataView.getInt8(at) : dataView.getUint8(at);
+      case 2: return signed ? dataView.getInt16(at, sampleLittleEndian) : dataView.getUint16(at, sampleLittleEndian);
+      default: return signed ? dataView.getInt32(at, sampleLittleEndian) : dataView.getUint32(at, sampleLittleEndian);
+    }
+  };
+  // Integer wrap-around for the horizontal predictor
+  const wrap = (value) => {
+    const range = 2 ** bitsPerSample;
+    let wrapped = ((value % range) + range) % range;
+    if (sampleFormat === 2 && wrapped >= range / 2) wrapped -= range;
+    return wrapped;
+  };
+
+  // Strips are tiles as wide as the image
+  const tiled = Boolean(tags[TAG.TileWidth]);
+  const blockWidth = tiled ? first(TAG.TileWidth) : width;
+  const blockHeight = tiled ? first(TAG.TileLength) : first(TAG.RowsPerStrip, height);
+  const offsets = tags[tiled ? TAG.TileOffsets : TAG.StripOffsets];
+  const byteCounts = tags[tiled ? TAG.TileByteCounts : TAG.StripByteCounts];
+  const blocksAcross = Math.ceil(width / blockWidth);
+  const blocksDown = Math.ceil(height / blockHeight);
+
+  // Band 1 only: with planar samples its blocks come first; with chunky
+  // samples every pixel holds all of its samples
+  const pixelSamples = planar ? 1 : samplesPerPixel;
+  const rowBytes = blockWidth * pixelSamples * bytesPerSample;
+
+  const noDataText = tags[TAG.GDALNoData];
+  const noData = typeof noDataText === 'string' && noDataText.trim() !== '' ? parseFloat(noDataText) : null;
+
+  const data = new Float32Array(width * height).fill(NaN);
+
+  for (let blockRow = 0; blockRow < blocksDown; blockRow++) {
+    for (let blockColumn = 0; blockColumn < blocksAcross; blockColumn++) {
+      const index = blockRow * blocksAcross + blockColumn;
+      let bytes = new Uint8Array(buffer, offsets[index], byteCounts[index]);
+
+      if (compression === 5) bytes = decodeLZW(bytes, rowBytes * blockHeight);
+      else if (compression === 8 || compression === 32946) bytes = await decodeDeflate(bytes);
+      else bytes = bytes.slice();
+
+      const rows = Math.min(blockHeight, Math.floor(bytes.length / rowBytes));
+      const blockView = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+      for (let y = 0; y < rows; y++) {
+        const imageY = blockRow * blockHeight + y;
+        if (imageY >= height) break;
+
+        let sampleLittleEndian = littleEndian;
+        if (predictor === 3) {
+          undoFloatPredictor(bytes.subarray(y * rowBytes, (y + 1) * rowBytes), blockWidth * pixelSamples, bytesPerSample, pixelSamples);
+          sampleLittleEndian = true;
+        }
+
+        let previous = 0;
+        for (let x = 0; x < blockWidth; x++) {
+          let value = readSample(blockView, y * rowBytes + x * pixelSamples * bytesPerSample, sampleLittleEndian);
+          if (predictor === 2) {
+            // Band 1 is differenced against band 1 of the previous pixel
+            if (x > 0) value = wrap(value + previous);
+            previous = value;
+          }
+
+          const imageX = blockColumn * blockWidth + x;
+          if (imageX >= width) continue;
+          if (value === noData || !Number.isFinite(value)) continue;
+          data[imageY * width + imageX] = value;
+        }
+      }
+    }
+  }
+
+  return { width, height, data, bounds: readBounds(tags, width, height) };
+}
+
+/**
+ * Longitude/latitude bounds of the raster's outer pixel edges
+ * @returns {Object|null} {west, south, east, north}, or null without georeferencing
+ */
+function readBounds(tags, width, height) {
+  const scale = tags[TAG.ModelPixelScale];
+  const tiepoint = tags[TAG.ModelTiepoint];
+  if (!scale || !tiepoint) return null;
+
+  const geoKeys = {};
+  const directory = tags[TAG.GeoKeyDirectory];
+  if (directory) {
+    for (let i = 4; i + 3 < directory.length; i += 4) {
+      // Keys stored directly in the directory (location 0)
+      if (directory[i + 1] === 0) geoKeys[directory[i]] = directory[i + 3];
+    }
+  }
+
+  if (geoKeys[GEO_KEY.ModelType] === 1) {
+    throw new Error('Projected GeoTIFFs are not supported; reproject to longitude/latitude (e.g. gdalwarp -t_srs EPSG:4326)');
+  }
+
+  const [i, j, , x, y] = tiepoint;
+  const [scaleX, scaleY] = scale;
+  let west = x - i * scaleX;
+  let north = y + j * scaleY;
+
+  // Point rasters give pixel centres; shift to the pixel edges
+  if (geoKeys[GEO_KEY.RasterType] === 2) {
+    west -= scaleX / 2;
+    north += scaleY / 2;
+  }
+
+  return { west, north, east: west + width * scaleX, south: north - height * scaleY };
+}
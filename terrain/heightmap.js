@@ -0,0 +1,56 @@
+/**
+ * PNG (or any browser-decodable image) heightmaps
+ *
+ * Images carry no georeferencing, so their bounds come from config.terrain.
+ * Elevation is read from the pixel colours with one of these encodings:
+ *   'grayscale' - red channel 0–255 mapped linearly to minElevation–maxElevation
+ *   'terrarium' - Mapzen/AWS terrain tiles: R × 256 + G + B / 256 − 32768
+ *   'mapbox'    - Mapbox Terrain-RGB: −10000 + (R × 65536 + G × 256 + B) × 0.1
+ *   'gsi'       - GSI (国土地理院) DEM PNG tiles: 24-bit signed centimetres,
+ *                 with 0x800000 for no data
+ * Transparent pixels are treated as no data in every encoding.
+ */
+
+const DECODERS = {
+  grayscale: (r, g, b, range) => range.minElevation + (r / 255) * (range.maxElevation - range.minElevation),
+  terrarium: (r, g, b) => r * 256 + g + b / 256 - 32768,
+  mapbox: (r, g, b) => -10000 + (r * 65536 + g * 256 + b) * 0.1,
+  gsi: (r, g, b) => {
+    const value = r * 65536 + g * 256 + b;
+    if (value === 0x800000) return NaN;
+    return (value < 0x800000 ? value : value - 0x1000000) * 0.01;
+  },
+};
+
+/**
+ * Decode a heightmap image
+ * Colour management is switched off so the stored values come through unchanged.
+ * @param {Blob} blob - Image file
+ * @param {Object} options - {encoding, minElevation, maxElevation}
+ * @returns {Promise<Object>} {width, height, data: Float32Array (NaN for no data), bounds: null}
+ */
+export async function decodeHeightmap(blob, { encoding = 'grayscale', minElevation = 0, maxElevation = 255 } = {}) {
+  const decode = DECODERS[encoding];
+  if (!decode) throw new Error(`Unknown heightmap encoding: ${encoding}`);
+
+  const bitmap = await createImageBitmap(blob, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+  const { width, height } = bitmap;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+
+  const pixels = context.getImageData(0, 0, width, height).data;
+  const data = new Float32Array(width * height);
+  const range = { minElevation, maxElevation };
+
+  for (let i = 0; i < data.length; i++) {
+    const p = i * 4;
+    data[i] = pixels[p + 3] === 0 ? NaN : decode(pixels[p], pixels[p + 1], pixels[p + 2], range);
+  }
+
+  return { width, height, data, bounds: null };
+}
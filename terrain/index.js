@@ -0,0 +1,223 @@
+/**
+ * Terrain from a local elevation raster (DEM)
+ *
+ * Loads a GeoTIFF or heightmap image, samples it through the shared scene
+ * projection and builds the pieces of terrain mode:
+ *   - a surface: scene height at any scene x/z, with vertical exaggeration
+ *   - a displaced ground mesh covering the floor area
+ *   - draped tracks: runs without GPS elevation, or whose elevation strays too
+ *     far from the DEM, are laid onto the surface
+ * Elevations use the same config.elevationScale as track points, so terrain
+ * and GPS elevations match at an exaggeration of 1.
+ */
+
+import * as THREE from 'three';
+import { config } from '../config';
+import { decodeGeoTIFF } from './geotiff';
+import { decodeHeightmap } from './heightmap';
+
+/**
+ * Load a DEM file
+ * GeoTIFFs carry their own bounds; images use options.bounds.
+ * @param {Object} options - config.terrain: {url, bounds, encoding, minElevation, maxElevation}
+ * @returns {Promise<Object>} DEM {width, height, data: Float32Array, bounds: {west, south, east, north}}
+ */
+export async function loadDEM(options) {
+  const response = await fetch(options.url);
+  if (!response.ok) {
+    throw new Error(`Failed to load elevation data: ${response.statusText}`);
+  }
+
+  const buffer = await response.arrayBuffer();
+  const magic = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+  const isTIFF = (magic[0] === 0x49 && magic[1] === 0x49) || (magic[0] === 0x4D && magic[1] === 0x4D);
+
+  const dem = isTIFF
+    ? await decodeGeoTIFF(buffer)
+    : await decodeHeightmap(new Blob([buffer]), options);
+
+  const bounds = dem.bounds || options.bounds;
+  if (!bounds || !(bounds.east > bounds.west) || !(bounds.north > bounds.south)) {
+    throw new Error('Elevation data has no bounds; set terrain.bounds in config.js');
+  }
+
+  console.log(`[Terrain] Loaded ${dem.width}x${dem.height} DEM`, bounds);
+  return { ...dem, bounds };
+}
+
+/**
+ * Elevation at a position, interpolated between the four nearest pixels
+ * @param {Object} dem - DEM from loadDEM
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lon - Longitude in degrees
+ * @returns {number|null} Elevation in metres, or null outside the DEM or where it has no data
+ */
+export function sampleElevation(dem, lat, lon) {
+  const { width, height, data, bounds } = dem;
+
+  // Pixel coordinates, with pixel centres at whole numbers
+  const fx = ((lon - bounds.west) / (bounds.east - bounds.west)) * width - 0.5;
+  const fy = ((bounds.north - lat) / (bounds.north - bounds.south)) * height - 0.5;
+  if (fx < -0.5 || fx > width - 0.5 || fy < -0.5 || fy > height - 0.5) return null;
+
+  const x = Math.max(0, Math.min(width - 1, fx));
+  const y = Math.max(0, Math.min(height - 1, fy));
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const tx = x - x0;
+  const ty = y - y0;
+
+  // Pixels without data are left out of the weighting
+  let sum = 0;
+  let weight = 0;
+  [[x0, y0, (1 - tx) * (1 - ty)], [x1, y0, tx * (1 - ty)], [x0, y1, (1 - tx) * ty], [x1, y1, tx * ty]]
+    .forEach(([px, py, w]) => {
+      const value = data[py * width + px];
+      if (w > 0 && !Number.isNaN(value)) {
+        sum += value * w;
+        weight += w;
+      }
+    });
+
+  return weight > 0 ? sum / weight : null;
+}
+
+/**
+ * Create a terrain surface in scene coordinates
+ * @param {Object} dem - DEM from loadDEM
+ * @param {Object} projection - Shared scene projection
+ * @param {number} exaggeration - Vertical exaggeration
+ * @returns {Object} Surface {exaggeration, extent: {minX, maxX, minZ, maxZ},
+ *   elevationAt(x, z) → metres | null, heightAt(x, z) → scene y | null}
+ */
+export function createTerrainSurface(dem, projection, exaggeration) {
+  const scale = config.elevationScale * exaggeration;
+  const { west, south, east, north } = dem.bounds;
+
+  const corners = [[north, west], [north, east], [south, west], [south, east]]
+    .map(([lat, lon]) => projection.project(lat, lon));
+
+  const elevationAt = (x, z) => {
+    const { lat, lon } = projection.unproject(x, z);
+    return sampleElevation(dem, lat, lon);
+  };
+
+  return {
+    exaggeration,
+    extent: {
+      minX: Math.min(...corners.map(corner => corner.x)),
+      maxX: Math.max(...corners.map(corner => corner.x)),
+      minZ: Math.min(...corners.map(corner => corner.z)),
+      maxZ: Math.max(...corners.map(corner => corner.z)),
+    },
+    elevationAt,
+    heightAt: (x, z) => {
+      const elevation = elevationAt(x, z);
+      return elevation === null ? null : elevation * scale;
+    },
+  };
+}
+
+/**
+ * Build the ground mesh over the floor area covered by the DEM
+ * @param {Object} surface - Surface from createTerrainSurface
+ * @returns {THREE.BufferGeometry|null} Indexed grid with normals, or null if the DEM is off the floor
+ */
+export function createTerrainGeometry(surface) {
+  const half = config.floorSize / 2;
+  const { extent } = surface;
+  const minX = Math.max(-half, extent.minX);
+  const maxX = Math.min(half, extent.maxX);
+  const minZ = Math.max(-half, extent.minZ);
+  const maxZ = Math.min(half, extent.maxZ);
+  if (minX >= maxX || minZ >= maxZ) return null;
+
+  const step = Math.max(maxX - minX, maxZ - minZ) / config.terrain.meshSegments;
+  const columns = Math.max(1, Math.round((maxX - minX) / step));
+  const rows = Math.max(1, Math.round((maxZ - minZ) / step));
+
+  const positions = new Float32Array((columns + 1) * (rows + 1) * 3);
+  let p = 0;
+  for (let row = 0; row <= rows; row++) {
+    const z = minZ + ((maxZ - minZ) * row) / rows;
+    for (let column = 0; column <= columns; column++) {
+      const x = minX + ((maxX - minX) * column) / columns;
+      positions[p++] = x;
+      positions[p++] = surface.heightAt(x, z) ?? 0;
+      positions[p++] = z;
+    }
+  }
+
+  // Two triangles per cell, wound to face up
+  const indices = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const a = row * (columns + 1) + column;
+      const b = a + 1;
+      const c = a + columns + 1;
+      const d = c + 1;
+      indices.push(a, c, b, b, c, d);
+    }
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeVertexNormals();
+  return geometry;
+}
+
+/**
+ * Decide whether a track should be laid onto the terrain
+ * With config.terrain.drape 'auto', tracks without elevation are draped, and
+ * so are tracks whose elevation differs from the DEM by more than
+ * config.terrain.noiseThreshold metres (RMS over their points).
+ * @param {Object} track - Processed track
+ * @param {Object} surface - Surface from createTerrainSurface
+ * @returns {boolean} True to drape
+ */
+function shouldDrape(track, surface) {
+  const mode = config.terrain.drape;
+  if (mode === 'never') return false;
+  if (mode === 'always' || !track.hasElevation) return true;
+
+  let sumSquares = 0;
+  let count = 0;
+  track.points.forEach(point => {
+    const elevation = surface.elevationAt(point.x, point.z);
+    if (elevation === null) return;
+    sumSquares += (point.y / config.elevationScale - elevation) ** 2;
+    count++;
+  });
+
+  return count > 0 && Math.sqrt(sumSquares / count) > config.terrain.noiseThreshold;
+}
+
+/**
+ * Place a track on the terrain: draped onto the surface, or with its own
+ * elevation scaled by the terrain's exaggeration
+ * @param {Object} track - Processed track
+ * @param {Object} surface - Surface from createTerrainSurface
+ * @returns {Object} Processed track with new points and curve, `draped` set, and
+ *   `elevations` holding each point's original metres for colouring
+ */
+export function drapeTrack(track, surface) {
+  const draped = shouldDrape(track, surface);
+  const offset = config.terrain.trackOffset;
+
+  const points = track.points.map(point => {
+    const ground = draped ? surface.heightAt(point.x, point.z) : null;
+    const y = ground ?? point.y * surface.exaggeration;
+    return new THREE.Vector3(point.x, y + offset, point.z);
+  });
+
+  return {
+    ...track,
+    points,
+    curve: new THREE.CatmullRomCurve3(points, false, 'catmullrom', 0.5),
+    draped,
+    elevations: Float32Array.from(track.points, point => point.y / config.elevationScale),
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Scripted camera tours
+ *
+ * A tour is a JSON list of camera keyframes played in place of the random
+ * rotation, so demos follow the same path every time:
+ *
+ *   {
+ *     "title": "Bay loop",
+ *     "loop": true,
+ *     "keyframes": [
+ *       {
+ *         "position": [120, 80, 140],   // Camera position (scene units)
+ *         "target": [10, 0, -20],       // Point the camera looks at
+ *         "run": 12,                    // Run to feature (index in the dataset), optional
+ *         "transition": 2,              // Seconds to fly here from the previous keyframe
+ *         "hold": 4,                    // Seconds to stay before moving on
+ *         "easing": "easeInOutCubic",   // Name from EASINGS in utils.js
+ *         "caption": "Along the bay"    // Overlay text while this keyframe plays
+ *       }
+ *     ]
+ *   }
+ *
+ * Everything but position and target is optional and falls back to config.tour.
+ * Tour steps are timed by the playback clock.
+ */
+
+import { config } from './config';
+import { EASINGS } from './utils';
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Read an [x, y, z] array
+ * @returns {number[]|null} The array, or null if it isn't three finite numbers
+ */
+function toPoint(value) {
+  return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite) ? value : null;
+}
+
+/**
+ * Seconds from a keyframe field, or the default if missing or invalid
+ */
+function toSeconds(value, fallback) {
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Validate a tour and fill in defaults
+ * @param {Object} data - Parsed tour JSON
+ * @returns {Object} Tour {title, loop, keyframes: [{position, target, run, transition, hold, easing, caption}]}
+ * @throws {Error} If the tour has no keyframes, a keyframe has no position or target,
+ *   or the keyframes add up to no time at all
+ */
+export function parseTour(data) {
+  const keyframes = Array.isArray(data?.keyframes) ? data.keyframes : [];
+  if (keyframes.length === 0) {
+    throw new Error('Tour has no keyframes');
+  }
+
+  const tour = {
+    title: typeof data.title === 'string' ? data.title : '',
+    loop: data.loop !== false,
+    keyframes: keyframes.map((keyframe, i) => {
+      const position = toPoint(keyframe.position);
+      const target = toPoint(keyframe.target);
+      if (!position || !target) {
+        throw new Error(`Tour keyframe ${i + 1} needs a position and a target as [x, y, z]`);
+      }
+
+      return {
+        position,
+        target,
+        run: Number.isInteger(keyframe.run) && keyframe.run >= 0 ? keyframe.run : null,
+        transition: toSeconds(keyframe.transition, config.tour.transition),
+        hold: toSeconds(keyframe.hold, config.tour.hold),
+        easing: EASINGS[keyframe.easing] ? keyframe.easing : config.tour.easing,
+        caption: typeof keyframe.caption === 'string' ? keyframe.caption : '',
+      };
+    }),
+  };
+
+  if (getTourDuration(tour) === 0) {
+    throw new Error('Tour keyframes need a transition or hold time');
+  }
+  return tour;
+}
+
+/**
+ * Fetch and parse a tour file
+ * @param {string} url - URL of the tour JSON
+ * @returns {Promise<Object>} Tour from parseTour
+ */
+export async function loadTour(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load tour: ${response.statusText}`);
+  }
+  return parseTour(await response.json());
+}
+
+/**
+ * Keyframe for the current view, with the default timing and easing
+ * @param {Object} view - Camera view {position: [x, y, z], target: [x, y, z]}
+ * @param {number|null} run - Featured run index, or null
+ * @param {string} caption - Overlay text
+ * @returns {Object} Keyframe
+ */
+export function createKeyframe(view, run, caption = '') {
+  return {
+    position: view.position.map(v => round(v, 1)),
+    target: view.target.map(v => round(v, 1)),
+    run,
+    transition: config.tour.transition,
+    hold: config.tour.hold,
+    easing: config.tour.easing,
+    caption,
+  };
+}
+
+/**
+ * Total playing time of one pass through a tour
+ * @param {Object} tour - Tour from parseTour
+ * @returns {number} Seconds
+ */
+export function getTourDuration(tour) {
+  return tour.keyframes.reduce((sum, keyframe) => sum + keyframe.transition + keyframe.hold, 0);
+}
+
+/**
+ * Tour as a downloadable JSON file
+ * @param {Object} tour - Tour from parseTour
+ * @returns {Blob} JSON blob
+ */
+export function serializeTour(tour) {
+  return new Blob([JSON.stringify(tour, null, 2)], { type: 'application/json' });
+}
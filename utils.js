@@ -1,81 +1,149 @@
 import * as THREE from 'three';
 import { config } from './config';
+import { parseTrackFile } from './parsers';
+import { parseTime } from './parsers/time';
+import { createProjection } from './projection';
+import { calculateRunMetrics } from './metrics';
+
+export { parseGPX } from './parsers/gpx';
+
+/**
+ * Read local files with the File API and parse them into tracks
+ * @param {Array<File>} files - Track files in any registered format, chosen in a file picker or dropped on the page
+ * @returns {Promise<Array>} Tracks from all files, tagged with their source file name
+ */
+export async function readTrackFiles(files) {
+  let tracks = [];
+
+  for (const file of files) {
+    const buffer = await file.arrayBuffer();
+    const fileTracks = parseTrackFile(file.name, buffer);
+
+    if (fileTracks.length === 0) {
+      console.warn(`No tracks found in ${file.name}`);
+    }
+
+    fileTracks.forEach(track => {
+      track.metadata.source = file.name;
+    });
+    tracks = mergeTracks(tracks, fileTracks);
+  }
+
+  return tracks;
+}
 
 /**
- * Parse GPX XML string and extract all tracks with their track points
- * @param {string} gpxString - Raw GPX XML string
- * @returns {Array} Array of tracks, each containing an array of {lat, lon, ele} points
+ * Combine two track lists, renumbering the incoming tracks so run numbers stay unique
+ * @param {Array} existingTracks - Tracks already loaded
+ * @param {Array} incomingTracks - Newly parsed tracks to append
+ * @returns {Array} Combined array of tracks
  */
-export function parseGPX(gpxString) {
-  const parser = new DOMParser();
-  const xmlDoc = parser.parseFromString(gpxString, 'text/xml');
+export function mergeTracks(existingTracks, incomingTracks) {
+  const offset = existingTracks.length;
+
+  return [
+    ...existingTracks,
+    ...incomingTracks.map((track, i) => ({
+      ...track,
+      metadata: { ...track.metadata, index: offset + i }
+    }))
+  ];
+}
 
-  const tracks = [];
-  const trkElements = xmlDoc.getElementsByTagName('trk');
+/**
+ * Find the points of a track to keep with the Ramer–Douglas–Peucker algorithm
+ * Points are measured in metres on a local flat projection, so the tolerance
+ * means the same thing for every track. Distances are measured to the segment
+ * (not the infinite line) so loops that end where they start simplify correctly.
+ * @param {Array} points - Array of {lat, lon} points
+ * @param {number} toleranceMeters - Largest distance a dropped point may lie from the simplified route
+ * @returns {Array<number>} Indices of the points to keep, in order
+ */
+function simplifyTrack(points, toleranceMeters) {
+  const count = points.length;
+  if (count <= 2) return points.map((_, i) => i);
+
+  // Local metric coordinates around the first point
+  const metersPerDegreeLat = 111320;
+  const metersPerDegreeLon = 111320 * Math.cos(points[0].lat * Math.PI / 180);
+  const xs = new Float64Array(count);
+  const ys = new Float64Array(count);
+  points.forEach((point, i) => {
+    xs[i] = (point.lon - points[0].lon) * metersPerDegreeLon;
+    ys[i] = (point.lat - points[0].lat) * metersPerDegreeLat;
+  });
 
-  for (let i = 0; i < trkElements.length; i++) {
-    const trkElement = trkElements[i];
+  const keep = new Uint8Array(count);
+  keep[0] = 1;
+  keep[count - 1] = 1;
 
-    // Extract timestamp from <time> element at track level
-    const timeElements = trkElement.getElementsByTagName('time');
-    const timestamp = timeElements.length > 0 ? timeElements[0].textContent.trim() : null;
+  const toleranceSquared = toleranceMeters * toleranceMeters;
 
-    const trkpts = trkElement.getElementsByTagName('trkpt');
+  // Iterative to avoid deep recursion on tracks with many thousands of points
+  const stack = [[0, count - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
 
-    if (trkpts.length === 0) continue;
+    const dx = xs[last] - xs[first];
+    const dy = ys[last] - ys[first];
+    const lengthSquared = dx * dx + dy * dy;
 
-    const points = [];
-    for (let j = 0; j < trkpts.length; j++) {
-      const trkpt = trkpts[j];
-      const lat = parseFloat(trkpt.getAttribute('lat'));
-      const lon = parseFloat(trkpt.getAttribute('lon'));
+    let farthest = -1;
+    let farthestDistance = toleranceSquared;
 
-      // Try to get elevation if it exists
-      const eleElements = trkpt.getElementsByTagName('ele');
-      const ele = eleElements.length > 0 ? parseFloat(eleElements[0].textContent) : 0;
+    for (let i = first + 1; i < last; i++) {
+      // Squared distance from point i to the segment first → last
+      let t = lengthSquared > 0 ? ((xs[i] - xs[first]) * dx + (ys[i] - ys[first]) * dy) / lengthSquared : 0;
+      t = Math.max(0, Math.min(1, t));
+      const ex = xs[i] - (xs[first] + t * dx);
+      const ey = ys[i] - (ys[first] + t * dy);
+      const distance = ex * ex + ey * ey;
 
-      if (!isNaN(lat) && !isNaN(lon)) {
-        points.push({ lat, lon, ele });
+      if (distance > farthestDistance) {
+        farthest = i;
+        farthestDistance = distance;
       }
     }
 
-    if (points.length > 0) {
-      tracks.push({
-        points: points,
-        metadata: {
-          timestamp: timestamp,
-          index: i
-        }
-      });
+    if (farthest !== -1) {
+      keep[farthest] = 1;
+      stack.push([first, farthest], [farthest, last]);
     }
   }
 
-  return tracks;
+  const indices = [];
+  keep.forEach((kept, i) => {
+    if (kept) indices.push(i);
+  });
+  return indices;
 }
 
+// Smallest tolerance the budget search starts from, and its number of doublings
+const MIN_BUDGET_TOLERANCE_METERS = 0.5;
+const MAX_BUDGET_PASSES = 32;
+
 /**
- * Downsample a track to reduce the number of points for performance
- * @param {Array} points - Array of points
+ * Simplify a track to within a point budget
+ * Starts at the configured tolerance and doubles it until the track fits
+ * in maxPoints, so long runs lose detail evenly instead of by index stride.
+ * The budget is at least 2, since both endpoints are always kept, and the
+ * doubling gives up after MAX_BUDGET_PASSES tries.
+ * @param {Array} points - Array of {lat, lon} points
+ * @param {number} toleranceMeters - Starting tolerance in metres
  * @param {number} maxPoints - Maximum number of points to keep
- * @returns {Array} Downsampled array of points
+ * @returns {Array<number>} Indices of the points to keep, in order
  */
-function downsampleTrack(points, maxPoints) {
-  if (points.length <= maxPoints) return points;
-
-  const step = points.length / maxPoints;
-  const downsampled = [];
-
-  for (let i = 0; i < maxPoints; i++) {
-    const index = Math.floor(i * step);
-    downsampled.push(points[index]);
+function simplifyTrackToBudget(points, toleranceMeters, maxPoints) {
+  const budget = Math.max(2, maxPoints);
+  let indices = simplifyTrack(points, toleranceMeters);
+  let tolerance = Math.max(toleranceMeters, MIN_BUDGET_TOLERANCE_METERS);
+
+  for (let pass = 0; pass < MAX_BUDGET_PASSES && indices.length > budget; pass++) {
+    tolerance *= 2;
+    indices = simplifyTrack(points, tolerance);
   }
 
-  // Always include the last point
-  if (downsampled[downsampled.length - 1] !== points[points.length - 1]) {
-    downsampled.push(points[points.length - 1]);
-  }
-
-  return downsampled;
+  return indices;
 }
 
 /**
@@ -104,81 +172,159 @@ export function calculateCenter(tracks) {
 }
 
 /**
- * Convert GPS coordinates (lat/lon) to 3D Cartesian coordinates (x, y, z)
- * Uses a simple planar projection relative to the center point
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @param {number} ele - Elevation (optional)
- * @param {Object} center - Center point {lat, lon}
- * @returns {Object} 3D coordinates {x, y, z}
+ * Build elapsed times (seconds from the first point) for a list of points
+ * Points missing a time are interpolated from their timed neighbours; times are
+ * forced to be non-decreasing so the array can be binary searched.
+ * @param {Array} points - Array of {time} points (time in milliseconds, or null)
+ * @returns {Array<number>|null} Elapsed seconds per point, or null if fewer than two points are timed
  */
-function gpsToCartesian(lat, lon, ele, center) {
-  // Simple planar projection
-  // At Tokyo's latitude (~35°), 1 degree of latitude ≈ 111km
-  // 1 degree of longitude ≈ 91km (varies by latitude)
+function buildElapsedTimes(points) {
+  const timedIndices = [];
+  points.forEach((point, i) => {
+    if (point.time != null) timedIndices.push(i);
+  });
 
-  const latScale = config.projectionScale;
-  const lonScale = config.projectionScale * Math.cos(center.lat * Math.PI / 180);
+  if (timedIndices.length < 2) return null;
+
+  const startTime = points[timedIndices[0]].time;
+  const times = new Array(points.length);
+  let previous = 0;
+  let nextTimed = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    while (nextTimed < timedIndices.length - 1 && timedIndices[nextTimed] < i) nextTimed++;
+
+    let time;
+    if (points[i].time != null) {
+      time = points[i].time;
+    } else if (i < timedIndices[0]) {
+      time = startTime;
+    } else if (i > timedIndices[timedIndices.length - 1]) {
+      time = points[timedIndices[timedIndices.length - 1]].time;
+    } else {
+      // Linear interpolation by point index between the surrounding timed points
+      const after = timedIndices[nextTimed];
+      const before = timedIndices[nextTimed - 1];
+      const fraction = (i - before) / (after - before);
+      time = points[before].time + (points[after].time - points[before].time) * fraction;
+    }
 
-  const x = (lon - center.lon) * lonScale;
-  const z = -(lat - center.lat) * latScale; // Negative Z to match typical map orientation
-  const y = ele * config.elevationScale;
+    previous = Math.max(previous, (time - startTime) / 1000);
+    times[i] = previous;
+  }
 
-  return { x, y, z };
+  return times;
 }
 
 /**
- * Process all tracks: downsample, convert to 3D coordinates, and create curves
- * @param {Array} tracks - Array of track objects from parseGPX with points and metadata
- * @returns {Array} Array of processed track objects with curves and 3D points
+ * Simplify a track and project it to 3D, without creating any three.js objects
+ * Safe to run in a Web Worker; the typed arrays in the result can be transferred.
+ * @param {Object} trackData - Track object from an importer with points and metadata
+ * @param {Object} center - Projection center {lat, lon}
+ * @param {number} id - Track id
+ * @returns {Object|null} Projected track {id, positions, times, duration, originalPointCount, hasElevation, metrics, metadata},
+ *   or null if it has fewer than 2 points
  */
-export function processTracks(tracks) {
-  if (!tracks || tracks.length === 0) return [];
+export function projectTrack(trackData, center, id) {
+  const track = trackData.points;
+
+  // Simplify to the points that define the route's shape
+  const keptIndices = simplifyTrackToBudget(track, config.simplifyToleranceMeters, config.maxPointsPerTrack);
+
+  // Need at least 2 points for a curve
+  if (keptIndices.length < 2) return null;
+
+  // Convert to 3D coordinates, packed as x, y, z triples
+  const projection = createProjection(center);
+  const positions = new Float32Array(keptIndices.length * 3);
+  keptIndices.forEach((pointIndex, i) => {
+    const point = track[pointIndex];
+    const { x, y, z } = projection.project(point.lat, point.lon, point.ele);
+    positions[i * 3] = x;
+    positions[i * 3 + 1] = y;
+    positions[i * 3 + 2] = z;
+  });
 
-  // Calculate center point for projection
-  const center = calculateCenter(tracks);
+  // Elapsed run time at each kept point, for real-pace playback. Times are
+  // built from the full track so gaps are interpolated by the original points.
+  const allTimes = buildElapsedTimes(track);
+  const times = allTimes && keptIndices.map(pointIndex => allTimes[pointIndex]);
 
-  const processedTracks = [];
+  return {
+    id: id,
+    positions: positions,
+    times: times ? Float32Array.from(times) : null,
+    duration: times ? times[times.length - 1] : null,
+    originalPointCount: track.length,
+    // Importers fill missing elevations with 0, so a run that is 0 throughout
+    // has none; terrain mode drapes such runs onto the ground
+    hasElevation: track.some(point => Number.isFinite(point.ele) && point.ele !== 0),
+    // Measured on the raw points, before simplification
+    metrics: calculateRunMetrics(track),
+    metadata: {
+      ...trackData.metadata,
+      startLat: track[0].lat,  // First point
+      startLon: track[0].lon,
+      endLat: track[track.length - 1].lat,  // Last point
+      endLon: track[track.length - 1].lon,
+    }
+  };
+}
 
-  tracks.forEach((trackData, index) => {
-    const track = trackData.points;
-    const metadata = trackData.metadata;
+/**
+ * Turn a projected track into a processed track with 3D points and a curve
+ * @param {Object} projected - Projected track from projectTrack
+ * @returns {Object|null} Processed track, or null if the curve can't be created
+ */
+export function buildTrack(projected) {
+  const { positions } = projected;
 
-    // Downsample if needed
-    const downsampledTrack = downsampleTrack(track, config.maxPointsPerTrack);
+  const points3D = [];
+  for (let i = 0; i < positions.length; i += 3) {
+    points3D.push(new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]));
+  }
 
-    // Convert to 3D coordinates
-    const points3D = downsampledTrack.map(point => {
-      const { x, y, z } = gpsToCartesian(point.lat, point.lon, point.ele, center);
-      return new THREE.Vector3(x, y, z);
-    });
+  // Create a smooth curve using CatmullRomCurve3
+  let curve;
+  try {
+    curve = new THREE.CatmullRomCurve3(points3D, false, 'catmullrom', 0.5);
+  } catch (error) {
+    console.warn(`Failed to create curve for track ${projected.id}:`, error);
+    return null;
+  }
 
-    // Need at least 2 points for a curve
-    if (points3D.length < 2) return;
+  return {
+    id: projected.id,
+    points: points3D,
+    curve: curve,
+    times: projected.times,
+    duration: projected.duration,
+    originalPointCount: projected.originalPointCount,
+    processedPointCount: points3D.length,
+    hasElevation: projected.hasElevation,
+    metrics: projected.metrics,
+    metadata: projected.metadata
+  };
+}
 
-    // Create a smooth curve using CatmullRomCurve3
-    let curve;
-    try {
-      curve = new THREE.CatmullRomCurve3(points3D, false, 'catmullrom', 0.5);
-    } catch (error) {
-      console.warn(`Failed to create curve for track ${index}:`, error);
-      return;
-    }
+/**
+ * Process all tracks: simplify, convert to 3D coordinates, and create curves
+ * @param {Array} tracks - Array of track objects from an importer with points and metadata
+ * @param {Object} center - Projection center {lat, lon} (defaults to the centroid of the tracks)
+ * @returns {Array} Array of processed track objects with curves and 3D points
+ */
+export function processTracks(tracks, center = null) {
+  if (!tracks || tracks.length === 0) return [];
 
-    processedTracks.push({
-      id: index,
-      points: points3D,
-      curve: curve,
-      originalPointCount: track.length,
-      processedPointCount: points3D.length,
-      metadata: {
-        ...metadata,
-        startLat: track[0].lat,  // First point
-        startLon: track[0].lon,
-        endLat: track[track.length - 1].lat,  // Last point
-        endLon: track[track.length - 1].lon,
-      }
-    });
+  // Calculate center point for projection
+  const projectionCenter = center || calculateCenter(tracks);
+
+  const processedTracks = [];
+
+  tracks.forEach((trackData, index) => {
+    const projected = projectTrack(trackData, projectionCenter, index);
+    const track = projected && buildTrack(projected);
+    if (track) processedTracks.push(track);
   });
 
   return processedTracks;
@@ -186,41 +332,275 @@ export function processTracks(tracks) {
 
 /**
  * Get a point on a curve at a specific progress (0 to 1)
+ * Progress is measured along the arc, so orbs keep a steady speed even though
+ * simplification leaves the curve's points unevenly spaced.
  * @param {THREE.CatmullRomCurve3} curve - The curve to sample
- * @param {number} progress - Progress along the curve (0 to 1)
+ * @param {number} progress - Share of the curve's length covered (0 to 1)
  * @returns {THREE.Vector3} Point on the curve
  */
 export function getPointOnCurve(curve, progress) {
   // Clamp progress between 0 and 1
   const t = Math.max(0, Math.min(1, progress));
-  return curve.getPoint(t);
+  return curve.getPointAt(t);
+}
+
+/**
+ * Interpolate a per-point array at a fractional point index
+ * @param {ArrayLike<number>} values - One value per track point
+ * @param {number} position - Fractional point index
+ * @returns {number} Interpolated value
+ */
+function interpolateAtPoint(values, position) {
+  if (values.length === 1) return values[0];
+  const i = Math.min(Math.floor(position), values.length - 2);
+  return values[i] + (values[i + 1] - values[i]) * (position - i);
+}
+
+/**
+ * Get the elevation in metres at a specific progress along a track
+ * Tracks placed on terrain carry their original metres in `elevations`, since
+ * their points' height includes the exaggeration and the ground offset; other
+ * tracks' height is their elevation times config.elevationScale.
+ * @param {Object} track - Processed track
+ * @param {number} progress - Share of the curve's length covered (0 to 1)
+ * @param {THREE.Vector3} point - The point at that progress, if already known
+ * @returns {number} Elevation in metres
+ */
+export function getElevationOnCurve(track, progress, point = getPointOnCurve(track.curve, progress)) {
+  if (!track.elevations) return point.y / config.elevationScale;
+
+  const t = track.curve.getUtoTmapping(Math.max(0, Math.min(1, progress)));
+  return interpolateAtPoint(track.elevations, t * (track.elevations.length - 1));
+}
+
+/**
+ * Convert a curve parameter (spaced by point index) into progress along the arc
+ * Uses the curve's cached arc lengths, the same table getPointAt reads.
+ * @param {THREE.CatmullRomCurve3} curve - The curve
+ * @param {number} t - Curve parameter (0 to 1)
+ * @returns {number} Share of the curve's length up to t (0 to 1)
+ */
+function getArcProgress(curve, t) {
+  const lengths = curve.getLengths();
+  const total = lengths[lengths.length - 1];
+  if (total <= 0) return t;
+
+  const position = t * (lengths.length - 1);
+  const i = Math.min(Math.floor(position), lengths.length - 2);
+  return (lengths[i] + (lengths[i + 1] - lengths[i]) * (position - i)) / total;
+}
+
+/**
+ * Get the curve progress (0 to 1) a runner had reached after a given elapsed run time
+ * The position is interpolated between the two points whose times bracket the
+ * elapsed time, then converted to progress along the arc for getPointOnCurve.
+ * @param {Object} track - Processed track with times
+ * @param {number} seconds - Elapsed run time in seconds
+ * @returns {number|null} Progress along the curve, or null if the track has no times
+ */
+export function getProgressAtTime(track, seconds) {
+  const times = track.times;
+  if (!times) return null;
+
+  const lastIndex = times.length - 1;
+  if (seconds <= 0) return 0;
+  if (seconds >= times[lastIndex]) return 1;
+
+  // Binary search for the last point at or before the elapsed time
+  let low = 0;
+  let high = lastIndex;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (times[mid] <= seconds) low = mid;
+    else high = mid;
+  }
+
+  const span = times[high] - times[low];
+  const fraction = span > 0 ? (seconds - times[low]) / span : 0;
+
+  return getArcProgress(track.curve, (low + fraction) / lastIndex);
+}
+
+/**
+ * Get the longest run duration across tracks
+ * @param {Array} processedTracks - Array of processed tracks
+ * @returns {number} Longest duration in seconds, or 0 if no track has times
+ */
+export function getLongestDuration(processedTracks) {
+  return processedTracks.reduce((longest, track) => Math.max(longest, track.duration || 0), 0);
+}
+
+/**
+ * Get the length of one playback loop for a playback mode
+ * @param {string} playbackMode - 'uniform', 'realPace' or 'history'
+ * @param {Array} processedTracks - Array of processed tracks
+ * @returns {number} Loop length in seconds of playback time
+ */
+export function getLoopDuration(playbackMode, processedTracks) {
+  if (playbackMode === 'history') {
+    return config.history.duration + config.history.holdSeconds;
+  }
+
+  const longestDuration = getLongestDuration(processedTracks);
+  if (playbackMode === 'realPace' && longestDuration > 0) {
+    return longestDuration / config.realPace.timeScale;
+  }
+
+  return config.animationDuration;
+}
+
+/**
+ * Sample a track's curve for trail rendering
+ * Each span between two track points gets samples in proportion to its length
+ * (one per config.trailSegmentLength scene units), and every track point is
+ * sampled exactly, so long runs stay smooth and corners aren't cut.
+ * @param {Object} track - Processed track with points and curve
+ * @returns {Object} {samples, elevations}: points along the curve and the elevation
+ *   in metres at each (see getElevationOnCurve)
+ */
+function sampleTrailPoints(track) {
+  const { points, curve } = track;
+  const spans = points.length - 1;
+  const samples = [points[0].clone()];
+  const positions = [0];
+
+  for (let i = 0; i < spans; i++) {
+    const divisions = Math.max(1, Math.ceil(points[i].distanceTo(points[i + 1]) / config.trailSegmentLength));
+
+    for (let j = 1; j <= divisions; j++) {
+      samples.push(curve.getPoint((i + j / divisions) / spans));
+      positions.push(i + j / divisions);
+    }
+  }
+
+  const elevations = track.elevations
+    ? positions.map(position => interpolateAtPoint(track.elevations, position))
+    : samples.map(sample => sample.y / config.elevationScale);
+
+  return { samples, elevations };
 }
 
 /**
  * Create geometry for trail lines (static paths)
+ * Each vertex carries an RGBA colour (white, fully opaque by default) so trails
+ * can be faded individually; the vertex range of each track is stored in
+ * geometry.userData.trackRanges as {start, count}, in track order, and each
+ * vertex's elevation in metres in geometry.userData.elevations.
  * @param {Array} processedTracks - Array of processed tracks with curves
  * @returns {THREE.BufferGeometry} Geometry for all trail lines
  */
 export function createTrailGeometry(processedTracks) {
   const positions = [];
+  const elevations = [];
+  const trackRanges = [];
 
   processedTracks.forEach(track => {
+    const start = positions.length / 3;
+
     // Get points along the curve
-    const points = track.curve.getPoints(config.curveSubdivisions);
+    const { samples: points, elevations: pointElevations } = sampleTrailPoints(track);
 
     // Add line segments
     for (let i = 0; i < points.length - 1; i++) {
       positions.push(points[i].x, points[i].y, points[i].z);
       positions.push(points[i + 1].x, points[i + 1].y, points[i + 1].z);
+      elevations.push(pointElevations[i], pointElevations[i + 1]);
     }
+
+    trackRanges.push({ start, count: positions.length / 3 - start });
   });
 
+  const colors = new Float32Array((positions.length / 3) * 4).fill(1);
+
   const geometry = new THREE.BufferGeometry();
   geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 4));
+  geometry.userData.trackRanges = trackRanges;
+  geometry.userData.elevations = Float32Array.from(elevations);
 
   return geometry;
 }
 
+/**
+ * Find the track a trail geometry vertex belongs to
+ * @param {THREE.BufferGeometry} geometry - Geometry from createTrailGeometry
+ * @param {number} vertexIndex - Vertex index, e.g. from a raycast intersection
+ * @returns {number} Track index, or -1 if the vertex is out of range
+ */
+export function findTrackAtVertex(geometry, vertexIndex) {
+  const ranges = geometry.userData.trackRanges;
+  let low = 0;
+  let high = ranges.length - 1;
+
+  // Binary search; ranges are contiguous and in track order
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const { start, count } = ranges[mid];
+    if (vertexIndex < start) high = mid - 1;
+    else if (vertexIndex >= start + count) low = mid + 1;
+    else return mid;
+  }
+
+  return -1;
+}
+
+/**
+ * Build the calendar timeline used by history playback
+ * @param {Array} processedTracks - Array of processed tracks with metadata.timestamp
+ * @returns {Object} { startTime, endTime, msPerSecond, trackTimes, sortedTimes } where
+ *   times are Unix milliseconds, trackTimes is per track (null when undated) and
+ *   msPerSecond is how much calendar time passes per second of animation
+ */
+export function createHistoryTimeline(processedTracks) {
+  const trackTimes = processedTracks.map(track => parseTime(track.metadata.timestamp));
+  const sortedTimes = trackTimes.filter(time => time !== null).sort((a, b) => a - b);
+
+  const startTime = sortedTimes.length > 0 ? sortedTimes[0] : 0;
+  const span = sortedTimes.length > 0 ? sortedTimes[sortedTimes.length - 1] - startTime : 0;
+
+  // A single-day archive still needs time to pass, so fall back to one day per second
+  const msPerSecond = span > 0 ? span / config.history.duration : 24 * 60 * 60 * 1000;
+
+  return {
+    startTime,
+    endTime: startTime + msPerSecond * config.history.duration,
+    msPerSecond,
+    trackTimes,
+    sortedTimes
+  };
+}
+
+/**
+ * Convert elapsed animation time to the calendar time shown in history playback
+ * Playback holds on the final date for config.history.holdSeconds before looping.
+ * @param {Object} timeline - Timeline from createHistoryTimeline
+ * @param {number} elapsed - Elapsed animation time in seconds
+ * @returns {number} Calendar time in Unix milliseconds
+ */
+export function getHistoryTime(timeline, elapsed) {
+  const { duration, holdSeconds } = config.history;
+  const t = config.animationLoop ? elapsed % (duration + holdSeconds) : elapsed;
+  return timeline.startTime + Math.min(t, duration) * timeline.msPerSecond;
+}
+
+/**
+ * Count how many dated runs happened on or before a calendar time
+ * @param {Object} timeline - Timeline from createHistoryTimeline
+ * @param {number} time - Calendar time in Unix milliseconds
+ * @returns {number} Number of runs so far
+ */
+export function countRunsBefore(timeline, time) {
+  const times = timeline.sortedTimes;
+  let low = 0;
+  let high = times.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (times[mid] <= time) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
 /**
  * Calculate bounding box for all tracks
  * @param {Array} processedTracks - Array of processed tracks
@@ -304,9 +684,10 @@ export function calculateTrackBoundingBox(track) {
  * Calculate optimal camera position and target for viewing a track
  * @param {Object} track - Track object with points
  * @param {number} cameraFov - Camera field of view in degrees
+ * @param {Function} random - Source of random numbers in [0, 1) for the viewing angle
  * @returns {Object} { position: Vector3, target: Vector3, bbox: Object }
  */
-export function calculateOptimalCameraPosition(track, cameraFov) {
+export function calculateOptimalCameraPosition(track, cameraFov, random = Math.random) {
   const bbox = calculateTrackBoundingBox(track);
   const cfg = config.cameraAnimation;
 
@@ -320,8 +701,8 @@ export function calculateOptimalCameraPosition(track, cameraFov) {
   );
 
   // Randomize both horizontal angle (0-360 degrees) and vertical angle (10-90 degrees)
-  const horizontalAngle = Math.random() * Math.PI * 2;
-  const verticalAngleDegrees = 10 + Math.random() * 80; // Random between 10-90 degrees
+  const horizontalAngle = random() * Math.PI * 2;
+  const verticalAngleDegrees = 10 + random() * 80; // Random between 10-90 degrees
   const verticalAngle = (verticalAngleDegrees * Math.PI) / 180;
 
   const heightOffset = distance * Math.sin(verticalAngle);
@@ -342,6 +723,24 @@ export function calculateOptimalCameraPosition(track, cameraFov) {
   return { position, target, bbox };
 }
 
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * The same seed always gives the same sequence, for reproducible video exports.
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning numbers in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
 /**
  * Cubic ease-in-out function for smooth transitions
  * @param {number} t - Progress from 0 to 1
@@ -352,3 +751,29 @@ export function easeInOutCubic(t) {
     ? 4 * t * t * t
     : 1 - Math.pow(-2 * t + 2, 3) / 2;
 }
+
+/**
+ * Easing functions by name, for camera tour keyframes
+ * Each maps progress from 0 to 1 to an eased value from 0 to 1.
+ */
+export const EASINGS = {
+  linear: t => t,
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic,
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2,
+};
+
+/**
+ * Save a blob as a file download
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
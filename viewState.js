@@ -0,0 +1,104 @@
+/**
+ * Shareable view state
+ *
+ * The view (dataset, pinned run, camera, playback and filters) is stored in the
+ * URL hash so a link opens the same view, e.g.
+ *
+ *   #run=42&cam=120.5,80,140.2,10,0,-3.5&mode=history&t=12.5&from=2023-01-01&dmin=10
+ *
+ * Fields left at their defaults are omitted.
+ */
+
+import { config } from './config';
+import { EMPTY_FILTERS } from './filters';
+
+// Keep these readable in the hash instead of percent-encoding them
+const encodeValue = value => encodeURIComponent(value).replace(/%2C/g, ',').replace(/%3B/g, ';').replace(/%2F/g, '/');
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * Parse a comma-separated list of numbers
+ * @param {string|null} value - e.g. "1.5,2,3"
+ * @param {number} length - Expected count
+ * @returns {Array<number>|null} Numbers, or null if missing or malformed
+ */
+function parseNumbers(value, length) {
+  if (!value) return null;
+  const numbers = value.split(',').map(Number);
+  return numbers.length === length && numbers.every(Number.isFinite) ? numbers : null;
+}
+
+/**
+ * Serialize a view into a URL hash
+ * @param {Object} view - View {dataset, run, camera: {position, target}, playbackMode, time, filters};
+ *   any field may be null or missing
+ * @returns {string} Hash without the leading '#'
+ */
+export function encodeViewState(view) {
+  const params = [];
+  const add = (key, value) => params.push(`${key}=${encodeValue(value)}`);
+
+  if (view.dataset) add('data', view.dataset);
+  if (view.run != null) add('run', view.run);
+  if (view.camera) {
+    add('cam', [...view.camera.position, ...view.camera.target].map(v => round(v, 1)).join(','));
+  }
+  if (view.playbackMode && view.playbackMode !== config.playbackMode) add('mode', view.playbackMode);
+  if (view.time) add('t', round(view.time, 2));
+
+  const filters = view.filters || EMPTY_FILTERS;
+  if (filters.dateFrom) add('from', filters.dateFrom);
+  if (filters.dateTo) add('to', filters.dateTo);
+  if (filters.minDistanceKm !== '') add('dmin', filters.minDistanceKm);
+  if (filters.maxDistanceKm !== '') add('dmax', filters.maxDistanceKm);
+  if (filters.area) {
+    add('area', `${filters.area.type};${filters.area.points.map(p => `${round(p.x, 1)},${round(p.z, 1)}`).join(';')}`);
+  }
+
+  return params.join('&');
+}
+
+/**
+ * Read a view from a URL hash
+ * Malformed fields are ignored.
+ * @param {string} hash - URL hash, with or without the leading '#'
+ * @returns {Object} View {dataset, run, camera, playbackMode, time, filters}; dataset, camera,
+ *   playbackMode and time are undefined when not in the hash, run is null and filters are empty
+ */
+export function decodeViewState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const view = { run: null, filters: { ...EMPTY_FILTERS } };
+
+  if (params.get('data')) view.dataset = params.get('data');
+
+  const run = parseInt(params.get('run'), 10);
+  if (Number.isInteger(run) && run >= 0) view.run = run;
+
+  const cam = parseNumbers(params.get('cam'), 6);
+  if (cam) view.camera = { position: cam.slice(0, 3), target: cam.slice(3) };
+
+  if (params.get('mode')) view.playbackMode = params.get('mode');
+
+  const time = parseFloat(params.get('t'));
+  if (Number.isFinite(time) && time >= 0) view.time = time;
+
+  const date = /^\d{4}-\d{2}-\d{2}$/;
+  if (date.test(params.get('from'))) view.filters.dateFrom = params.get('from');
+  if (date.test(params.get('to'))) view.filters.dateTo = params.get('to');
+
+  const minDistance = parseFloat(params.get('dmin'));
+  if (Number.isFinite(minDistance)) view.filters.minDistanceKm = minDistance;
+  const maxDistance = parseFloat(params.get('dmax'));
+  if (Number.isFinite(maxDistance)) view.filters.maxDistanceKm = maxDistance;
+
+  const [areaType, ...areaPoints] = (params.get('area') || '').split(';');
+  if (areaType === 'rectangle' || areaType === 'lasso') {
+    const points = areaPoints.map(point => parseNumbers(point, 2));
+    if (points.length >= 3 && points.every(Boolean)) {
+      view.filters.area = { type: areaType, points: points.map(([x, z]) => ({ x, z })) };
+    }
+  }
+
+  return view;
+}
@@ -0,0 +1,231 @@
+/**
+ * Track loading worker
+ *
+ * Fetches or reads track files, parses them with the importer registry and
+ * projects them to 3D off the main thread. Tracks are posted back in batches
+ * with their coordinates in transferable typed arrays, so the scene can start
+ * rendering before the whole archive has been parsed.
+ *
+ * Incoming messages:
+ *   { type: 'urls', sources: [{ url, dataset }] }          Fetch and stream files in turn
+ *   { type: 'files', files, dataset, center, indexOffset } Read local File objects
+ *
+ * Every track's metadata.dataset is set to the id of the dataset it came from.
+ *
+ * Outgoing messages:
+ *   { type: 'progress', bytesLoaded, bytesTotal, tracksParsed }
+ *   { type: 'tracks', tracks, center }            A batch of projected tracks
+ *   { type: 'done', tracksParsed }
+ *   { type: 'warning', message }                  A file failed; the rest still load
+ *   { type: 'error', message }
+ */
+
+import { DOMParser } from '@xmldom/xmldom';
+import { config } from '../config';
+import { calculateCenter, projectTrack, readTrackFiles } from '../utils';
+import { parseGPX } from '../parsers/gpx';
+import { findImporter, parseTrackFile } from '../parsers';
+
+// The XML importers use DOMParser, which workers don't provide
+if (typeof self.DOMParser === 'undefined') {
+  self.DOMParser = DOMParser;
+}
+
+/**
+ * Collects parsed tracks, projects them and posts them in batches
+ * Without a given center the first batch's centroid is used for the whole load,
+ * since earlier batches are already on screen by the time later ones arrive.
+ * @param {Object|null} center - Projection center, or null to use the first batch's centroid
+ * @param {number} indexOffset - Number of tracks already loaded (for run numbering)
+ */
+function createBatcher(center, indexOffset) {
+  let projectionCenter = center;
+  const pending = [];
+  let tracksParsed = 0;
+
+  const flush = (count = pending.length) => {
+    const batch = pending.splice(0, count);
+    if (batch.length === 0) return;
+
+    if (!projectionCenter) {
+      projectionCenter = calculateCenter(batch.map(({ trackData }) => trackData));
+    }
+
+    const projected = [];
+    const transfer = [];
+
+    batch.forEach(({ trackData, dataset }) => {
+      const index = indexOffset + tracksParsed;
+      tracksParsed++;
+
+      const track = projectTrack(
+        { ...trackData, metadata: { ...trackData.metadata, index, dataset } },
+        projectionCenter,
+        index
+      );
+      if (!track) return;
+
+      projected.push(track);
+      transfer.push(track.positions.buffer);
+      if (track.times) transfer.push(track.times.buffer);
+    });
+
+    self.postMessage({ type: 'tracks', tracks: projected, center: projectionCenter }, transfer);
+  };
+
+  return {
+    add(tracks, dataset = null) {
+      pending.push(...tracks.map(trackData => ({ trackData, dataset })));
+      while (pending.length >= config.loader.batchSize) flush(config.loader.batchSize);
+    },
+    flush,
+    get tracksParsed() {
+      return tracksParsed + pending.length;
+    },
+  };
+}
+
+/**
+ * Fetch a file, streaming GPX documents track by track as the bytes arrive
+ * @param {string} url - File URL
+ * @param {string|null} dataset - Dataset id for the file's tracks
+ * @param {Object} batcher - Batcher shared by every file in the load
+ * @param {number} bytesBefore - Bytes loaded from earlier files, for progress
+ * @param {boolean} single - Whether this is the only file, so its size is the total
+ * @returns {Promise<number>} Bytes loaded from this file
+ */
+async function loadUrl(url, dataset, batcher, bytesBefore, single) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load track file: ${response.statusText}`);
+  }
+
+  const bytesTotal = single ? Number(response.headers.get('Content-Length')) || null : null;
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  let bytesLoaded = 0;
+  let streamGPX = null;
+  let text = '';
+  const chunks = [];
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    bytesLoaded += value.byteLength;
+
+    // Decide on the first chunk whether this is a GPX file we can stream
+    if (streamGPX === null) {
+      streamGPX = findImporter(url, value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength))?.format === 'gpx';
+    }
+
+    if (streamGPX) {
+      text += decoder.decode(value, { stream: true });
+
+      // Parse every complete <trk> received so far
+      const end = text.lastIndexOf('</trk>');
+      if (end !== -1) {
+        const complete = text.slice(0, end + '</trk>'.length);
+        text = text.slice(end + '</trk>'.length);
+        const start = complete.indexOf('<trk');
+        batcher.add(parseGPX(`<gpx>${complete.slice(start)}</gpx>`), dataset);
+      }
+    } else {
+      chunks.push(value);
+    }
+
+    self.postMessage({ type: 'progress', bytesLoaded: bytesBefore + bytesLoaded, bytesTotal, tracksParsed: batcher.tracksParsed });
+  }
+
+  if (!streamGPX) {
+    // Other formats are parsed once the whole file has arrived
+    const buffer = new Uint8Array(bytesLoaded);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      buffer.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    batcher.add(parseTrackFile(url, buffer.buffer), dataset);
+  }
+
+  return bytesLoaded;
+}
+
+/**
+ * Fetch each dataset's file in turn into one track list with one projection
+ * A file that fails is reported with a warning and skipped, so one missing
+ * archive doesn't take the other datasets down with it.
+ * @param {Array} sources - [{url, dataset}]
+ * @returns {Promise<number>} Number of tracks parsed
+ */
+async function loadUrls(sources) {
+  const batcher = createBatcher(null, 0);
+  const failures = [];
+  let bytesLoaded = 0;
+
+  for (const { url, dataset } of sources) {
+    try {
+      bytesLoaded += await loadUrl(url, dataset, batcher, bytesLoaded, sources.length === 1);
+    } catch (error) {
+      failures.push(error.message);
+      self.postMessage({ type: 'warning', message: `${url}: ${error.message}` });
+    }
+  }
+
+  batcher.flush();
+
+  // Nothing to show if every file failed
+  if (failures.length === sources.length) {
+    throw new Error(failures.join('; '));
+  }
+
+  return batcher.tracksParsed;
+}
+
+/**
+ * Read and parse local files
+ * A file that can't be read or parsed (an unsupported format, say, in a dropped
+ * folder) is reported with a warning and skipped, like in loadUrls.
+ * @param {Array<File>} files - Files from a picker or drop
+ * @param {string|null} dataset - Dataset id for the files' tracks
+ * @param {Object|null} center - Projection center of the tracks already shown, when appending
+ * @param {number} indexOffset - Number of tracks already shown, when appending
+ */
+async function loadFiles(files, dataset, center, indexOffset) {
+  const bytesTotal = files.reduce((total, file) => total + file.size, 0);
+  const batcher = createBatcher(center, indexOffset);
+  let bytesLoaded = 0;
+
+  for (const file of files) {
+    try {
+      batcher.add(await readTrackFiles([file]), dataset);
+    } catch (error) {
+      self.postMessage({ type: 'warning', message: `${file.name}: ${error.message}` });
+    }
+    bytesLoaded += file.size;
+    self.postMessage({ type: 'progress', bytesLoaded, bytesTotal, tracksParsed: batcher.tracksParsed });
+  }
+
+  batcher.flush();
+
+  if (batcher.tracksParsed === 0) {
+    throw new Error(`No tracks found in ${files.map(file => file.name).join(', ')}`);
+  }
+
+  return batcher.tracksParsed;
+}
+
+self.onmessage = async (e) => {
+  const message = e.data;
+
+  try {
+    const tracksParsed = message.type === 'urls'
+      ? await loadUrls(message.sources)
+      : await loadFiles(message.files, message.dataset, message.center, message.indexOffset);
+
+    self.postMessage({ type: 'done', tracksParsed });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};